@@ -0,0 +1,391 @@
+// migrate.js
+//
+// Migration database bernomor untuk API (folder migrations/) dan seed data contoh.
+// Dipakai oleh server.js saat start (MIGRATE_ON_START) dan sebagai CLI:
+//
+//   node migrate.js up [nomor]      Jalankan migration yang belum jalan (sampai nomor tertentu)
+//   node migrate.js down [langkah]  Rollback migration terakhir (default 1 langkah)
+//   node migrate.js status          Daftar migration beserta waktu dijalankan
+//   node migrate.js seed            Jalankan migration lalu isi produk & posts contoh
+//
+// File migration bernama NNN-deskripsi.js dan meng-export { description, up, down }.
+// up/down menerima { db, client, logger }. Migration yang sudah jalan dicatat di
+// collection 'migrations'; lock di 'migrations_lock' mencegah dua instance menjalankan
+// migration bersamaan (instance lain menunggu sampai lock dilepas atau kadaluarsa).
+// Koneksi CLI memakai config yang sama dengan server (lihat config.js).
+
+const { MongoClient } = require('mongodb');
+const { loadConfig, mongoUri, mongoClientOptions, redactUri } = require('./config');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const SEEDS_FILE = path.join(__dirname, 'seeds', 'data.js');
+const MIGRATION_FILE_PATTERN = /^(\d{3})-[a-z0-9-]+\.js$/;
+const MIGRATIONS_COLLECTION = 'migrations';
+const LOCK_COLLECTION = 'migrations_lock';
+const LOCK_ID = 'migrate';
+const LOCK_TTL_MS = 10 * 60 * 1000; // Default, lock proses yang mati dianggap lepas
+const LOCK_WAIT_MS = 60 * 1000; // Default, bisa diganti lewat options.lock { ttlMs, waitMs }
+
+// Logger untuk CLI (server.js mengirim logger JSON miliknya sendiri)
+const consoleLogger = {
+    error: (...args) => console.error(...args),
+    warn: (...args) => console.warn(...args),
+    info: (...args) => console.log(...args),
+    debug: () => {}
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// ---- Helper untuk file migration ----
+
+// Buat collection jika belum ada
+async function ensureCollections(db, names, logger = consoleLogger) {
+    for (const name of names) {
+        const existing = await db.listCollections({ name: name }).toArray();
+        if (existing.length === 0) {
+            await db.createCollection(name);
+            logger.info(`Collection '${name}' dibuat.`);
+        }
+    }
+}
+
+// Buat index [{ key, name, ...options }]. Index dengan nama sama tapi opsi berbeda
+// (code 85 / 86, biasanya dibuat manual sebelum ada migration) dilewati dengan warning.
+async function ensureIndexes(db, collectionName, indexes, logger = consoleLogger) {
+    for (const { key, ...options } of indexes) {
+        try {
+            await db.collection(collectionName).createIndex(key, options);
+        } catch (err) {
+            if (err.code !== 85 && err.code !== 86) throw err;
+            logger.warn(`Index ${collectionName}.${options.name} sudah ada dengan definisi berbeda, dilewati: ${err.message}`);
+        }
+    }
+    logger.info(`Index untuk ${collectionName} dibuat: ${indexes.map(index => index.name).join(', ')}`);
+}
+
+// Hapus index berdasarkan nama (untuk down), index yang tidak ada diabaikan
+async function dropIndexes(db, collectionName, names) {
+    for (const name of names) {
+        try {
+            await db.collection(collectionName).dropIndex(name);
+        } catch (err) {
+            // 26 = NamespaceNotFound, 27 = IndexNotFound
+            if (err.code !== 26 && err.code !== 27) throw err;
+        }
+    }
+}
+
+// ---- Daftar migration ----
+
+function loadMigrations() {
+    const files = fs.readdirSync(MIGRATIONS_DIR).filter(file => MIGRATION_FILE_PATTERN.test(file)).sort();
+    const migrations = [];
+    
+    for (const file of files) {
+        const nomor = parseInt(file.match(MIGRATION_FILE_PATTERN)[1]);
+        if (migrations.some(m => m.nomor === nomor)) {
+            throw new Error(`Nomor migration ${file.slice(0, 3)} dipakai lebih dari satu file`);
+        }
+        
+        const migration = require(path.join(MIGRATIONS_DIR, file));
+        if (typeof migration.up !== 'function') {
+            throw new Error(`Migration ${file} tidak meng-export fungsi up()`);
+        }
+        migrations.push({
+            id: file.replace(/\.js$/, ''),
+            nomor,
+            description: migration.description || '',
+            up: migration.up,
+            down: migration.down
+        });
+    }
+    return migrations;
+}
+
+async function appliedMigrations(db) {
+    return db.collection(MIGRATIONS_COLLECTION).find().sort({ nomor: 1 }).toArray();
+}
+
+// ---- Lock ----
+
+// Ambil lock: dokumen lock di-update jika bebas / kadaluarsa, jika sedang dipegang
+// proses lain upsert gagal dengan duplicate key lalu dicoba lagi sampai waitMs.
+// Selama fn() berjalan expires_at diperpanjang setiap sepertiga ttlMs, jadi migration
+// yang lebih lama dari ttlMs tidak membuat instance lain ikut menjalankan migration.
+async function withLock(db, logger, lockOptions, fn) {
+    const { ttlMs = LOCK_TTL_MS, waitMs = LOCK_WAIT_MS } = lockOptions || {};
+    const owner = `${os.hostname()}:${process.pid}:${crypto.randomUUID()}`;
+    const deadline = Date.now() + waitMs;
+    let menunggu = false;
+    
+    for (;;) {
+        const now = new Date();
+        try {
+            await db.collection(LOCK_COLLECTION).updateOne(
+                { _id: LOCK_ID, $or: [{ owner: null }, { expires_at: { $lt: now } }] },
+                { $set: { owner, acquired_at: now, expires_at: new Date(now.getTime() + ttlMs) } },
+                { upsert: true }
+            );
+            break;
+        } catch (err) {
+            if (err.code !== 11000) throw err;
+        }
+        
+        if (Date.now() > deadline) {
+            const lock = await db.collection(LOCK_COLLECTION).findOne({ _id: LOCK_ID });
+            throw new Error(`Lock migration masih dipegang ${lock && lock.owner} (sejak ${lock && lock.acquired_at && lock.acquired_at.toISOString()})`);
+        }
+        if (!menunggu) {
+            logger.info('Migration sedang dijalankan proses lain, menunggu lock...');
+            menunggu = true;
+        }
+        await sleep(1000);
+    }
+    
+    const renew = setInterval(() => {
+        db.collection(LOCK_COLLECTION).updateOne(
+            { _id: LOCK_ID, owner },
+            { $set: { expires_at: new Date(Date.now() + ttlMs) } }
+        ).then(result => {
+            if (result.matchedCount === 0) logger.warn('Lock migration sudah tidak dipegang proses ini');
+        }).catch(err => logger.warn(`Gagal memperpanjang lock migration: ${err.message}`));
+    }, Math.max(1000, Math.floor(ttlMs / 3)));
+    renew.unref();
+    
+    try {
+        return await fn();
+    } finally {
+        clearInterval(renew);
+        await db.collection(LOCK_COLLECTION).updateOne(
+            { _id: LOCK_ID, owner },
+            { $set: { owner: null, expires_at: null } }
+        );
+    }
+}
+
+// ---- Perintah ----
+
+// Jalankan migration yang belum jalan, urut nomor. options.to = nomor terakhir yang dijalankan.
+// Return id migration yang dijalankan.
+async function migrate(db, options = {}) {
+    const logger = options.logger || consoleLogger;
+    const migrations = loadMigrations();
+    
+    return withLock(db, logger, options.lock, async () => {
+        const applied = new Set((await appliedMigrations(db)).map(doc => doc._id));
+        const pending = migrations.filter(m => !applied.has(m.id) && (!options.to || m.nomor <= options.to));
+        
+        for (const migration of pending) {
+            logger.info(`Menjalankan migration ${migration.id}: ${migration.description}`);
+            const start = Date.now();
+            await migration.up({ db, client: options.client, logger });
+            await db.collection(MIGRATIONS_COLLECTION).insertOne({
+                _id: migration.id,
+                nomor: migration.nomor,
+                description: migration.description,
+                applied_at: new Date(),
+                duration_ms: Date.now() - start
+            });
+        }
+        
+        if (pending.length > 0) {
+            logger.info(`${pending.length} migration dijalankan.`);
+        }
+        return pending.map(m => m.id);
+    });
+}
+
+// Rollback `steps` migration terakhir (urut nomor terbesar dulu)
+async function rollback(db, options = {}) {
+    const logger = options.logger || consoleLogger;
+    const steps = options.steps || 1;
+    const migrations = new Map(loadMigrations().map(m => [m.id, m]));
+    
+    return withLock(db, logger, options.lock, async () => {
+        const targets = (await appliedMigrations(db)).reverse().slice(0, steps);
+        
+        for (const doc of targets) {
+            const migration = migrations.get(doc._id);
+            if (!migration) {
+                throw new Error(`File migration ${doc._id} tidak ditemukan, rollback dihentikan`);
+            }
+            if (typeof migration.down !== 'function') {
+                throw new Error(`Migration ${doc._id} tidak punya down(), rollback dihentikan`);
+            }
+            
+            logger.info(`Rollback migration ${migration.id}: ${migration.description}`);
+            await migration.down({ db, client: options.client, logger });
+            await db.collection(MIGRATIONS_COLLECTION).deleteOne({ _id: doc._id });
+        }
+        return targets.map(doc => doc._id);
+    });
+}
+
+// Status semua migration: file yang ada + catatan yang file-nya sudah hilang
+async function migrationStatus(db) {
+    const migrations = loadMigrations();
+    const applied = new Map((await appliedMigrations(db)).map(doc => [doc._id, doc]));
+    
+    const status = migrations.map(m => ({
+        id: m.id,
+        description: m.description,
+        applied_at: applied.has(m.id) ? applied.get(m.id).applied_at : null
+    }));
+    for (const [id, doc] of applied) {
+        if (!migrations.some(m => m.id === id)) {
+            status.push({ id, description: doc.description, applied_at: doc.applied_at, missing: true });
+        }
+    }
+    return status;
+}
+
+// Isi kategori, supplier, produk & posts contoh untuk development.
+// Idempotent: data yang sudah ada (kode_produk / slug / nama sama) tidak ditimpa.
+async function seed(db, options = {}) {
+    const logger = options.logger || consoleLogger;
+    const data = require(SEEDS_FILE);
+    const now = new Date();
+    const normal = (nama) => String(nama).trim().replace(/\s+/g, ' ').toLowerCase();
+    
+    // Master data dulu, produk menyimpan *_id dan nama resminya
+    const referensi = {};
+    for (const name of ['kategori', 'supplier']) {
+        referensi[name] = new Map();
+        for (const item of data[name]) {
+            const result = await db.collection(name).findOneAndUpdate(
+                { nama_normal: normal(item.nama) },
+                { $setOnInsert: { ...item, nama_normal: normal(item.nama), created_at: now, updated_at: now, version: 1 } },
+                { upsert: true, returnDocument: 'after', includeResultMetadata: true }
+            );
+            referensi[name].set(normal(item.nama), result.value);
+        }
+    }
+    
+    let produkBaru = 0;
+    for (const item of data.produk) {
+        const kategori = referensi.kategori.get(normal(item.kategori));
+        const supplier = item.supplier ? referensi.supplier.get(normal(item.supplier)) : null;
+        const result = await db.collection('produk').updateOne(
+            { kode_produk: item.kode_produk },
+            {
+                $setOnInsert: {
+                    stok_minimum: 0,
+                    deskripsi: '',
+                    ...item,
+                    kategori_id: kategori._id,
+                    kategori: kategori.nama,
+                    supplier_id: supplier ? supplier._id : null,
+                    supplier: supplier ? supplier.nama : '',
+                    harga_efektif: item.harga,
+                    tanggal_dibuat: now,
+                    tanggal_diupdate: now,
+                    status: 'aktif',
+                    version: 1
+                }
+            },
+            { upsert: true }
+        );
+        produkBaru += result.upsertedCount;
+    }
+    
+    let postsBaru = 0;
+    for (const item of data.posts) {
+        const result = await db.collection('posts').updateOne(
+            { slug: item.slug },
+            {
+                $setOnInsert: {
+                    tags: [],
+                    ...item,
+                    status: 'published',
+                    author_id: null,
+                    created_at: now,
+                    updated_at: now,
+                    published_at: now,
+                    version: 1
+                }
+            },
+            { upsert: true }
+        );
+        postsBaru += result.upsertedCount;
+    }
+    
+    logger.info(`Seed selesai: ${produkBaru} produk & ${postsBaru} posts baru ditambahkan.`);
+    return { produk: produkBaru, posts: postsBaru };
+}
+
+// ---- CLI ----
+
+const USAGE = `Penggunaan: node migrate.js <perintah>
+
+  up [nomor]       Jalankan migration yang belum jalan (opsional sampai nomor tertentu)
+  down [langkah]   Rollback migration terakhir (default 1 langkah)
+  status           Tampilkan status semua migration
+  seed             Jalankan migration lalu isi data contoh (produk & posts)`;
+
+async function main(args) {
+    const [perintah, argumen] = args;
+    const angka = argumen === undefined ? undefined : parseInt(argumen);
+    
+    if (!['up', 'down', 'status', 'seed'].includes(perintah) || (argumen !== undefined && !(angka > 0))) {
+        console.error(USAGE);
+        return 1;
+    }
+    
+    let config;
+    try {
+        config = loadConfig();
+    } catch (err) {
+        console.error(err.message);
+        return 1;
+    }
+    const lock = { ttlMs: config.migration.lockTtlMs, waitMs: config.migration.lockWaitMs };
+    
+    const client = new MongoClient(mongoUri(config), mongoClientOptions(config));
+    try {
+        await client.connect();
+        const db = client.db(config.mongo.database);
+        console.log(`Database ${config.mongo.database} di ${redactUri(mongoUri(config))}`);
+        
+        if (perintah === 'up') {
+            const dijalankan = await migrate(db, { client, to: angka, lock });
+            if (dijalankan.length === 0) console.log('Tidak ada migration yang perlu dijalankan.');
+        } else if (perintah === 'down') {
+            const dibatalkan = await rollback(db, { client, steps: angka, lock });
+            console.log(dibatalkan.length > 0
+                ? `Rollback selesai: ${dibatalkan.join(', ')}`
+                : 'Belum ada migration yang dijalankan.');
+        } else if (perintah === 'status') {
+            for (const item of await migrationStatus(db)) {
+                const keterangan = item.missing ? 'FILE HILANG' : (item.applied_at ? item.applied_at.toISOString() : 'pending');
+                console.log(`${item.id.padEnd(45)} ${keterangan}`);
+            }
+        } else {
+            await migrate(db, { client, lock });
+            await seed(db);
+        }
+        return 0;
+    } catch (err) {
+        console.error(`Perintah '${perintah}' gagal:`, err.message);
+        return 1;
+    } finally {
+        await client.close();
+    }
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(code => process.exit(code));
+}
+
+module.exports = {
+    migrate,
+    rollback,
+    migrationStatus,
+    seed,
+    ensureCollections,
+    ensureIndexes,
+    dropIndexes
+};
@@ -0,0 +1,116 @@
+// 001 - Collection & index yang sebelumnya dibuat langsung di connectWithRetry.
+// Aman dijalankan pada database lama: collection / index yang sudah ada dilewati.
+// down hanya menghapus index, collection beserta datanya tidak ikut dihapus.
+
+const { ensureCollections, ensureIndexes, dropIndexes } = require('../migrate');
+
+const COLLECTIONS = [
+    'posts', 'produk', 'kategori', 'supplier', 'orders', 'harga_riwayat', 'harga_jadwal',
+    'comments', 'stok_mutasi', 'users', 'audit_log', 'alerts', 'webhooks', 'webhook_deliveries'
+];
+
+const INDEXES = {
+    produk: [
+        { key: { kode_produk: 1 }, unique: true, name: 'idx_kode_produk_unique' },
+        { key: { nama_produk: 'text', deskripsi: 'text' }, name: 'idx_produk_text_search' },
+        { key: { kategori: 1 }, name: 'idx_kategori' },
+        { key: { harga: 1 }, name: 'idx_harga' },
+        // Sort key + _id untuk pagination cursor (lihat paginate())
+        { key: { tanggal_dibuat: -1, _id: -1 }, name: 'idx_tanggal_dibuat_id' },
+        { key: { stok: 1, _id: 1 }, name: 'idx_stok_id' },
+        { key: { nama_produk: 1, _id: 1 }, name: 'idx_nama_produk_id' },
+        { key: { kategori_id: 1 }, name: 'idx_kategori_id' },
+        { key: { supplier_id: 1 }, name: 'idx_supplier_id' },
+        { key: { harga_efektif: 1 }, name: 'idx_harga_efektif' }
+    ],
+    posts: [
+        // Bobot title > author > content, default_language 'none' karena konten berbahasa
+        // Indonesia (stemming bahasa Inggris justru memotong kata dengan salah)
+        {
+            key: { title: 'text', content: 'text', author: 'text' },
+            name: 'idx_posts_text_search',
+            weights: { title: 10, author: 5, content: 1 },
+            default_language: 'none'
+        },
+        { key: { created_at: -1, _id: -1 }, name: 'idx_created_at_id' },
+        // Unique hanya untuk dokumen yang punya slug
+        { key: { slug: 1 }, unique: true, partialFilterExpression: { slug: { $type: 'string' } }, name: 'idx_posts_slug_unique' },
+        { key: { status: 1, publish_at: 1 }, name: 'idx_posts_status_publish' },
+        { key: { tags: 1 }, name: 'idx_posts_tags' }
+    ],
+    // Nama dinormalisasi (lowercase, spasi dirapikan) supaya 'Elektronik' dan 'elektronik ' tidak dobel
+    kategori: [
+        { key: { nama_normal: 1 }, unique: true, name: 'idx_kategori_nama_unique' },
+        { key: { parent_id: 1 }, name: 'idx_kategori_parent' }
+    ],
+    supplier: [
+        { key: { nama_normal: 1 }, unique: true, name: 'idx_supplier_nama_unique' }
+    ],
+    orders: [
+        { key: { nomor: 1 }, unique: true, name: 'idx_orders_nomor_unique' },
+        { key: { status: 1, created_at: -1 }, name: 'idx_orders_status_created' },
+        { key: { 'items.kode_produk': 1 }, name: 'idx_orders_kode_produk' }
+    ],
+    harga_riwayat: [
+        { key: { produk_id: 1, tanggal: -1 }, name: 'idx_harga_riwayat_produk' }
+    ],
+    harga_jadwal: [
+        { key: { tipe: 1, status: 1, mulai: 1 }, name: 'idx_harga_jadwal_antrian' },
+        { key: { produk_id: 1, mulai: -1 }, name: 'idx_harga_jadwal_produk' }
+    ],
+    'lampiran.files': [
+        { key: { 'metadata.resource': 1, 'metadata.resource_id': 1 }, name: 'idx_lampiran_resource' }
+    ],
+    comments: [
+        { key: { post_id: 1, parent_id: 1, created_at: 1 }, name: 'idx_comments_post_thread' },
+        { key: { status: 1, created_at: 1 }, name: 'idx_comments_moderasi' }
+    ],
+    stok_mutasi: [
+        { key: { produk_id: 1, tanggal: -1 }, name: 'idx_mutasi_produk_tanggal' }
+    ],
+    users: [
+        { key: { username: 1 }, unique: true, name: 'idx_username_unique' }
+    ],
+    audit_log: [
+        { key: { resource: 1, resource_id: 1, timestamp: -1 }, name: 'idx_audit_resource' },
+        { key: { timestamp: -1 }, name: 'idx_audit_timestamp' }
+    ],
+    // Maksimal satu alert aktif (open / acknowledged) per produk & tipe
+    alerts: [
+        { key: { produk_id: 1, tipe: 1 }, unique: true, partialFilterExpression: { aktif: true }, name: 'idx_alert_aktif_unique' },
+        { key: { status: 1, created_at: -1 }, name: 'idx_alert_status_created' }
+    ],
+    webhooks: [
+        { key: { aktif: 1, events: 1 }, name: 'idx_webhook_events' }
+    ],
+    webhook_deliveries: [
+        { key: { status: 1, next_attempt_at: 1 }, name: 'idx_delivery_antrian' },
+        { key: { webhook_id: 1, created_at: -1 }, name: 'idx_delivery_webhook' }
+    ],
+    // Counter rate limiter jika RATE_LIMIT_STORE=mongo, dihapus otomatis setelah expires_at
+    rate_limits: [
+        { key: { expires_at: 1 }, expireAfterSeconds: 0, name: 'idx_rate_limits_ttl' }
+    ]
+};
+
+module.exports = {
+    description: 'Collection & index awal (posts, produk, master data, orders, audit, dll)',
+    
+    // Dipakai /health/ready untuk membandingkan index yang seharusnya ada
+    INDEXES,
+    
+    // Collection yang ditulis di dalam transaksi harus dibuat lebih dulu
+    // (MongoDB < 4.4 tidak bisa membuat collection di dalam transaksi)
+    async up({ db, logger }) {
+        await ensureCollections(db, COLLECTIONS, logger);
+        for (const [collectionName, indexes] of Object.entries(INDEXES)) {
+            await ensureIndexes(db, collectionName, indexes, logger);
+        }
+    },
+    
+    async down({ db }) {
+        for (const [collectionName, indexes] of Object.entries(INDEXES)) {
+            await dropIndexes(db, collectionName, indexes.map(index => index.name));
+        }
+    }
+};
@@ -0,0 +1,61 @@
+// 002 - Backfill posts lama yang dibuat sebelum ada created_at, status, slug & tags.
+// created_at diambil dari timestamp di _id, post tanpa status dianggap published
+// (sama dengan PUBLISHED_FILTER di server.js), slug dibuat dari judul.
+// version dinaikkan supaya ETag lama tidak lagi dianggap sama.
+
+const SLUG_MAX_LENGTH = 80;
+
+// Salinan slugify() di server.js pada saat migration ini ditulis
+function slugify(text) {
+    const slug = String(text || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '') // Buang diakritik (é -> e)
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .slice(0, SLUG_MAX_LENGTH)
+        .replace(/^-+|-+$/g, '');
+    return slug || 'post';
+}
+
+module.exports = {
+    description: 'Backfill created_at, updated_at, status, published_at, tags & slug posts lama',
+    
+    async up({ db, logger }) {
+        const posts = db.collection('posts');
+        
+        const timestamps = await posts.updateMany(
+            { created_at: { $exists: false } },
+            [{ $set: { created_at: { $toDate: '$_id' }, version: { $add: [{ $ifNull: ['$version', 0] }, 1] } } }]
+        );
+        await posts.updateMany(
+            { updated_at: { $exists: false } },
+            [{ $set: { updated_at: '$created_at' } }]
+        );
+        
+        const status = await posts.updateMany(
+            { status: { $exists: false } },
+            [{ $set: { status: 'published', published_at: '$created_at', version: { $add: [{ $ifNull: ['$version', 0] }, 1] } } }]
+        );
+        await posts.updateMany({ tags: { $exists: false } }, { $set: { tags: [] } });
+        
+        // Slug satu per satu supaya unik terhadap slug yang sudah ada
+        const dipakai = new Set(await posts.distinct('slug', { slug: { $type: 'string' } }));
+        const tanpaSlug = posts.find({ slug: { $not: { $type: 'string' } } }, { projection: { title: 1 } });
+        let slugCount = 0;
+        for await (const post of tanpaSlug) {
+            const base = slugify(post.title);
+            let slug = base;
+            for (let n = 2; dipakai.has(slug); n++) {
+                slug = `${base}-${n}`;
+            }
+            dipakai.add(slug);
+            await posts.updateOne({ _id: post._id }, { $set: { slug }, $inc: { version: 1 } });
+            slugCount++;
+        }
+        
+        logger.info(`Backfill posts: ${timestamps.modifiedCount} created_at, ${status.modifiedCount} status, ${slugCount} slug.`);
+    },
+    
+    // Data hasil backfill tetap valid untuk versi kode sebelumnya, tidak ada yang dibatalkan
+    async down() {}
+};
@@ -0,0 +1,77 @@
+// 003 - Backfill produk lama: kategori_id / supplier_id dari nama kategori & supplier
+// (master data dibuat jika belum terdaftar) dan harga_efektif dari harga.
+// Sebelumnya harga_efektif diisi ulang setiap server start di connectWithRetry.
+
+// Sama dengan normalizeNama() di server.js
+function normalizeNama(nama) {
+    return String(nama).trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+// Pastikan master data `name` untuk setiap nama yang dipakai produk, lalu isi `${name}_id`
+async function backfillReferensi(db, name) {
+    const idField = `${name}_id`;
+    const tanpaId = { [idField]: { $exists: false }, [name]: { $type: 'string', $ne: '' } };
+    const namaList = await db.collection('produk').distinct(name, tanpaId);
+    const now = new Date();
+    let count = 0;
+    
+    for (const nama of namaList) {
+        const result = await db.collection(name).findOneAndUpdate(
+            { nama_normal: normalizeNama(nama) },
+            {
+                $setOnInsert: {
+                    nama: nama.trim().replace(/\s+/g, ' '),
+                    nama_normal: normalizeNama(nama),
+                    ...(name === 'kategori' ? { deskripsi: '', parent_id: null } : { kontak: '', telepon: '', email: '', alamat: '' }),
+                    created_at: now,
+                    updated_at: now,
+                    version: 1
+                }
+            },
+            { upsert: true, returnDocument: 'after', includeResultMetadata: true }
+        );
+        const master = result.value;
+        
+        // Pipeline update supaya produk lama tanpa version dihitung dari 0 (sama dengan harga_efektif di bawah)
+        const updated = await db.collection('produk').updateMany(
+            { ...tanpaId, [name]: nama },
+            [{
+                $set: {
+                    [idField]: master._id,
+                    [name]: { $literal: master.nama }, // Nama diawali '$' bukan field path
+                    version: { $add: [{ $ifNull: ['$version', 0] }, 1] }
+                }
+            }]
+        );
+        count += updated.modifiedCount;
+    }
+    
+    // Supplier opsional: produk tanpa supplier mendapat supplier_id null
+    if (name === 'supplier') {
+        await db.collection('produk').updateMany(
+            { supplier_id: { $exists: false } },
+            { $set: { supplier_id: null, supplier: '' } }
+        );
+    }
+    return { count, master: namaList.length };
+}
+
+module.exports = {
+    description: 'Backfill kategori_id, supplier_id & harga_efektif produk lama',
+    
+    async up({ db, logger }) {
+        const kategori = await backfillReferensi(db, 'kategori');
+        const supplier = await backfillReferensi(db, 'supplier');
+        
+        const harga = await db.collection('produk').updateMany(
+            { harga_efektif: { $exists: false }, harga: { $type: 'number' } },
+            [{ $set: { harga_efektif: '$harga', version: { $add: [{ $ifNull: ['$version', 0] }, 1] } } }]
+        );
+        
+        logger.info(`Backfill produk: ${kategori.count} kategori_id (${kategori.master} kategori), ` +
+            `${supplier.count} supplier_id (${supplier.master} supplier), ${harga.modifiedCount} harga_efektif.`);
+    },
+    
+    // Referensi & harga_efektif dipakai kode sejak fitur master data / harga, tidak dibatalkan
+    async down() {}
+};
@@ -0,0 +1,89 @@
+// Data contoh untuk development lokal (node migrate.js seed).
+// Produk mereferensikan kategori & supplier berdasarkan nama.
+
+module.exports = {
+    kategori: [
+        { nama: 'Elektronik', deskripsi: 'Perangkat elektronik dan aksesoris' },
+        { nama: 'Alat Tulis', deskripsi: 'Perlengkapan kantor dan sekolah' },
+        { nama: 'Makanan', deskripsi: 'Makanan ringan dan minuman' }
+    ],
+    supplier: [
+        { nama: 'PT Sumber Elektrik', kontak: 'Budi', telepon: '021-5550101', email: 'sales@sumberelektrik.test', alamat: 'Jakarta' },
+        { nama: 'CV Kertas Jaya', kontak: 'Sari', telepon: '022-5550202', email: 'order@kertasjaya.test', alamat: 'Bandung' }
+    ],
+    produk: [
+        {
+            kode_produk: 'ELK-001',
+            nama_produk: 'Mouse Wireless',
+            kategori: 'Elektronik',
+            supplier: 'PT Sumber Elektrik',
+            harga: 125000,
+            stok: 40,
+            stok_minimum: 5,
+            deskripsi: 'Mouse wireless 2.4GHz dengan receiver USB'
+        },
+        {
+            kode_produk: 'ELK-002',
+            nama_produk: 'Keyboard Mekanik',
+            kategori: 'Elektronik',
+            supplier: 'PT Sumber Elektrik',
+            harga: 450000,
+            stok: 15,
+            stok_minimum: 3,
+            deskripsi: 'Keyboard mekanik switch biru, layout US'
+        },
+        {
+            kode_produk: 'ATK-001',
+            nama_produk: 'Buku Tulis 58 Lembar',
+            kategori: 'Alat Tulis',
+            supplier: 'CV Kertas Jaya',
+            harga: 5000,
+            stok: 500,
+            stok_minimum: 50,
+            deskripsi: 'Buku tulis bergaris isi 58 lembar'
+        },
+        {
+            kode_produk: 'ATK-002',
+            nama_produk: 'Pulpen Gel Hitam',
+            kategori: 'Alat Tulis',
+            supplier: 'CV Kertas Jaya',
+            harga: 3500,
+            stok: 300,
+            stok_minimum: 30,
+            deskripsi: 'Pulpen gel 0.5mm tinta hitam'
+        },
+        {
+            kode_produk: 'MKN-001',
+            nama_produk: 'Keripik Singkong',
+            kategori: 'Makanan',
+            supplier: '',
+            harga: 12000,
+            stok: 80,
+            stok_minimum: 10,
+            deskripsi: 'Keripik singkong pedas 200 gram'
+        }
+    ],
+    posts: [
+        {
+            title: 'Selamat Datang di Praktikum MongoDB',
+            slug: 'selamat-datang-di-praktikum-mongodb',
+            content: 'Post contoh untuk mencoba endpoint posts: pagination, pencarian dan komentar.',
+            author: 'admin',
+            tags: ['mongodb', 'praktikum']
+        },
+        {
+            title: 'Tips Membuat Index yang Efektif',
+            slug: 'tips-membuat-index-yang-efektif',
+            content: 'Gunakan explain() untuk melihat apakah query memakai index, dan buat compound index sesuai urutan filter dan sort.',
+            author: 'admin',
+            tags: ['mongodb', 'index']
+        },
+        {
+            title: 'Transaksi di Replica Set',
+            slug: 'transaksi-di-replica-set',
+            content: 'Transaksi multi-dokumen hanya tersedia di replica set atau sharded cluster.',
+            author: 'admin',
+            tags: ['mongodb', 'transaksi']
+        }
+    ]
+};
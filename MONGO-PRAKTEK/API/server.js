@@ -1,898 +1,7942 @@
 // server.js
 
 const express = require('express');
-const { MongoClient, ObjectId } = require('mongodb');
+const { MongoClient, ObjectId, BSON, GridFSBucket } = require('mongodb');
+const crypto = require('crypto');
+const dns = require('dns');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const path = require('path');
+const { promisify } = require('util');
+const { once } = require('events');
+const { AsyncLocalStorage } = require('async_hooks');
+const { STATUS_CODES } = require('http');
+const { migrate: runMigrations, migrationStatus } = require('./migrate');
+const { INDEXES: EXPECTED_INDEXES } = require('./migrations/001-collection-dan-index-awal');
+const { loadConfig, mongoUri, mongoClientOptions, redactConfig, redactUri, ConfigError } = require('./config');
+
+// Konfigurasi dari environment variable + config file opsional (lihat config.js).
+// Konfigurasi tidak valid menghentikan proses sebelum apa pun dijalankan.
+let appConfig;
+try {
+    appConfig = loadConfig();
+} catch (err) {
+    if (!(err instanceof ConfigError)) throw err;
+    process.stderr.write(JSON.stringify({
+        time: new Date().toISOString(),
+        level: 'error',
+        msg: 'Konfigurasi tidak valid, server tidak dijalankan',
+        errors: err.errors
+    }) + '\n');
+    process.exit(1);
+}
 
 const app = express();
-const port = 3000; // API kita akan berjalan di port 3000
-app.use(express.json());
+const port = appConfig.server.port; // Default 3000 (PORT)
 
-// ---- Konfigurasi Koneksi MongoDB ----
-// Kita akan mengambil info koneksi dari Environment Variables
-// yang akan kita set di docker-compose.yml
+// =============================================================================
+// LOGGING & METRICS - Log JSON terstruktur, X-Request-Id dan endpoint Prometheus
+// =============================================================================
+
+// Semua log ditulis sebagai satu baris JSON (stdout, error & warn ke stderr).
+// Log yang ditulis selama request berjalan otomatis membawa request_id lewat
+// AsyncLocalStorage, jadi log error di catch block bisa dikaitkan ke request-nya.
+
+const LOG_LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+const LOG_LEVEL = appConfig.log.level;
+const requestContext = new AsyncLocalStorage();
+
+// Argumen tambahan: Error -> error & stack, object -> field log, selain itu -> detail
+function writeLog(level, message, args) {
+    if (LOG_LEVELS[level] > LOG_LEVELS[LOG_LEVEL]) return;
+    
+    const entry = {
+        time: new Date().toISOString(),
+        level,
+        msg: String(message).replace(/:\s*$/, '')
+    };
+    const context = requestContext.getStore();
+    if (context) entry.request_id = context.requestId;
+    
+    const detail = [];
+    for (const arg of args) {
+        if (arg instanceof Error) {
+            entry.error = arg.message;
+            if (arg.code !== undefined) entry.error_code = arg.code;
+            entry.stack = arg.stack;
+        } else if (arg && typeof arg === 'object') {
+            Object.assign(entry, arg);
+        } else if (arg !== undefined) {
+            detail.push(String(arg));
+        }
+    }
+    if (detail.length > 0) entry.detail = detail.join(' ');
+    
+    metrics.logMessages.inc({ level });
+    const line = JSON.stringify(entry) + '\n';
+    (LOG_LEVELS[level] <= LOG_LEVELS.warn ? process.stderr : process.stdout).write(line);
+}
+
+const logger = {
+    error: (message, ...args) => writeLog('error', message, args),
+    warn: (message, ...args) => writeLog('warn', message, args),
+    info: (message, ...args) => writeLog('info', message, args),
+    debug: (message, ...args) => writeLog('debug', message, args)
+};
+
+// ---- Registry metric sederhana (format text Prometheus) ----
+
+const HTTP_DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const MONGO_DURATION_BUCKETS = [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 5];
+
+function formatLabels(labels) {
+    const parts = Object.entries(labels)
+        .map(([key, value]) => `${key}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+    return parts.length > 0 ? `{${parts.join(',')}}` : '';
+}
+
+function createCounter(name, help) {
+    const values = new Map();
+    return {
+        inc(labels = {}, value = 1) {
+            const key = formatLabels(labels);
+            values.set(key, (values.get(key) || 0) + value);
+        },
+        render() {
+            const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+            for (const [key, value] of values) lines.push(`${name}${key} ${value}`);
+            return lines;
+        }
+    };
+}
+
+// Gauge dengan nilai yang dibaca saat scrape (collect) atau di-set/inc manual
+function createGauge(name, help, collect) {
+    const values = new Map();
+    return {
+        inc(labels = {}, value = 1) {
+            const key = formatLabels(labels);
+            values.set(key, (values.get(key) || 0) + value);
+        },
+        dec(labels = {}, value = 1) {
+            this.inc(labels, -value);
+        },
+        render() {
+            if (collect) {
+                for (const [labels, value] of collect()) values.set(formatLabels(labels), value);
+            }
+            const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} gauge`];
+            for (const [key, value] of values) lines.push(`${name}${key} ${value}`);
+            return lines;
+        }
+    };
+}
+
+function createHistogram(name, help, buckets) {
+    const series = new Map(); // labels -> { labels, counts, sum, count }
+    return {
+        observe(labels, seconds) {
+            const key = formatLabels(labels);
+            let entry = series.get(key);
+            if (!entry) {
+                entry = { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+                series.set(key, entry);
+            }
+            buckets.forEach((le, i) => {
+                if (seconds <= le) entry.counts[i]++;
+            });
+            entry.sum += seconds;
+            entry.count++;
+        },
+        render() {
+            const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+            for (const [key, entry] of series) {
+                buckets.forEach((le, i) => {
+                    lines.push(`${name}_bucket${formatLabels({ ...entry.labels, le })} ${entry.counts[i]}`);
+                });
+                lines.push(`${name}_bucket${formatLabels({ ...entry.labels, le: '+Inf' })} ${entry.count}`);
+                lines.push(`${name}_sum${key} ${entry.sum}`);
+                lines.push(`${name}_count${key} ${entry.count}`);
+            }
+            return lines;
+        }
+    };
+}
+
+const metrics = {
+    httpRequests: createCounter('http_requests_total', 'Jumlah request HTTP per route, method dan status'),
+    httpDuration: createHistogram('http_request_duration_seconds', 'Latency request HTTP per route', HTTP_DURATION_BUCKETS),
+    httpErrors: createCounter('http_request_errors_total', 'Jumlah response HTTP 5xx per route'),
+    logMessages: createCounter('log_messages_total', 'Jumlah baris log per level'),
+    mongoCommands: createCounter('mongodb_commands_total', 'Jumlah command MongoDB per nama command dan hasil'),
+    mongoCommandDuration: createHistogram('mongodb_command_duration_seconds', 'Durasi command MongoDB', MONGO_DURATION_BUCKETS),
+    mongoConnections: createGauge('mongodb_pool_connections', 'Koneksi di connection pool MongoDB (open = terbuka, checked_out = sedang dipakai)'),
+    mongoCheckoutFailures: createCounter('mongodb_pool_checkout_failures_total', 'Jumlah gagal mengambil koneksi dari pool per alasan'),
+    mongoPoolCleared: createCounter('mongodb_pool_cleared_total', 'Jumlah pool di-clear karena error jaringan / server'),
+    uptime: createGauge('process_uptime_seconds', 'Lama proses berjalan', () => [[{}, Math.round(process.uptime())]]),
+    memory: createGauge('process_resident_memory_bytes', 'Memori resident proses', () => [[{}, process.memoryUsage().rss]]),
+    heap: createGauge('nodejs_heap_used_bytes', 'Heap V8 yang terpakai', () => [[{}, process.memoryUsage().heapUsed]])
+};
+
+// Pasang listener monitoring driver ke MongoClient (command & connection pool)
+function instrumentMongoClient(mongoClient) {
+    mongoClient.on('commandSucceeded', (event) => {
+        metrics.mongoCommands.inc({ command: event.commandName, status: 'success' });
+        metrics.mongoCommandDuration.observe({ command: event.commandName }, event.duration / 1000);
+    });
+    mongoClient.on('commandFailed', (event) => {
+        metrics.mongoCommands.inc({ command: event.commandName, status: 'failed' });
+        metrics.mongoCommandDuration.observe({ command: event.commandName }, event.duration / 1000);
+        logger.debug('Command MongoDB gagal', { command: event.commandName, duration_ms: event.duration, error: event.failure && event.failure.message });
+    });
+    mongoClient.on('connectionCreated', () => metrics.mongoConnections.inc({ state: 'open' }));
+    mongoClient.on('connectionClosed', () => metrics.mongoConnections.dec({ state: 'open' }));
+    mongoClient.on('connectionCheckedOut', () => metrics.mongoConnections.inc({ state: 'checked_out' }));
+    mongoClient.on('connectionCheckedIn', () => metrics.mongoConnections.dec({ state: 'checked_out' }));
+    mongoClient.on('connectionCheckOutFailed', (event) => metrics.mongoCheckoutFailures.inc({ reason: event.reason }));
+    mongoClient.on('connectionPoolCleared', () => metrics.mongoPoolCleared.inc());
+}
+
+// Label route memakai pola route Express (/api/produk/:id), bukan path asli,
+// supaya jumlah seri metric tidak meledak karena id
+function routeLabel(req, res) {
+    if (req.route) return `${req.baseUrl}${req.route.path}`;
+    return res.statusCode === 404 ? 'not_found' : 'unmatched';
+}
+
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// Middleware pertama: request id, log per request dan metric HTTP
+app.use((req, res, next) => {
+    const incoming = req.get('X-Request-Id');
+    req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+    res.set('X-Request-Id', req.id);
+    
+    const start = process.hrtime.bigint();
+    res.on('finish', () => {
+        const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+        const route = routeLabel(req, res);
+        
+        metrics.httpRequests.inc({ method: req.method, route, status: res.statusCode });
+        metrics.httpDuration.observe({ method: req.method, route }, seconds);
+        if (res.statusCode >= 500) metrics.httpErrors.inc({ method: req.method, route, status: res.statusCode });
+        
+        requestContext.run({ requestId: req.id }, () => {
+            logger[res.statusCode >= 500 ? 'error' : 'info']('request', {
+                method: req.method,
+                route,
+                path: req.originalUrl.split('?')[0],
+                status: res.statusCode,
+                duration_ms: Math.round(seconds * 1e6) / 1e3,
+                user: req.user ? req.user.username : undefined,
+                ip: req.ip
+            });
+        });
+    });
+    
+    requestContext.run({ requestId: req.id }, next);
+});
+
+// GET /metrics - Format text Prometheus. Jika METRICS_TOKEN di-set, scraper wajib
+// mengirim header Authorization: Bearer <METRICS_TOKEN>.
+app.get('/metrics', (req, res) => {
+    const metricsToken = appConfig.metrics.token;
+    if (metricsToken && req.get('Authorization') !== `Bearer ${metricsToken}`) {
+        return res.status(401).json({
+            success: false,
+            message: 'Token metrics tidak valid'
+        });
+    }
+    
+    const lines = Object.values(metrics).flatMap(metric => metric.render());
+    res.type('text/plain; version=0.0.4').send(lines.join('\n') + '\n');
+});
+
+// =============================================================================
+// ERROR HANDLING - Error class bertipe & response application/problem+json
+// =============================================================================
+
+// Semua response error memakai format RFC 7807 (application/problem+json) dengan
+// `code` yang stabil untuk dibaca mesin. Field lama (success, message, errors, ...)
+// tetap ada supaya client yang sudah ada tidak rusak. Detail internal (pesan
+// MongoDB, stack trace) hanya masuk log, client menerima pesan yang aman.
+
+const PROBLEM_TYPE_BASE = appConfig.server.problemTypeBase;
+
+// Code default per status HTTP jika response tidak menyebutkan code sendiri
+const ERROR_CODES = {
+    400: 'bad_request',
+    401: 'unauthorized',
+    403: 'forbidden',
+    404: 'not_found',
+    409: 'conflict',
+    412: 'precondition_failed',
+    413: 'payload_too_large',
+    415: 'unsupported_media_type',
+    416: 'range_not_satisfiable',
+    422: 'unprocessable_entity',
+    428: 'precondition_required',
+    429: 'rate_limited',
+    500: 'internal_error',
+    503: 'service_unavailable'
+};
+
+class ApiError extends Error {
+    constructor(status, code, message, extra = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.status = status;
+        this.code = code;
+        this.extra = extra;
+    }
+}
 
-// Perhatikan: host-nya adalah 'mongo', nama service di docker-compose
-const host = process.env.MONGO_HOST || 'mongo'; 
-const user = process.env.MONGO_USER || 'admin';
-const password = process.env.MONGO_PASSWORD || 'password';
-const dbName = 'db_kampus'; // Kita akan gunakan db_kampus
+class ValidationError extends ApiError {
+    constructor(message, errors = []) {
+        super(400, 'validation_failed', message, { errors });
+    }
+}
+
+class AuthError extends ApiError {
+    constructor(message) {
+        super(401, 'unauthorized', message);
+    }
+}
+
+class ForbiddenError extends ApiError {
+    constructor(message) {
+        super(403, 'forbidden', message);
+    }
+}
+
+class NotFoundError extends ApiError {
+    constructor(message) {
+        super(404, 'not_found', message);
+    }
+}
+
+class ConflictError extends ApiError {
+    constructor(message, extra = {}) {
+        super(409, 'conflict', message, extra);
+    }
+}
+
+class DatabaseUnavailableError extends ApiError {
+    constructor(message = 'Database sedang tidak tersedia, coba lagi beberapa saat lagi') {
+        super(503, 'database_unavailable', message, { retry_after: 5 });
+    }
+}
+
+// Error driver yang berarti MongoDB tidak bisa dihubungi (bukan kesalahan request)
+const MONGO_UNAVAILABLE_ERRORS = [
+    'MongoNetworkError',
+    'MongoNetworkTimeoutError',
+    'MongoServerSelectionError',
+    'MongoNotConnectedError',
+    'MongoTopologyClosedError'
+];
+
+// Pesan aman untuk client jika err ternyata error internal (dipakai di catch handler)
+function withPublicMessage(err, message) {
+    if (err instanceof Error && !err.publicMessage) err.publicMessage = message;
+    return err;
+}
+
+// Ubah error apa pun (ApiError, error MongoDB, error body-parser) menjadi ApiError
+function toApiError(err) {
+    if (err instanceof ApiError) return err;
+    
+    if (err && err.code === 11000) {
+        const fields = Object.keys(err.keyValue || err.keyPattern || {});
+        return new ConflictError(
+            fields.length > 0 ? `Nilai ${fields.join(', ')} sudah digunakan oleh data lain` : 'Data sudah digunakan oleh data lain',
+            { fields }
+        );
+    }
+    if (err && (MONGO_UNAVAILABLE_ERRORS.includes(err.name))) {
+        return new DatabaseUnavailableError();
+    }
+    
+    // Error dari express.json() / express.raw()
+    switch (err && err.type) {
+        case 'entity.parse.failed':
+            return new ApiError(400, 'malformed_json', 'Body request bukan JSON yang valid');
+        case 'entity.too.large':
+            return new ApiError(413, 'payload_too_large', `Body request terlalu besar (maksimal ${appConfig.server.jsonBodyLimit})`);
+        case 'encoding.unsupported':
+        case 'charset.unsupported':
+            return new ApiError(415, 'unsupported_media_type', 'Encoding body request tidak didukung');
+    }
+    const status = err && (err.status || err.statusCode);
+    if (status >= 400 && status < 500) {
+        return new ApiError(status, ERROR_CODES[status] || `http_${status}`, err.expose ? err.message : 'Request tidak valid');
+    }
+    
+    return new ApiError(500, 'internal_error', (err && err.publicMessage) || 'Terjadi kesalahan pada server');
+}
+
+// Bentuk body problem+json dari body error lama { success: false, message, ... }
+function problemBody(req, status, body) {
+    const { success, message, code, ...extra } = body;
+    const problemCode = code || (status === 400 && extra.errors ? 'validation_failed' : ERROR_CODES[status] || `http_${status}`);
+    return {
+        type: `${PROBLEM_TYPE_BASE}${problemCode}`,
+        title: STATUS_CODES[status] || 'Error',
+        status,
+        detail: message,
+        instance: req.originalUrl,
+        code: problemCode,
+        request_id: req.id,
+        success: false,
+        message,
+        ...extra
+    };
+}
+
+// Semua res.json() dengan status >= 400 dan success: false dikirim sebagai problem+json
+app.use((req, res, next) => {
+    const json = res.json.bind(res);
+    res.json = (body) => {
+        if (res.statusCode >= 400 && body && body.success === false && !body.type) {
+            res.type('application/problem+json');
+            return json(problemBody(req, res.statusCode, body));
+        }
+        return json(body);
+    };
+    next();
+});
+
+// Error middleware terakhir: handler cukup memanggil next(err)
+function errorHandler(err, req, res, next) {
+    const apiError = toApiError(err);
+    
+    if (apiError.status >= 500 && !(err instanceof ApiError)) {
+        logger.error(`Error ${req.method} ${routeLabel(req, res)}`, err, { code: apiError.code });
+    } else if (apiError.status >= 500) {
+        // Error yang memang dilempar dengan sengaja (misalnya database belum siap)
+        logger.warn(`Request gagal ${req.method} ${routeLabel(req, res)}`, { code: apiError.code, error: apiError.message });
+    } else {
+        logger.debug(`Request ditolak ${req.method} ${routeLabel(req, res)}`, { code: apiError.code, error: apiError.message });
+    }
+    
+    if (res.headersSent) return next(err);
+    if (apiError.extra.retry_after) res.set('Retry-After', String(apiError.extra.retry_after));
+    
+    res.status(apiError.status).json({
+        success: false,
+        message: apiError.message,
+        code: apiError.code,
+        ...apiError.extra
+    });
+}
 
-// Jika credentials adalah root user yang dibuat oleh MONGO_INITDB_ROOT_USERNAME
-// maka kita perlu menghubungkan dengan authSource=admin
-const url = `mongodb://${user}:${password}@${host}:27017/?authSource=admin`;
+// Di belakang reverse proxy (nginx, load balancer) set TRUST_PROXY, misalnya '1' atau
+// 'loopback', supaya req.ip (dipakai rate limiter) berisi IP client asli
+if (appConfig.server.trustProxy) {
+    const trustProxy = appConfig.server.trustProxy;
+    app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy) : (trustProxy === 'true' || trustProxy));
+}
+
+// Terima juga content type untuk PATCH (JSON Merge Patch & JSON Patch).
+// Body lebih besar dari JSON_BODY_LIMIT ditolak dengan 413.
+app.use(express.json({
+    type: ['application/json', 'application/merge-patch+json', 'application/json-patch+json'],
+    limit: appConfig.server.jsonBodyLimit
+}));
+
+// ---- Konfigurasi Koneksi MongoDB ----
+// MONGO_URI, atau MONGO_HOST / MONGO_USER / MONGO_PASSWORD yang di-set di
+// docker-compose.yml (host default 'mongo', nama service di docker-compose).
+// Pool, timeout & TLS diatur lewat config (lihat mongoClientOptions() di config.js).
+const url = mongoUri(appConfig);
+const dbName = appConfig.mongo.database; // Default db_kampus, bisa beda per environment / test run
 
 let db;
 let client;
+let server;
+
+// Status untuk readiness probe: dbReady = setup (collection, index, validator) selesai,
+// dbAvailable = driver melihat server MongoDB yang bisa dipakai (dari event topology)
+let dbReady = false;
+let dbAvailable = false;
+let shuttingDown = false;
+const validatorErrors = []; // Validator $jsonSchema yang gagal dipasang saat setup terakhir
+let migrationState = null; // { checked_at, pending: [id migration yang belum jalan] }
 
 // Connect with retry/backoff so container doesn't immediately exit if MongoDB
 // is not yet ready. This is friendlier than process.exit and works well with
 // Docker restart policies.
 async function connectWithRetry(retries = 0) {
     try {
-        client = new MongoClient(url);
-        console.log(`Mencoba terhubung ke MongoDB di: ${host}...`);
+        validatorErrors.length = 0;
+        // monitorCommands: event command dipakai untuk metric /metrics
+        client = new MongoClient(url, { ...mongoClientOptions(appConfig), monitorCommands: true });
+        instrumentMongoClient(client);
+        client.on('topologyDescriptionChanged', (event) => {
+            const available = event.newDescription.hasDataBearingServers;
+            if (available !== dbAvailable) {
+                logger[available ? 'info' : 'warn'](available ? 'MongoDB tersedia kembali' : 'MongoDB tidak tersedia');
+            }
+            dbAvailable = available;
+        });
+        logger.info(`Mencoba terhubung ke MongoDB di: ${redactUri(url)}...`);
         await client.connect();
-        console.log('Berhasil terhubung ke MongoDB!');
+        logger.info('Berhasil terhubung ke MongoDB!');
 
         db = client.db(dbName);
 
-        // Pastikan collection 'posts' ada (buat jika belum ada)
-        const existingPosts = await db.listCollections({ name: 'posts' }).toArray();
-        if (existingPosts.length === 0) {
-            await db.createCollection('posts');
-            console.log("Collection 'posts' dibuat.");
+        // Collection, index & backfill data lama dikelola migration bernomor (lihat
+        // migrate.js & folder migrations/). Dengan MIGRATE_ON_START=false migration
+        // dijalankan terpisah lewat `node migrate.js up` sebelum deploy.
+        if (appConfig.migration.onStart) {
+            await runMigrations(db, {
+                client,
+                logger,
+                lock: { ttlMs: appConfig.migration.lockTtlMs, waitMs: appConfig.migration.lockWaitMs }
+            });
+        }
+        const pendingMigrations = (await migrationStatus(db)).filter(item => !item.applied_at);
+        migrationState = { checked_at: new Date(), pending: pendingMigrations.map(item => item.id) };
+        if (pendingMigrations.length > 0) {
+            logger.warn(`${pendingMigrations.length} migration belum dijalankan: ${migrationState.pending.join(', ')}`);
+        }
+
+        // === GRIDFS LAMPIRAN (gambar produk & cover post) ===
+        lampiranBucket = new GridFSBucket(db, { bucketName: 'lampiran' });
+
+        // Pasang schema posts, produk, kategori, supplier & comments sebagai validator $jsonSchema di MongoDB
+        await applyCollectionValidators();
+
+        // Transaksi hanya tersedia di replica set / sharded cluster (lihat runInTransaction)
+        const hello = await db.admin().command({ hello: 1 });
+        supportsTransactions = Boolean(hello.setName) || hello.msg === 'isdbgrid';
+        logger.info(supportsTransactions
+            ? 'Transaksi MongoDB tersedia: audit ditulis dalam transaksi yang sama.'
+            : 'MongoDB standalone: audit ditulis setelah perubahan dengan fallback file.');
+        await replayAuditFallback();
+        await ensureBootstrapAdmin();
+
+        dbReady = true;
+        logger.info('Setup database selesai, server siap menerima request.');
+
+        // Jalankan auto purge trash sekarang lalu secara berkala
+        if (trashRetentionDays > 0) {
+            purgeExpiredTrash();
+            setInterval(purgeExpiredTrash, TRASH_PURGE_INTERVAL_MS).unref();
+            logger.info(`Auto purge trash aktif (retensi ${trashRetentionDays} hari).`);
+        }
+
+        // Worker pengiriman webhook (antrian di collection webhook_deliveries)
+        processWebhookDeliveries();
+        setInterval(processWebhookDeliveries, WEBHOOK_POLL_INTERVAL_MS).unref();
+
+        // Scheduler publish post draft yang publish_at-nya sudah lewat
+        publishScheduledPosts();
+        setInterval(publishScheduledPosts, POST_SCHEDULER_INTERVAL_MS).unref();
+
+        // Scheduler jadwal harga & diskon
+        applyHargaJadwal();
+        setInterval(applyHargaJadwal, HARGA_SCHEDULER_INTERVAL_MS).unref();
+    } catch (err) {
+        logger.error('Koneksi ke MongoDB gagal:', err.message || err);
+        if (client) await client.close().catch(() => {});
+        if (shuttingDown) return;
+        // Exponential backoff, cap at 30s
+        const delay = Math.min(30000, 1000 * Math.pow(2, retries));
+        logger.info(`Mencoba lagi dalam ${Math.round(delay/1000)} detik... (attempt ${retries+1})`);
+        setTimeout(() => connectWithRetry(retries + 1), delay);
+    }
+}
+
+// Server HTTP langsung listen tanpa menunggu MongoDB: /health/live bisa dijawab
+// dan request lain mendapat 503 + Retry-After sampai setup database selesai
+// (route didaftarkan secara sinkron di bawah, sebelum request pertama diproses)
+server = app.listen(port, () => {
+    logger.info(`Server API berjalan di http://localhost:${port}`);
+});
+
+// Start initial connect attempts
+connectWithRetry();
+
+// Graceful shutdown: berhenti menerima koneksi baru, tunggu request yang sedang
+// berjalan selesai (maksimal SHUTDOWN_TIMEOUT_MS), baru tutup koneksi MongoDB
+const SHUTDOWN_TIMEOUT_MS = appConfig.server.shutdownTimeoutMs;
+
+async function shutdown(signal) {
+    if (shuttingDown) return;
+    shuttingDown = true;
+    logger.info(`${signal} diterima, menunggu request yang sedang berjalan selesai...`);
+    
+    const forceTimer = setTimeout(() => {
+        logger.warn(`Request belum selesai setelah ${SHUTDOWN_TIMEOUT_MS} ms, koneksi diputus paksa`);
+        server.closeAllConnections();
+    }, SHUTDOWN_TIMEOUT_MS);
+    forceTimer.unref();
+    
+    try {
+        await new Promise(resolve => {
+            server.close(resolve);
+            // Koneksi keep-alive yang sedang idle tidak perlu ditunggu
+            server.closeIdleConnections();
+        });
+        clearTimeout(forceTimer);
+        logger.info('Server HTTP ditutup, menutup koneksi MongoDB...');
+        if (client) await client.close();
+    } catch (err) {
+        logger.error('Error saat shutdown:', err);
+    } finally {
+        process.exit(0);
+    }
+}
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+
+// =============================================================================
+// RATE LIMITING - Batas request per user / IP dengan sliding window
+// =============================================================================
+
+// Setiap request dihitung ke satu kunci: user dari token (jika token valid) atau IP
+// client, dengan budget terpisah untuk baca (GET/HEAD/OPTIONS) dan tulis. Hitungan
+// memakai sliding window counter: jumlah window sebelumnya diberi bobot sesuai sisa
+// waktu + jumlah window sekarang. Store counter bisa di memori (satu instance) atau
+// di collection MongoDB dengan TTL index (banyak instance berbagi counter).
+// Jika store gagal (misalnya MongoDB belum siap), request tetap diteruskan.
+
+const RATE_LIMIT = {
+    enabled: appConfig.rateLimit.enabled,
+    store: appConfig.rateLimit.store, // 'memory' | 'mongo'
+    windowMs: appConfig.rateLimit.windowMs,
+    budgets: {
+        user: { read: appConfig.rateLimit.userRead, write: appConfig.rateLimit.userWrite },
+        ip: { read: appConfig.rateLimit.ipRead, write: appConfig.rateLimit.ipWrite }
+    },
+    skipPaths: ['/health'] // Monitoring tidak boleh kena 429
+};
+const RATE_LIMIT_COLLECTION = 'rate_limits';
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Store di memori: Map kunci -> { windowStart, current, previous }
+function createMemoryRateLimitStore(windowMs) {
+    const counters = new Map();
+    
+    // Buang counter yang sudah tidak mempengaruhi window sekarang
+    setInterval(() => {
+        const batas = Date.now() - 2 * windowMs;
+        for (const [key, entry] of counters) {
+            if (entry.windowStart < batas) counters.delete(key);
+        }
+    }, windowMs).unref();
+    
+    return {
+        async hit(key, windowStart) {
+            let entry = counters.get(key);
+            if (!entry) {
+                entry = { windowStart, current: 0, previous: 0 };
+                counters.set(key, entry);
+            } else if (entry.windowStart !== windowStart) {
+                entry.previous = entry.windowStart === windowStart - windowMs ? entry.current : 0;
+                entry.current = 0;
+                entry.windowStart = windowStart;
+            }
+            entry.current++;
+            return { current: entry.current, previous: entry.previous };
+        }
+    };
+}
+
+// Store di MongoDB: satu dokumen per kunci per window, dihapus TTL index setelah expires_at
+function createMongoRateLimitStore(windowMs) {
+    return {
+        async hit(key, windowStart) {
+            const result = await db.collection(RATE_LIMIT_COLLECTION).findOneAndUpdate(
+                { _id: `${key}|${windowStart}` },
+                { $inc: { count: 1 }, $setOnInsert: { expires_at: new Date(windowStart + 2 * windowMs) } },
+                { upsert: true, returnDocument: 'after', includeResultMetadata: true }
+            );
+            const previous = await db.collection(RATE_LIMIT_COLLECTION).findOne({ _id: `${key}|${windowStart - windowMs}` });
+            return { current: result.value.count, previous: previous ? previous.count : 0 };
+        }
+    };
+}
+
+const rateLimitStore = RATE_LIMIT.store === 'mongo'
+    ? createMongoRateLimitStore(RATE_LIMIT.windowMs)
+    : createMemoryRateLimitStore(RATE_LIMIT.windowMs);
+
+// Kunci & budget untuk request ini. Token tidak valid dihitung sebagai IP.
+function rateLimitIdentity(req) {
+    const jenis = READ_METHODS.includes(req.method) ? 'read' : 'write';
+    const [scheme, token] = (req.headers.authorization || '').split(' ');
+    const payload = scheme === 'Bearer' && token ? verifyToken(token) : null;
+    
+    return payload
+        ? { key: `user:${payload.sub}:${jenis}`, limit: RATE_LIMIT.budgets.user[jenis] }
+        : { key: `ip:${req.ip}:${jenis}`, limit: RATE_LIMIT.budgets.ip[jenis] };
+}
+
+// Middleware global: header RateLimit-* (draft IETF) di setiap response, 429 + Retry-After jika habis
+async function rateLimiter(req, res, next) {
+    if (!RATE_LIMIT.enabled || RATE_LIMIT.skipPaths.some(p => req.path === p || req.path.startsWith(`${p}/`))) {
+        return next();
+    }
+    
+    try {
+        const { key, limit } = rateLimitIdentity(req);
+        const now = Date.now();
+        const windowStart = Math.floor(now / RATE_LIMIT.windowMs) * RATE_LIMIT.windowMs;
+        const { current, previous } = await rateLimitStore.hit(key, windowStart);
+        
+        const bobot = 1 - (now - windowStart) / RATE_LIMIT.windowMs;
+        const terpakai = previous * bobot + current;
+        const resetDetik = Math.ceil((windowStart + RATE_LIMIT.windowMs - now) / 1000);
+        
+        res.set({
+            'RateLimit-Policy': `${limit};w=${Math.ceil(RATE_LIMIT.windowMs / 1000)}`,
+            'RateLimit-Limit': String(limit),
+            'RateLimit-Remaining': String(Math.max(0, Math.floor(limit - terpakai))),
+            'RateLimit-Reset': String(resetDetik)
+        });
+        
+        if (terpakai > limit) {
+            res.set('Retry-After', String(resetDetik));
+            return res.status(429).json({
+                success: false,
+                message: `Terlalu banyak request. Coba lagi dalam ${resetDetik} detik`,
+                retry_after: resetDetik
+            });
+        }
+    } catch (err) {
+        logger.error('Rate limiter gagal, request diteruskan:', err.message);
+    }
+    next();
+}
+
+app.use(rateLimiter);
+
+// =============================================================================
+// KETERSEDIAAN DATABASE - 503 selama MongoDB belum siap atau terputus
+// =============================================================================
+
+// Tanpa middleware ini handler akan crash di db.collection (db belum di-set) atau
+// menunggu server selection timeout. Health check, metrics & config tetap dijawab
+// (config justru paling dibutuhkan saat koneksi database bermasalah).
+const DB_OPTIONAL_PATHS = ['/health', '/metrics', '/api/admin/config'];
+
+function requireDatabase(req, res, next) {
+    // Selama shutdown, koneksi keep-alive ditutup setelah response ini
+    if (shuttingDown) res.set('Connection', 'close');
+    
+    if ((dbReady && dbAvailable) || DB_OPTIONAL_PATHS.some(p => req.path === p || req.path.startsWith(`${p}/`))) {
+        return next();
+    }
+    next(new DatabaseUnavailableError(dbReady
+        ? 'Koneksi ke database terputus, coba lagi beberapa saat lagi'
+        : 'Server sedang menyiapkan database, coba lagi beberapa saat lagi'));
+}
+
+app.use(requireDatabase);
+
+// =============================================================================
+// AUTENTIKASI & ROLE-BASED ACCESS CONTROL
+// =============================================================================
+
+// Secret untuk menandatangani token. WAJIB di-set lewat environment di production
+// (config menolak start di production tanpa JWT_SECRET).
+const jwtSecret = appConfig.auth.jwtSecret || 'dev-secret-ganti-di-production';
+if (!appConfig.auth.jwtSecret) {
+    logger.warn('PERINGATAN: JWT_SECRET tidak di-set, menggunakan secret default untuk development.');
+}
+const tokenTtlSeconds = appConfig.auth.tokenTtlSeconds; // Default 8 jam
+
+// Urutan role: role yang lebih tinggi mewarisi hak role di bawahnya
+// viewer = hanya baca, editor = tulis posts, admin = kelola produk & hapus data
+const ROLE_LEVEL = { viewer: 1, editor: 2, admin: 3 };
+
+const scryptAsync = promisify(crypto.scrypt);
+
+// Hash password dengan scrypt + salt acak. Format: scrypt$<salt>$<hash>
+async function hashPassword(plain) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = await scryptAsync(plain, salt, 64);
+    return `scrypt$${salt}$${hash.toString('hex')}`;
+}
+
+// Bandingkan password dengan hash tersimpan (timing-safe)
+async function verifyPassword(plain, stored) {
+    const [scheme, salt, hashHex] = String(stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hashHex) return false;
+    const expected = Buffer.from(hashHex, 'hex');
+    const actual = await scryptAsync(plain, salt, expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+function base64url(input) {
+    return Buffer.from(input).toString('base64')
+        .replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+function hmacSign(data) {
+    return base64url(crypto.createHmac('sha256', jwtSecret).update(data).digest());
+}
+
+// Buat JWT HS256 sederhana untuk user
+function signToken(user) {
+    const now = Math.floor(Date.now() / 1000);
+    const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+    const payload = base64url(JSON.stringify({
+        sub: user._id.toString(),
+        username: user.username,
+        role: user.role,
+        iat: now,
+        exp: now + tokenTtlSeconds
+    }));
+    return `${header}.${payload}.${hmacSign(`${header}.${payload}`)}`;
+}
+
+// Verifikasi JWT, return payload atau null jika tidak valid / kadaluarsa
+function verifyToken(token) {
+    const parts = String(token || '').split('.');
+    if (parts.length !== 3) return null;
+    
+    const [header, payload, signature] = parts;
+    const expected = Buffer.from(hmacSign(`${header}.${payload}`));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return null;
+    }
+    
+    try {
+        const headerData = JSON.parse(Buffer.from(header, 'base64').toString('utf8'));
+        const data = JSON.parse(Buffer.from(payload, 'base64').toString('utf8'));
+        if (headerData.alg !== 'HS256') return null;
+        if (!data.exp || data.exp < Math.floor(Date.now() / 1000)) return null;
+        return data;
+    } catch (e) {
+        return null;
+    }
+}
+
+// Baca Bearer token lalu ambil user pemiliknya dari database, sehingga perubahan role
+// dan penghapusan user langsung berlaku tanpa menunggu token kadaluarsa.
+// Return { id, username, role }, null jika tidak ada header Authorization.
+async function userFromToken(req) {
+    const header = req.headers.authorization || '';
+    if (!header) return null;
+    
+    const [scheme, token] = header.split(' ');
+    if (scheme !== 'Bearer' || !token) {
+        throw new AuthError('Autentikasi diperlukan. Sertakan header Authorization: Bearer <token>');
+    }
+    
+    const payload = verifyToken(token);
+    if (!payload || !ObjectId.isValid(payload.sub)) {
+        throw new AuthError('Token tidak valid atau sudah kadaluarsa');
+    }
+    
+    // Hanya endpoint di DB_OPTIONAL_PATHS yang sampai ke sini tanpa database:
+    // pakai isi token supaya endpoint tersebut tetap bisa diakses saat database bermasalah
+    if (!(dbReady && dbAvailable)) {
+        return { id: payload.sub, username: payload.username, role: payload.role };
+    }
+    
+    const user = await db.collection('users').findOne(
+        { _id: new ObjectId(payload.sub) },
+        { projection: { username: 1, role: 1 } }
+    );
+    if (!user) {
+        throw new AuthError('User pemilik token sudah tidak ada');
+    }
+    return { id: user._id.toString(), username: user.username, role: user.role };
+}
+
+// Middleware: wajib login. Mengisi req.user = { id, username, role }
+async function authenticate(req, res, next) {
+    try {
+        const user = await userFromToken(req);
+        if (!user) {
+            return next(new AuthError('Autentikasi diperlukan. Sertakan header Authorization: Bearer <token>'));
+        }
+        req.user = user;
+        next();
+    } catch (err) {
+        next(err);
+    }
+}
+
+// Middleware: login opsional untuk endpoint publik. Tanpa header Authorization request
+// diproses sebagai tamu (role null, setara viewer); token yang dikirim tetap harus valid.
+async function optionalAuthenticate(req, res, next) {
+    try {
+        req.user = (await userFromToken(req)) || { id: null, username: null, role: null };
+        next();
+    } catch (err) {
+        next(err);
+    }
+}
+
+// Middleware: role minimal yang dibutuhkan (dipasang setelah authenticate)
+function requireRole(minRole) {
+    return (req, res, next) => {
+        const level = ROLE_LEVEL[req.user && req.user.role] || 0;
+        if (level < ROLE_LEVEL[minRole]) {
+            return next(new ForbiddenError(`Akses ditolak. Endpoint ini membutuhkan role '${minRole}'`));
         }
+        next();
+    };
+}
+
+// Fungsi validasi untuk data registrasi user
+function validateUser(data) {
+    const errors = [];
+    
+    if (typeof data.username !== 'string' || !/^[a-zA-Z0-9_.-]{3,32}$/.test(data.username.trim())) {
+        errors.push('Username wajib diisi 3-32 karakter (huruf, angka, _ . -)');
+    }
+    
+    if (typeof data.password !== 'string' || data.password.length < 8) {
+        errors.push('Password wajib diisi minimal 8 karakter');
+    }
+    
+    if (data.role !== undefined && !ROLE_LEVEL[data.role]) {
+        errors.push(`Role harus salah satu dari: ${Object.keys(ROLE_LEVEL).join(', ')}`);
+    }
+    
+    return errors;
+}
+
+// Jangan pernah kirim password_hash ke client
+function publicUser(user) {
+    const { password_hash, ...rest } = user;
+    return rest;
+}
 
-        // === SETUP COLLECTION PRODUK (PRAKTIK 2) ===
-        // Pastikan collection 'produk' ada (buat jika belum ada)
-        const existingProduk = await db.listCollections({ name: 'produk' }).toArray();
-        if (existingProduk.length === 0) {
-            await db.createCollection('produk');
-            console.log("Collection 'produk' dibuat untuk CRUD produk.");
+// Admin pertama tidak dibuat lewat /auth/register (siapa pun yang lebih dulu mendaftar
+// di database baru akan jadi admin), tetapi dari BOOTSTRAP_ADMIN_USERNAME &
+// BOOTSTRAP_ADMIN_PASSWORD saat start. Upsert dokumen tunggal di collection 'bootstrap'
+// memastikan hanya satu instance yang membuatnya walaupun start bersamaan.
+async function ensureBootstrapAdmin() {
+    const { bootstrapAdminUsername: username, bootstrapAdminPassword: password } = appConfig.auth;
+    
+    const adminCount = await db.collection('users').countDocuments({ role: 'admin' }, { limit: 1 });
+    if (adminCount > 0) return;
+    if (!username) {
+        logger.warn('Belum ada user admin. Set BOOTSTRAP_ADMIN_USERNAME & BOOTSTRAP_ADMIN_PASSWORD lalu restart server.');
+        return;
+    }
+    
+    const bootstrap = await db.collection('bootstrap').updateOne(
+        { _id: 'admin' },
+        { $setOnInsert: { username, created_at: new Date() } },
+        { upsert: true }
+    );
+    if (bootstrap.upsertedCount === 0) {
+        logger.warn('Admin bootstrap sudah pernah dibuat sebelumnya, BOOTSTRAP_ADMIN_* diabaikan.');
+        return;
+    }
+    
+    try {
+        const now = new Date();
+        await db.collection('users').insertOne({
+            username,
+            password_hash: await hashPassword(password),
+            role: 'admin',
+            created_at: now,
+            updated_at: now
+        });
+        logger.info(`Admin bootstrap '${username}' dibuat.`);
+    } catch (err) {
+        // Lepas tanda bootstrap supaya bisa dicoba lagi dengan username lain.
+        // User yang sudah ada tidak dinaikkan jadi admin (bisa saja didaftarkan orang lain).
+        await db.collection('bootstrap').deleteOne({ _id: 'admin' });
+        if (err.code !== 11000) throw err;
+        logger.error(`Admin bootstrap gagal: username '${username}' sudah dipakai user lain.`);
+    }
+}
+
+// POST /auth/register - Daftar user baru
+// Registrasi publik selalu 'viewer', kecuali request dikirim oleh admin (dengan token)
+// yang boleh menentukan role. Admin pertama dibuat oleh ensureBootstrapAdmin().
+app.post('/auth/register', async (req, res, next) => {
+    try {
+        const data = req.body || {};
+        
+        const errors = validateUser(data);
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Data user tidak valid',
+                errors: errors
+            });
+        }
+        
+        const [scheme, token] = (req.headers.authorization || '').split(' ');
+        const requester = scheme === 'Bearer' ? verifyToken(token) : null;
+        const isAdmin = requester && requester.role === 'admin';
+        
+        let role = 'viewer';
+        if (data.role) {
+            if (!isAdmin) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Hanya admin yang boleh menentukan role user'
+                });
+            }
+            role = data.role;
+        }
+        
+        const userBaru = {
+            username: data.username.trim(),
+            password_hash: await hashPassword(data.password),
+            role: role,
+            created_at: new Date(),
+            updated_at: new Date()
+        };
+        
+        const result = await db.collection('users').insertOne(userBaru);
+        
+        res.status(201).json({
+            success: true,
+            message: 'User berhasil didaftarkan',
+            data: publicUser({ _id: result.insertedId, ...userBaru })
+        });
+    } catch (err) {
+        // Handle duplicate key dari index unique username
+        if (err.code === 11000) {
+            return next(new ConflictError('Username sudah digunakan'));
+        }
+        next(withPublicMessage(err, 'Gagal mendaftarkan user'));
+    }
+});
+
+// POST /auth/login - Login dan dapatkan token
+app.post('/auth/login', async (req, res, next) => {
+    try {
+        const { username, password } = req.body || {};
+        
+        if (typeof username !== 'string' || typeof password !== 'string') {
+            return res.status(400).json({
+                success: false,
+                message: 'Username dan password wajib diisi'
+            });
+        }
+        
+        const user = await db.collection('users').findOne({ username: username.trim() });
+        
+        // Pesan sama untuk user tidak ada / password salah supaya tidak bocor info
+        if (!user || !(await verifyPassword(password, user.password_hash))) {
+            return res.status(401).json({
+                success: false,
+                message: 'Username atau password salah'
+            });
+        }
+        
+        res.status(200).json({
+            success: true,
+            message: 'Login berhasil',
+            data: {
+                token: signToken(user),
+                token_type: 'Bearer',
+                expires_in: tokenTtlSeconds,
+                user: publicUser(user)
+            }
+        });
+    } catch (err) {
+        next(withPublicMessage(err, 'Gagal login'));
+    }
+});
+
+// GET /auth/me - Info user yang sedang login
+app.get('/auth/me', authenticate, (req, res) => {
+    res.status(200).json({
+        success: true,
+        data: req.user
+    });
+});
+
+// PUT /auth/users/:id/role - Ubah role user (admin saja)
+app.put('/auth/users/:id/role', authenticate, requireRole('admin'), async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const { role } = req.body || {};
+        
+        if (!ObjectId.isValid(id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'ID user tidak valid'
+            });
+        }
+        
+        if (!ROLE_LEVEL[role]) {
+            return res.status(400).json({
+                success: false,
+                message: `Role harus salah satu dari: ${Object.keys(ROLE_LEVEL).join(', ')}`
+            });
+        }
+        
+        const result = await db.collection('users').findOneAndUpdate(
+            { _id: new ObjectId(id) },
+            { $set: { role: role, updated_at: new Date() } },
+            { returnDocument: 'after', includeResultMetadata: true }
+        );
+        
+        if (!result.value) {
+            return res.status(404).json({
+                success: false,
+                message: 'User tidak ditemukan'
+            });
+        }
+        
+        res.status(200).json({
+            success: true,
+            message: 'Role user berhasil diubah. Langsung berlaku untuk request berikutnya.',
+            data: publicUser(result.value)
+        });
+    } catch (err) {
+        next(withPublicMessage(err, 'Gagal mengubah role user'));
+    }
+});
+
+// =============================================================================
+// SCHEMA VALIDASI - Validasi deklaratif untuk body dan query string
+// =============================================================================
+
+// Schema ditulis dalam subset JSON Schema (type, required, minLength, minimum, enum, ...)
+// ditambah beberapa keyword milik kita sendiri:
+//   label    -> nama field yang ramah untuk pesan error
+//   trim     -> hapus whitespace di awal/akhir string sebelum divalidasi
+//   default  -> nilai yang dipakai jika field tidak dikirim
+//   lowercase   -> ubah string ke huruf kecil
+//   uniqueItems -> buang item duplikat dari array (setelah di-coerce)
+// Tipe 'objectId' menerima string 24 hex dan menyimpannya sebagai ObjectId.
+// Field yang tidak ada di `properties` (termasuk _id, timestamp, author) otomatis dibuang.
+// Schema resource yang punya `collection` juga dipasang sebagai $jsonSchema di MongoDB.
+
+const OBJECT_ID_PATTERN = '^[a-fA-F0-9]{24}$';
+const SLUG_PATTERN = '^[a-z0-9]+(-[a-z0-9]+)*$';
+
+// Batas biaya query: jumlah data per halaman dan panjang teks yang dipakai sebagai regex
+const QUERY_MAX_LIMIT = appConfig.query.maxLimit;
+const QUERY_MAX_REGEX_LENGTH = appConfig.query.maxRegexLength;
+
+const pageQuery = {
+    page: { type: 'integer', minimum: 1, default: 1, label: 'Page' },
+    limit: { type: 'integer', minimum: 1, maximum: QUERY_MAX_LIMIT, default: 10, label: 'Limit' }
+};
+
+// ?status= untuk endpoint baca posts, selain 'published' hanya untuk editor & admin (lihat postStatusFilter())
+const postStatusQuery = {
+    type: 'string',
+    enum: ['published', 'draft', 'archived', 'all'],
+    default: 'published',
+    label: 'Status'
+};
+
+// ?expand=kategori,supplier untuk menyertakan dokumen referensi produk (lihat expandProdukReferences())
+const expandQuery = {
+    type: 'string',
+    trim: true,
+    pattern: '^(kategori|supplier)(,(kategori|supplier))?$',
+    label: 'Expand'
+};
+
+// Parameter pagination untuk endpoint list yang mendukung cursor & sort (lihat paginate())
+// 'relevance' = urutan skor full-text, default jika ada parameter search tanpa sort
+function listQuery(sortFields, defaultSort) {
+    return {
+        ...pageQuery,
+        pagination: { type: 'string', enum: ['page', 'cursor'], default: 'page', label: 'Pagination' },
+        cursor: { type: 'string', maxLength: 1000, label: 'Cursor' },
+        sort: { type: 'string', enum: sortOptions(sortFields).concat('relevance'), default: defaultSort, label: 'Sort' }
+    };
+}
+
+const SCHEMAS = {
+    // ---- Body ----
+    post: {
+        collection: 'posts',
+        properties: {
+            title: { type: 'string', trim: true, minLength: 1, maxLength: 200, label: 'Judul' },
+            content: { type: 'string', trim: true, minLength: 1, maxLength: 50000, label: 'Konten' },
+            // Tanpa default: post baru tanpa status jadi 'published' (atau 'draft' jika ada
+            // publish_at), PUT tanpa status tidak mengubah status (lihat preparePostChanges())
+            status: { type: 'string', enum: ['draft', 'published', 'archived'], label: 'Status' },
+            // Draft dengan publish_at dipublikasikan otomatis oleh publishScheduledPosts()
+            publish_at: { type: 'date', default: null, label: 'Jadwal publish' },
+            // Dibuat otomatis dari judul jika tidak dikirim
+            slug: { type: 'string', trim: true, lowercase: true, maxLength: 100, pattern: SLUG_PATTERN, label: 'Slug' },
+            tags: {
+                type: 'array',
+                maxItems: 20,
+                uniqueItems: true,
+                items: { type: 'string', trim: true, lowercase: true, minLength: 1, maxLength: 50 },
+                default: [],
+                label: 'Tags'
+            }
+        },
+        required: ['title', 'content']
+    },
+    produk: {
+        collection: 'produk',
+        properties: {
+            kode_produk: { type: 'string', trim: true, minLength: 1, maxLength: 50, label: 'Kode produk' },
+            nama_produk: { type: 'string', trim: true, minLength: 3, maxLength: 200, label: 'Nama produk' },
+            // Kategori & supplier boleh dikirim sebagai ID atau nama yang sudah terdaftar,
+            // keduanya di-resolve oleh validateProdukReferences (kategori wajib salah satunya)
+            kategori_id: { type: 'objectId', label: 'Kategori ID' },
+            kategori: { type: 'string', trim: true, minLength: 1, maxLength: 100, label: 'Kategori' },
+            harga: { type: 'number', exclusiveMinimum: 0, label: 'Harga' },
+            stok: { type: 'integer', minimum: 0, label: 'Stok' },
+            // Alert stok rendah dibuat saat stok <= stok_minimum (lihat checkStokAlert())
+            stok_minimum: { type: 'integer', minimum: 0, default: 0, label: 'Stok minimum' },
+            deskripsi: { type: 'string', trim: true, maxLength: 5000, default: '', label: 'Deskripsi' },
+            supplier_id: { type: 'objectId', default: null, label: 'Supplier ID' },
+            supplier: { type: 'string', trim: true, maxLength: 200, default: '', label: 'Supplier' }
+        },
+        required: ['kode_produk', 'nama_produk', 'harga', 'stok']
+    },
+    kategori: {
+        collection: 'kategori',
+        properties: {
+            nama: { type: 'string', trim: true, minLength: 2, maxLength: 100, label: 'Nama kategori' },
+            deskripsi: { type: 'string', trim: true, maxLength: 1000, default: '', label: 'Deskripsi' },
+            parent_id: { type: 'objectId', default: null, label: 'Parent kategori' }
+        },
+        required: ['nama']
+    },
+    supplier: {
+        collection: 'supplier',
+        properties: {
+            nama: { type: 'string', trim: true, minLength: 2, maxLength: 200, label: 'Nama supplier' },
+            kontak: { type: 'string', trim: true, maxLength: 100, default: '', label: 'Nama kontak' },
+            telepon: { type: 'string', trim: true, maxLength: 30, pattern: '^[0-9+() .-]*$', default: '', label: 'Telepon' },
+            email: { type: 'string', trim: true, maxLength: 200, pattern: '^$|^[^@\\s]+@[^@\\s]+\\.[^@\\s]+$', default: '', label: 'Email' },
+            alamat: { type: 'string', trim: true, maxLength: 500, default: '', label: 'Alamat' }
+        },
+        required: ['nama']
+    },
+    webhook: {
+        properties: {
+            url: { type: 'string', trim: true, maxLength: 2000, pattern: '^https?://[^\\s]+$', label: 'URL' },
+            // Event yang dikirim emitEvent(), '*' = semua event
+            events: {
+                type: 'array',
+                minItems: 1,
+                items: {
+                    type: 'string',
+                    enum: ['stok.rendah', 'stok.pulih', 'produk.created', 'produk.deleted', 'post.published', '*']
+                },
+                label: 'Events'
+            },
+            deskripsi: { type: 'string', trim: true, maxLength: 500, default: '', label: 'Deskripsi' },
+            aktif: { type: 'boolean', default: true, label: 'Aktif' }
+        },
+        required: ['url', 'events']
+    },
+    comment: {
+        collection: 'comments',
+        properties: {
+            content: { type: 'string', trim: true, minLength: 1, maxLength: 5000, label: 'Komentar' },
+            // Diisi untuk membalas komentar utama (balasan hanya satu tingkat)
+            parent_id: { type: 'objectId', default: null, label: 'Komentar yang dibalas' }
+        },
+        required: ['content']
+    },
+    commentUpdate: {
+        properties: {
+            content: { type: 'string', trim: true, minLength: 1, maxLength: 5000, label: 'Komentar' }
+        },
+        required: ['content']
+    },
+    commentModeration: {
+        properties: {
+            catatan: { type: 'string', trim: true, maxLength: 500, default: '', label: 'Catatan' }
+        },
+        required: []
+    },
+    alertAction: {
+        properties: {
+            catatan: { type: 'string', trim: true, maxLength: 500, default: '', label: 'Catatan' }
+        },
+        required: []
+    },
+    order: {
+        properties: {
+            pelanggan: { type: 'string', trim: true, maxLength: 200, default: '', label: 'Pelanggan' },
+            catatan: { type: 'string', trim: true, maxLength: 1000, default: '', label: 'Catatan' }
+        },
+        required: []
+    },
+    orderItem: {
+        properties: {
+            kode_produk: { type: 'string', trim: true, minLength: 1, maxLength: 50, label: 'Kode produk' },
+            jumlah: { type: 'integer', exclusiveMinimum: 0, maximum: 100000, label: 'Jumlah' }
+        },
+        required: ['kode_produk', 'jumlah']
+    },
+    orderTransition: {
+        properties: {
+            alasan: { type: 'string', trim: true, maxLength: 500, default: '', label: 'Alasan' }
+        },
+        required: []
+    },
+    hargaJadwal: {
+        properties: {
+            tipe: { type: 'string', enum: ['harga', 'diskon'], label: 'Tipe' },
+            harga: { type: 'number', exclusiveMinimum: 0, label: 'Harga' },
+            diskon_persen: { type: 'number', exclusiveMinimum: 0, maximum: 100, label: 'Diskon (%)' },
+            mulai: { type: 'date', label: 'Tanggal mulai' },
+            selesai: { type: 'date', label: 'Tanggal selesai' },
+            catatan: { type: 'string', trim: true, maxLength: 500, default: '', label: 'Catatan' }
+        },
+        required: ['tipe', 'mulai']
+    },
+    mutasi: {
+        properties: {
+            jumlah: { type: 'integer', exclusiveMinimum: 0, label: 'Jumlah' },
+            alasan: { type: 'string', trim: true, minLength: 1, maxLength: 500, label: 'Alasan mutasi' },
+            no_referensi: { type: 'string', trim: true, maxLength: 100, default: null, label: 'No referensi' }
+        },
+        required: ['jumlah', 'alasan']
+    },
+    mutasiBulkItem: {
+        properties: {
+            produk_id: { type: 'string', pattern: OBJECT_ID_PATTERN, label: 'Produk ID' },
+            kode_produk: { type: 'string', trim: true, minLength: 1, label: 'Kode produk' },
+            tipe: { type: 'string', enum: ['masuk', 'keluar'], label: 'Tipe' },
+            jumlah: { type: 'integer', exclusiveMinimum: 0, label: 'Jumlah' },
+            alasan: { type: 'string', trim: true, minLength: 1, maxLength: 500, label: 'Alasan mutasi' },
+            no_referensi: { type: 'string', trim: true, maxLength: 100, default: null, label: 'No referensi' }
+        },
+        required: ['tipe', 'jumlah', 'alasan']
+    },
+
+    // ---- Query string ----
+    postsListQuery: {
+        properties: {
+            search: { type: 'string', trim: true, maxLength: QUERY_MAX_REGEX_LENGTH, label: 'Search' },
+            status: postStatusQuery,
+            tag: { type: 'string', trim: true, lowercase: true, maxLength: 50, label: 'Tag' },
+            ...listQuery(['_id', 'created_at', 'updated_at', 'published_at', 'title'], '-_id')
+        },
+        required: []
+    },
+    postsAdvancedQuery: {
+        properties: {
+            title: { type: 'string', trim: true, maxLength: QUERY_MAX_REGEX_LENGTH, label: 'Title' },
+            author: { type: 'string', trim: true, maxLength: QUERY_MAX_REGEX_LENGTH, label: 'Author' },
+            content: { type: 'string', trim: true, maxLength: QUERY_MAX_REGEX_LENGTH, label: 'Content' },
+            date_from: { type: 'date', label: 'Tanggal awal' },
+            date_to: { type: 'date', label: 'Tanggal akhir' },
+            tag: { type: 'string', trim: true, lowercase: true, maxLength: 50, label: 'Tag' },
+            status: postStatusQuery
+        },
+        required: []
+    },
+    tagsQuery: {
+        properties: {
+            status: postStatusQuery,
+            search: { type: 'string', trim: true, lowercase: true, maxLength: 50, label: 'Search' },
+            limit: { type: 'integer', minimum: 1, maximum: 500, default: 100, label: 'Limit' }
+        },
+        required: []
+    },
+    postsStatsQuery: {
+        properties: {
+            date_from: { type: 'date', label: 'Tanggal awal' },
+            date_to: { type: 'date', label: 'Tanggal akhir' },
+            status: postStatusQuery
+        },
+        required: []
+    },
+    produkListQuery: {
+        properties: {
+            search: { type: 'string', trim: true, maxLength: QUERY_MAX_REGEX_LENGTH, label: 'Search' },
+            kategori: { type: 'string', trim: true, maxLength: 100, label: 'Kategori' },
+            kategori_id: { type: 'objectId', label: 'Kategori ID' },
+            supplier_id: { type: 'objectId', label: 'Supplier ID' },
+            expand: expandQuery,
+            min_harga: { type: 'number', minimum: 0, label: 'Harga minimum' },
+            max_harga: { type: 'number', minimum: 0, label: 'Harga maksimum' },
+            ...listQuery(['harga', 'stok', 'nama_produk', 'tanggal_dibuat'], '-tanggal_dibuat')
+        },
+        required: []
+    },
+    produkExportQuery: {
+        properties: {
+            format: { type: 'string', enum: ['csv', 'json'], default: 'json', label: 'Format' },
+            search: { type: 'string', trim: true, maxLength: QUERY_MAX_REGEX_LENGTH, label: 'Search' },
+            kategori: { type: 'string', trim: true, maxLength: 100, label: 'Kategori' },
+            kategori_id: { type: 'objectId', label: 'Kategori ID' },
+            supplier_id: { type: 'objectId', label: 'Supplier ID' },
+            min_harga: { type: 'number', minimum: 0, label: 'Harga minimum' },
+            max_harga: { type: 'number', minimum: 0, label: 'Harga maksimum' }
+        },
+        required: []
+    },
+    produkStatsQuery: {
+        properties: {
+            search: { type: 'string', trim: true, maxLength: QUERY_MAX_REGEX_LENGTH, label: 'Search' },
+            kategori: { type: 'string', trim: true, maxLength: 100, label: 'Kategori' },
+            kategori_id: { type: 'objectId', label: 'Kategori ID' },
+            supplier_id: { type: 'objectId', label: 'Supplier ID' },
+            min_harga: { type: 'number', minimum: 0, label: 'Harga minimum' },
+            max_harga: { type: 'number', minimum: 0, label: 'Harga maksimum' },
+            batas_stok_rendah: { type: 'integer', minimum: 0, default: 10, label: 'Batas stok rendah' },
+            buckets: { type: 'integer', minimum: 2, maximum: 20, default: 5, label: 'Jumlah bucket harga' },
+            periode: { type: 'string', enum: ['hari', 'minggu'], default: 'hari', label: 'Periode' },
+            date_from: { type: 'date', label: 'Tanggal awal' },
+            date_to: { type: 'date', label: 'Tanggal akhir' }
+        },
+        required: []
+    },
+    produkDetailQuery: {
+        properties: {
+            expand: expandQuery
+        },
+        required: []
+    },
+    kategoriListQuery: {
+        properties: {
+            search: { type: 'string', trim: true, maxLength: 100, label: 'Search' },
+            tree: { type: 'boolean', default: false, label: 'Tree' },
+            ...pageQuery
+        },
+        required: []
+    },
+    supplierListQuery: {
+        properties: {
+            search: { type: 'string', trim: true, maxLength: QUERY_MAX_REGEX_LENGTH, label: 'Search' },
+            ...pageQuery
+        },
+        required: []
+    },
+    commentListQuery: {
+        properties: {
+            status: { type: 'string', enum: ['approved', 'pending', 'rejected', 'all'], default: 'approved', label: 'Status' },
+            ...pageQuery
+        },
+        required: []
+    },
+    commentModerationQuery: {
+        properties: {
+            status: { type: 'string', enum: ['pending', 'rejected', 'approved'], default: 'pending', label: 'Status' },
+            post_id: { type: 'objectId', label: 'Post ID' },
+            ...pageQuery
+        },
+        required: []
+    },
+    alertListQuery: {
+        properties: {
+            status: { type: 'string', enum: ['open', 'acknowledged', 'resolved'], label: 'Status' },
+            tipe: { type: 'string', enum: ['stok_rendah'], label: 'Tipe' },
+            produk_id: { type: 'objectId', label: 'Produk ID' },
+            ...pageQuery
+        },
+        required: []
+    },
+    deliveryListQuery: {
+        properties: {
+            status: { type: 'string', enum: ['pending', 'success', 'failed', 'cancelled'], label: 'Status' },
+            ...pageQuery
+        },
+        required: []
+    },
+    auditListQuery: {
+        properties: {
+            resource: { type: 'string', enum: ['posts', 'produk', 'orders'], label: 'Resource' },
+            id: { type: 'objectId', label: 'ID' },
+            action: {
+                type: 'string',
+                enum: ['create', 'update', 'delete', 'restore', 'purge', 'publish', 'stok_masuk', 'stok_keluar'],
+                label: 'Action'
+            },
+            actor: { type: 'string', trim: true, maxLength: 50, label: 'Actor' },
+            date_from: { type: 'date', label: 'Tanggal awal' },
+            date_to: { type: 'date', label: 'Tanggal akhir' },
+            ...pageQuery
+        },
+        required: []
+    },
+    referenceDeleteQuery: {
+        properties: {
+            reassign_to: { type: 'objectId', label: 'reassign_to' }
+        },
+        required: []
+    },
+    produkImportQuery: {
+        properties: {
+            dry_run: { type: 'boolean', default: false, label: 'Dry run' }
+        },
+        required: []
+    },
+    produkAdvancedQuery: {
+        properties: {
+            nama: { type: 'string', trim: true, maxLength: 200, label: 'Nama' },
+            kode: { type: 'string', trim: true, maxLength: 50, label: 'Kode' },
+            kategori: { type: 'string', trim: true, maxLength: 100, label: 'Kategori' },
+            supplier: { type: 'string', trim: true, maxLength: 200, label: 'Supplier' },
+            min_harga: { type: 'number', minimum: 0, label: 'Harga minimum' },
+            max_harga: { type: 'number', minimum: 0, label: 'Harga maksimum' },
+            stok_kosong: { type: 'boolean', label: 'Stok kosong' },
+            stok_rendah: { type: 'boolean', label: 'Stok rendah' }
+        },
+        required: []
+    },
+    orderListQuery: {
+        properties: {
+            status: { type: 'string', enum: ['pending', 'confirmed', 'fulfilled', 'cancelled'], label: 'Status' },
+            kode_produk: { type: 'string', trim: true, maxLength: 50, label: 'Kode produk' },
+            date_from: { type: 'date', label: 'Tanggal awal' },
+            date_to: { type: 'date', label: 'Tanggal akhir' },
+            ...pageQuery
+        },
+        required: []
+    },
+    riwayatHargaQuery: {
+        properties: {
+            pada: { type: 'date', label: 'Tanggal harga' },
+            date_from: { type: 'date', label: 'Tanggal awal' },
+            date_to: { type: 'date', label: 'Tanggal akhir' },
+            page: pageQuery.page,
+            limit: { ...pageQuery.limit, default: 20 }
+        },
+        required: []
+    },
+    jadwalHargaListQuery: {
+        properties: {
+            status: { type: 'string', enum: ['terjadwal', 'aktif', 'diterapkan', 'selesai', 'dibatalkan'], label: 'Status' },
+            tipe: { type: 'string', enum: ['harga', 'diskon'], label: 'Tipe' }
+        },
+        required: []
+    },
+    riwayatStokQuery: {
+        properties: {
+            tipe: { type: 'string', enum: ['masuk', 'keluar'], label: 'Tipe' },
+            date_from: { type: 'date', label: 'Tanggal awal' },
+            date_to: { type: 'date', label: 'Tanggal akhir' },
+            page: pageQuery.page,
+            limit: { ...pageQuery.limit, default: 20 }
+        },
+        required: []
+    },
+    pageQuery: {
+        properties: { ...pageQuery },
+        required: []
+    }
+};
+
+// PUT / PATCH produk: field schema 'produk' tanpa stok. Stok hanya berubah lewat
+// endpoint mutasi stok supaya setiap perubahan tercatat di ledger stok_mutasi.
+// Field di `rejected` ditolak dengan pesan tersebut jika ikut dikirim.
+SCHEMAS.produkUpdate = {
+    properties: Object.fromEntries(Object.entries(SCHEMAS.produk.properties).filter(([field]) => field !== 'stok')),
+    required: SCHEMAS.produk.required.filter(field => field !== 'stok'),
+    rejected: {
+        stok: 'Stok tidak bisa diubah lewat update produk. Gunakan POST /api/produk/:id/stok/masuk, /stok/keluar atau /api/produk/stok/bulk'
+    }
+};
+
+// Validasi + coerce satu nilai sesuai rule. Return { value } atau { error }
+function coerceValue(rule, raw, label) {
+    let value = raw;
+    
+    switch (rule.type) {
+        case 'string':
+            if (typeof value !== 'string') return { error: `${label} harus berupa teks` };
+            if (rule.trim) value = value.trim();
+            if (rule.lowercase) value = value.toLowerCase();
+            if (rule.minLength !== undefined && value.length < rule.minLength) {
+                return { error: rule.minLength === 1 ? `${label} wajib diisi` : `${label} minimal ${rule.minLength} karakter` };
+            }
+            if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+                return { error: `${label} maksimal ${rule.maxLength} karakter` };
+            }
+            if (rule.pattern && !new RegExp(rule.pattern).test(value)) {
+                return { error: `${label} formatnya tidak valid` };
+            }
+            break;
+        case 'number':
+        case 'integer':
+            // Angka dari query string / form datang sebagai string, coerce ke number
+            if (typeof value === 'string' && value.trim() !== '') value = Number(value);
+            if (typeof value !== 'number' || !Number.isFinite(value)) {
+                return { error: `${label} harus berupa angka` };
+            }
+            if (rule.type === 'integer' && !Number.isInteger(value)) {
+                return { error: `${label} harus berupa bilangan bulat` };
+            }
+            if (rule.minimum !== undefined && value < rule.minimum) {
+                return { error: `${label} tidak boleh kurang dari ${rule.minimum}` };
+            }
+            if (rule.exclusiveMinimum !== undefined && value <= rule.exclusiveMinimum) {
+                return { error: `${label} harus lebih besar dari ${rule.exclusiveMinimum}` };
+            }
+            if (rule.maximum !== undefined && value > rule.maximum) {
+                return { error: `${label} tidak boleh lebih dari ${rule.maximum}` };
+            }
+            break;
+        case 'boolean':
+            if (value === 'true' || value === '1') value = true;
+            if (value === 'false' || value === '0') value = false;
+            if (typeof value !== 'boolean') return { error: `${label} harus berupa true atau false` };
+            break;
+        case 'date':
+            value = new Date(value);
+            if (typeof raw === 'boolean' || isNaN(value.getTime())) {
+                return { error: `${label} harus berupa tanggal yang valid` };
+            }
+            break;
+        case 'array':
+            // Dari query string / CSV: "a,b" -> ['a', 'b']
+            if (typeof value === 'string') value = value.split(',').map(item => item.trim()).filter(Boolean);
+            if (!Array.isArray(value)) return { error: `${label} harus berupa array` };
+            if (rule.minItems !== undefined && value.length < rule.minItems) {
+                return { error: `${label} minimal berisi ${rule.minItems} item` };
+            }
+            if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+                return { error: `${label} maksimal berisi ${rule.maxItems} item` };
+            }
+            if (rule.items) {
+                const items = [];
+                for (const item of value) {
+                    const result = coerceValue(rule.items, item, `Item ${label}`);
+                    if (result.error) return result;
+                    items.push(result.value);
+                }
+                value = rule.uniqueItems ? [...new Set(items)] : items;
+            }
+            break;
+        case 'objectId':
+            // Disimpan sebagai ObjectId (bukan string) supaya bisa dipakai untuk $lookup
+            if (value instanceof ObjectId) break;
+            if (typeof value !== 'string' || !new RegExp(OBJECT_ID_PATTERN).test(value)) {
+                return { error: `${label} harus berupa ObjectId yang valid` };
+            }
+            value = new ObjectId(value);
+            break;
+        default:
+            break;
+    }
+    
+    if (rule.enum && !rule.enum.includes(value)) {
+        return { error: `${label} harus salah satu dari: ${rule.enum.join(', ')}` };
+    }
+    
+    return { value };
+}
+
+// Validasi object terhadap schema.
+// Dengan { partial: true } (untuk PATCH) hanya field yang dikirim yang divalidasi;
+// null berarti field dikosongkan (kembali ke default, atau dihapus jika tidak ada default).
+// Return { value, errors } dengan errors = [{ field, message }] (kosong jika valid).
+function validateSchema(schema, input, options = {}) {
+    const partial = options.partial === true;
+    const source = input && typeof input === 'object' && !Array.isArray(input) ? input : {};
+    const value = {};
+    const errors = [];
+    
+    for (const [field, message] of Object.entries(schema.rejected || {})) {
+        if (field in source) errors.push({ field, message });
+    }
+    
+    for (const [field, rule] of Object.entries(schema.properties)) {
+        const label = rule.label || field;
+        let raw = source[field];
+        if (typeof raw === 'string' && rule.trim && raw.trim() === '') raw = undefined;
+        
+        if (partial) {
+            if (!(field in source)) continue; // Tidak dikirim = tidak diubah
+            if (raw === undefined || raw === null || raw === '') {
+                if (schema.required.includes(field)) {
+                    errors.push({ field, message: `${label} wajib diisi dan tidak boleh dihapus` });
+                } else {
+                    value[field] = rule.default !== undefined ? rule.default : null;
+                }
+                continue;
+            }
+        }
+        
+        // Field kosong: wajib -> error, opsional -> pakai default (jika ada)
+        if (raw === undefined || raw === null || raw === '') {
+            if (schema.required.includes(field)) {
+                errors.push({ field, message: `${label} wajib diisi` });
+            } else if (rule.default !== undefined) {
+                value[field] = rule.default;
+            }
+            continue;
+        }
+        
+        const result = coerceValue(rule, raw, label);
+        if (result.error) {
+            errors.push({ field, message: result.error });
+        } else {
+            value[field] = result.value;
+        }
+    }
+    
+    return { value, errors };
+}
+
+// Middleware: validasi req.body, ganti dengan hasil yang sudah dibersihkan
+function validateBody(schemaName, message = 'Data tidak valid') {
+    const schema = SCHEMAS[schemaName];
+    return (req, res, next) => {
+        if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+            return next(new ValidationError('Body request harus berupa object JSON', [
+                { field: null, message: 'Body request harus berupa object JSON' }
+            ]));
+        }
+        
+        const { value, errors } = validateSchema(schema, req.body);
+        if (errors.length > 0) {
+            return next(new ValidationError(message, errors));
+        }
+        
+        req.body = value;
+        next();
+    };
+}
+
+// Middleware: validasi req.query, hasil yang sudah di-coerce disimpan di req.validQuery
+function validateQuery(schemaName) {
+    const schema = SCHEMAS[schemaName];
+    return (req, res, next) => {
+        const { value, errors } = validateSchema(schema, req.query);
+        if (errors.length > 0) {
+            return next(new ValidationError('Parameter query tidak valid', errors));
+        }
+        
+        req.validQuery = value;
+        next();
+    };
+}
+
+// Konversi schema ke $jsonSchema MongoDB (draft 4, pakai bsonType)
+function toMongoJsonSchema(schema) {
+    const BSON_TYPES = {
+        string: 'string',
+        number: ['double', 'int', 'long', 'decimal'],
+        integer: ['int', 'long'],
+        boolean: 'bool',
+        date: 'date',
+        objectId: 'objectId',
+        array: 'array'
+    };
+    
+    const properties = {};
+    for (const [field, rule] of Object.entries(schema.properties)) {
+        const prop = { bsonType: BSON_TYPES[rule.type] };
+        if (rule.default === null) prop.bsonType = [].concat(prop.bsonType, 'null');
+        if (rule.minLength !== undefined) prop.minLength = rule.minLength;
+        if (rule.maxLength !== undefined) prop.maxLength = rule.maxLength;
+        if (rule.minimum !== undefined) prop.minimum = rule.minimum;
+        if (rule.maximum !== undefined) prop.maximum = rule.maximum;
+        if (rule.exclusiveMinimum !== undefined) {
+            prop.minimum = rule.exclusiveMinimum;
+            prop.exclusiveMinimum = true;
+        }
+        if (rule.enum) prop.enum = rule.enum;
+        if (rule.pattern) prop.pattern = rule.pattern;
+        if (rule.label) prop.description = rule.label;
+        properties[field] = prop;
+    }
+    
+    // additionalProperties tidak dikunci karena server menambah field sendiri (timestamp, dll)
+    return {
+        bsonType: 'object',
+        required: schema.required,
+        properties: properties
+    };
+}
+
+// Pasang schema sebagai validator collection. validationLevel 'moderate' supaya
+// dokumen lama yang belum sesuai schema tidak memblokir update.
+async function applyCollectionValidators() {
+    for (const schema of Object.values(SCHEMAS)) {
+        if (!schema.collection) continue;
+        try {
+            await db.command({
+                collMod: schema.collection,
+                validator: { $jsonSchema: toMongoJsonSchema(schema) },
+                validationLevel: 'moderate',
+                validationAction: appConfig.mongo.validationAction
+            });
+            logger.info(`Validator $jsonSchema untuk '${schema.collection}' dipasang.`);
+        } catch (err) {
+            logger.error(`Gagal memasang validator '${schema.collection}':`, err.message);
+            validatorErrors.push({ collection: schema.collection, error: err.message });
+        }
+    }
+}
+
+// =============================================================================
+// OPTIMISTIC CONCURRENCY - Versi dokumen, ETag, If-Match & If-None-Match
+// =============================================================================
+
+// Setiap post & produk punya field `version` yang naik 1 di setiap perubahan.
+// Dokumen lama yang belum punya field version dianggap versi 0.
+// ETag berupa strong validator dari nomor versi, contoh: ETag: "3"
+
+function etagFor(doc) {
+    return `"${doc.version || 0}"`;
+}
+
+// Parse header If-Match. Return null jika header tidak dikirim atau '*',
+// selain itu array versi yang diterima. Weak ETag (W/"3") tidak pernah cocok
+// karena If-Match memakai strong comparison (RFC 9110).
+function parseIfMatch(req) {
+    const header = req.get('If-Match');
+    if (!header || header.trim() === '*') return null;
+    
+    return header.split(',')
+        .map(tag => /^"(\d+)"$/.exec(tag.trim()))
+        .filter(Boolean)
+        .map(match => parseInt(match[1]));
+}
+
+// Filter MongoDB untuk versi yang diharapkan (versi 0 = field version belum ada)
+function versionFilter(versions) {
+    if (!versions) return {};
+    return { version: { $in: versions.map(v => (v === 0 ? null : v)) } };
+}
+
+function matchesVersion(doc, versions) {
+    return !versions || versions.includes(doc.version || 0);
+}
+
+// Cek If-None-Match untuk conditional GET (weak comparison)
+function isNotModified(req, doc) {
+    const header = req.get('If-None-Match');
+    if (!header) return false;
+    if (header.trim() === '*') return true;
+    
+    const etag = etagFor(doc);
+    return header.split(',').some(tag => tag.trim().replace(/^W\//, '') === etag);
+}
+
+// Response 412 standar ketika versi di If-Match sudah tidak berlaku
+function sendPreconditionFailed(res, label, current) {
+    res.set('ETag', etagFor(current));
+    return res.status(412).json({
+        success: false,
+        message: `${label} sudah diubah oleh pengguna lain. Ambil data terbaru lalu ulangi.`,
+        current_version: current.version || 0
+    });
+}
+
+// =============================================================================
+// AUDIT LOG & TRANSAKSI - Jejak setiap perubahan posts dan produk
+// =============================================================================
+
+// Setiap create/update/delete/restore/purge dan mutasi stok dicatat di collection
+// audit_log: { resource, resource_id, action, actor, ip, method, route, url, timestamp, changes }
+// dengan changes berupa diff per field, contoh { harga: { before: 10000, after: 12000 } }.
+//
+// Di replica set audit ditulis dalam transaksi yang sama dengan perubahan data
+// (runInTransaction), jadi keduanya tersimpan atau tidak sama sekali. Di MongoDB
+// standalone audit ditulis tepat setelah perubahan; jika gagal di-retry, lalu disimpan
+// ke AUDIT_FALLBACK_FILE dan dimasukkan ulang ke audit_log saat server start berikutnya.
+
+const AUDIT_FALLBACK_FILE = appConfig.audit.fallbackFile;
+const AUDIT_MAX_ATTEMPTS = 3;
+const AUDIT_IGNORED_FIELDS = ['version', 'updated_at', 'tanggal_diupdate']; // Berubah di setiap write
+
+let supportsTransactions = false; // Diisi saat connect
+
+// Jalankan fn(session) dalam transaksi jika didukung, atau fn(undefined) jika tidak.
+// withTransaction mengulang fn untuk error transient, jadi fn harus aman diulang
+// dan efek di luar database (alert, webhook) dijalankan setelah fungsi ini selesai.
+async function runInTransaction(fn) {
+    if (!supportsTransactions) return fn(undefined);
+    
+    const session = client.startSession();
+    try {
+        let result;
+        await session.withTransaction(async () => {
+            result = await fn(session);
+        });
+        return result;
+    } finally {
+        await session.endSession();
+    }
+}
+
+function valuesEqual(a, b) {
+    if ((a === undefined || a === null) && (b === undefined || b === null)) return true;
+    if (a instanceof Date && b instanceof Date) return a.getTime() === b.getTime();
+    if (a instanceof ObjectId || b instanceof ObjectId) return String(a) === String(b);
+    if (a && b && typeof a === 'object' && typeof b === 'object') return JSON.stringify(a) === JSON.stringify(b);
+    return a === b;
+}
+
+// Diff field level atas antara dokumen sebelum dan sesudah (null = dokumen tidak ada)
+function diffDocs(before, after) {
+    const changes = {};
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    
+    for (const field of fields) {
+        if (field === '_id' || AUDIT_IGNORED_FIELDS.includes(field)) continue;
+        const lama = before ? before[field] : undefined;
+        const baru = after ? after[field] : undefined;
+        if (!valuesEqual(lama, baru)) {
+            changes[field] = {
+                before: lama === undefined ? null : lama,
+                after: baru === undefined ? null : baru
+            };
+        }
+    }
+    return changes;
+}
+
+// Info request untuk audit. Proses otomatis (auto purge) dicatat dengan actor null.
+function auditContext(req) {
+    if (!req) {
+        return { actor: null, ip: null, method: null, route: null, url: null };
+    }
+    return {
+        actor: req.user ? { id: req.user.id, username: req.user.username, role: req.user.role } : null,
+        ip: req.ip,
+        method: req.method,
+        route: req.route ? req.baseUrl + req.route.path : req.path, // Pola route, contoh /api/produk/:id
+        url: req.originalUrl
+    };
+}
+
+// Error insertMany yang hanya berisi duplicate key berarti dokumen sudah tersimpan
+// (misalnya dari percobaan sebelumnya), jadi dianggap berhasil
+function isDuplicateOnly(err) {
+    if (err.code === 11000) return true;
+    return Boolean(err.writeErrors) && [].concat(err.writeErrors).every(writeError => writeError.code === 11000);
+}
+
+// Catat audit. entries: { resource, resource_id, action, before, after } atau array-nya.
+// Dengan session, error ikut membatalkan transaksi; tanpa session tidak pernah melempar error.
+async function recordAudit(req, entries, session) {
+    const context = auditContext(req);
+    const timestamp = new Date();
+    const docs = [].concat(entries).map(entry => ({
+        resource: entry.resource,
+        resource_id: entry.resource_id,
+        action: entry.action,
+        ...context,
+        timestamp: timestamp,
+        changes: diffDocs(entry.before, entry.after)
+    }));
+    if (docs.length === 0) return;
+    
+    if (session) {
+        await db.collection('audit_log').insertMany(docs, { session });
+        return;
+    }
+    
+    for (let attempt = 1; attempt <= AUDIT_MAX_ATTEMPTS; attempt++) {
+        try {
+            // _id sudah diisi driver di percobaan pertama, jadi retry tidak menduplikasi audit
+            await db.collection('audit_log').insertMany(docs, { ordered: false });
+            return;
+        } catch (err) {
+            if (isDuplicateOnly(err)) return;
+            if (attempt === AUDIT_MAX_ATTEMPTS) {
+                await writeAuditFallback(docs, err);
+                return;
+            }
+            await new Promise(resolve => setTimeout(resolve, 200 * attempt));
+        }
+    }
+}
+
+// Simpan audit yang gagal ditulis ke file (EJSON per baris supaya ObjectId & Date utuh)
+async function writeAuditFallback(docs, err) {
+    const lines = docs.map(doc => BSON.EJSON.stringify(doc)).join('\n') + '\n';
+    logger.error(`Gagal menulis audit_log (${err.message}), ${docs.length} audit disimpan ke ${AUDIT_FALLBACK_FILE}`);
+    try {
+        await fs.promises.appendFile(AUDIT_FALLBACK_FILE, lines);
+    } catch (fileError) {
+        // Jalan terakhir: tulis ke log supaya masih bisa dipulihkan manual
+        logger.error('Gagal menulis file fallback audit:', fileError.message);
+        logger.error('AUDIT_LOG_FALLBACK', lines);
+    }
+}
+
+// Masukkan ulang audit dari file fallback (dipanggil saat server start).
+// File di-rename dulu supaya audit baru yang gagal selama proses ini masuk ke file baru.
+async function replayAuditFallback() {
+    const replayFile = `${AUDIT_FALLBACK_FILE}.replay`;
+    try {
+        await fs.promises.rename(AUDIT_FALLBACK_FILE, replayFile);
+    } catch (err) {
+        if (err.code !== 'ENOENT') logger.error('Gagal membaca file fallback audit:', err.message);
+        // Sisa replay sebelumnya yang gagal tetap diproses
+        if (!fs.existsSync(replayFile)) return;
+    }
+    
+    try {
+        const content = await fs.promises.readFile(replayFile, 'utf8');
+        const docs = content.split('\n').filter(Boolean).map(line => BSON.EJSON.parse(line));
+        if (docs.length > 0) {
+            try {
+                await db.collection('audit_log').insertMany(docs, { ordered: false });
+            } catch (err) {
+                if (!isDuplicateOnly(err)) throw err;
+            }
+        }
+        await fs.promises.unlink(replayFile);
+        logger.info(`${docs.length} audit dari file fallback dimasukkan ke audit_log.`);
+    } catch (err) {
+        logger.error('Gagal memasukkan ulang audit dari file fallback:', err.message);
+    }
+}
+
+// =============================================================================
+// SOFT DELETE - Trash, restore & purge untuk posts dan produk
+// =============================================================================
+
+// Dokumen yang dihapus hanya ditandai deleted_at/deleted_by dan disembunyikan
+// dari semua endpoint list/search. Filter { deleted_at: null } juga cocok untuk
+// dokumen lama yang belum punya field deleted_at.
+const NOT_DELETED = { deleted_at: null };
+
+// Berapa hari dokumen di trash sebelum dihapus permanen otomatis (0 = nonaktif)
+const trashRetentionDays = appConfig.trash.retentionDays;
+const TRASH_PURGE_INTERVAL_MS = 60 * 60 * 1000; // Cek trash setiap 1 jam
+const TRASH_PURGE_BATCH_SIZE = 1000; // Dokumen per collection per putaran auto purge
+
+// Konfigurasi per resource, dipakai oleh soft delete dan update (PUT/PATCH).
+// onChange(aksi, doc, before) dipanggil setelah dokumen 'created', 'updated', 'deleted'
+// atau 'restored' untuk alert stok & webhook; tidak pernah melempar error.
+// `before` (isi sebelum perubahan) hanya dikirim untuk 'updated'.
+// cascade: collection anak (atau file GridFS di bucket) yang ikut dihapus saat dokumen dihapus permanen.
+// onUpdate(hasil, req, session) opsional, dipanggil di dalam transaksi PUT/PATCH sebelum audit.
+const RESOURCE_CONFIG = {
+    posts: {
+        label: 'Post',
+        route: '/posts',
+        updatedField: 'updated_at',
+        deleteSet: {},
+        restoreSet: {},
+        duplicateMessage: 'Slug sudah digunakan oleh post lain',
+        cascade: [{ collection: 'comments', field: 'post_id' }, { bucket: 'lampiran' }],
+        onChange: postChanged
+    },
+    produk: {
+        label: 'Produk',
+        route: '/api/produk',
+        updatedField: 'tanggal_diupdate',
+        deleteSet: { status: 'dihapus' },
+        restoreSet: { status: 'aktif' },
+        duplicateMessage: 'Kode produk sudah digunakan oleh produk lain',
+        cascade: [{ bucket: 'lampiran' }],
+        onUpdate: produkUpdated,
+        onChange: produkChanged
+    }
+};
+
+// Handler DELETE <route>/:id - Pindahkan dokumen ke trash (menghormati If-Match)
+function handleSoftDelete(collectionName) {
+    const config = RESOURCE_CONFIG[collectionName];
+    return async (req, res, next) => {
+        try {
+            const { id } = req.params;
+            
+            // Validasi ObjectId
+            if (!ObjectId.isValid(id)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `ID ${config.label.toLowerCase()} tidak valid`
+                });
+            }
+            
+            const expectedVersions = parseIfMatch(req);
+            
+            // Soft delete: tandai deleted_at/deleted_by, dokumen tetap ada di trash
+            const $set = { ...config.deleteSet, deleted_at: new Date(), deleted_by: req.user.username };
+            const deleted = await runInTransaction(async (session) => {
+                const result = await db.collection(collectionName).findOneAndUpdate(
+                    { _id: new ObjectId(id), ...NOT_DELETED, ...versionFilter(expectedVersions) },
+                    { $set, $inc: { version: 1 } },
+                    { returnDocument: 'before', includeResultMetadata: true, session }
+                );
+                if (!result.value) return null;
+                
+                const after = { ...result.value, ...$set, version: (result.value.version || 0) + 1 };
+                await recordAudit(req, {
+                    resource: collectionName,
+                    resource_id: after._id,
+                    action: 'delete',
+                    before: result.value,
+                    after: after
+                }, session);
+                return after;
+            });
+            
+            if (!deleted) {
+                // Bedakan tidak ditemukan vs versi sudah berubah
+                const current = expectedVersions
+                    ? await db.collection(collectionName).findOne({ _id: new ObjectId(id), ...NOT_DELETED })
+                    : null;
+                if (current) {
+                    return sendPreconditionFailed(res, config.label, current);
+                }
+                return res.status(404).json({
+                    success: false,
+                    message: `${config.label} tidak ditemukan`
+                });
+            }
+            
+            await config.onChange('deleted', deleted);
+            
+            res.status(200).json({
+                success: true,
+                message: `${config.label} berhasil dipindahkan ke trash`,
+                deleted_data: deleted // Return data yang dihapus untuk konfirmasi
+            });
+        } catch (err) {
+            next(withPublicMessage(err, `Gagal menghapus ${config.label.toLowerCase()}`));
+        }
+    };
+}
+
+// Handler GET <route>/trash - Daftar dokumen yang ada di trash
+function handleTrashList(collectionName) {
+    const config = RESOURCE_CONFIG[collectionName];
+    return async (req, res, next) => {
+        try {
+            const { page: pageNum, limit: limitNum } = req.validQuery;
+            const skip = (pageNum - 1) * limitNum;
+            
+            const filter = { deleted_at: { $ne: null } };
+            
+            const data = await db.collection(collectionName)
+                .find(filter)
+                .sort({ deleted_at: -1 }) // Yang terakhir dihapus tampil dulu
+                .skip(skip)
+                .limit(limitNum)
+                .toArray();
+            
+            const total = await db.collection(collectionName).countDocuments(filter);
+            
+            res.status(200).json({
+                success: true,
+                message: `Ditemukan ${data.length} ${config.label.toLowerCase()} di trash`,
+                data: data,
+                pagination: buildPagination(pageNum, limitNum, total),
+                retention_days: trashRetentionDays
+            });
+        } catch (err) {
+            next(withPublicMessage(err, 'Gagal mengambil data trash'));
+        }
+    };
+}
+
+// Handler POST <route>/:id/restore - Kembalikan dokumen dari trash
+function handleRestore(collectionName) {
+    const config = RESOURCE_CONFIG[collectionName];
+    return async (req, res, next) => {
+        try {
+            const { id } = req.params;
+            
+            if (!ObjectId.isValid(id)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `ID ${config.label.toLowerCase()} tidak valid`
+                });
+            }
+            
+            const $set = { ...config.restoreSet, deleted_at: null, deleted_by: null, [config.updatedField]: new Date() };
+            const restored = await runInTransaction(async (session) => {
+                const result = await db.collection(collectionName).findOneAndUpdate(
+                    { _id: new ObjectId(id), deleted_at: { $ne: null } },
+                    { $set, $inc: { version: 1 } },
+                    { returnDocument: 'before', includeResultMetadata: true, session }
+                );
+                if (!result.value) return null;
+                
+                const after = { ...result.value, ...$set, version: (result.value.version || 0) + 1 };
+                await recordAudit(req, {
+                    resource: collectionName,
+                    resource_id: after._id,
+                    action: 'restore',
+                    before: result.value,
+                    after: after
+                }, session);
+                return after;
+            });
+            
+            if (!restored) {
+                return res.status(404).json({
+                    success: false,
+                    message: `${config.label} tidak ditemukan di trash`
+                });
+            }
+            
+            await config.onChange('restored', restored);
+            
+            res.status(200).json({
+                success: true,
+                message: `${config.label} berhasil dikembalikan dari trash`,
+                data: restored
+            });
+        } catch (err) {
+            next(withPublicMessage(err, `Gagal mengembalikan ${config.label.toLowerCase()}`));
+        }
+    };
+}
+
+// Handler DELETE <route>/:id/permanent - Hapus permanen (hanya dokumen di trash)
+function handlePurge(collectionName) {
+    const config = RESOURCE_CONFIG[collectionName];
+    return async (req, res, next) => {
+        try {
+            const { id } = req.params;
+            
+            if (!ObjectId.isValid(id)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `ID ${config.label.toLowerCase()} tidak valid`
+                });
+            }
+            
+            // Harus masuk trash dulu supaya tidak ada hapus permanen yang tidak disengaja
+            const purged = await runInTransaction(async (session) => {
+                const result = await db.collection(collectionName).findOneAndDelete(
+                    { _id: new ObjectId(id), deleted_at: { $ne: null } },
+                    { includeResultMetadata: true, session }
+                );
+                if (!result.value) return null;
+                
+                await deleteCascade(config, [result.value._id], session);
+                await recordAudit(req, {
+                    resource: collectionName,
+                    resource_id: result.value._id,
+                    action: 'purge',
+                    before: result.value,
+                    after: null
+                }, session);
+                return result.value;
+            });
+            
+            if (!purged) {
+                return res.status(404).json({
+                    success: false,
+                    message: `${config.label} tidak ditemukan di trash. Hapus dulu sebelum dihapus permanen.`
+                });
+            }
+            
+            res.status(200).json({
+                success: true,
+                message: `${config.label} berhasil dihapus permanen`,
+                deleted_data: purged
+            });
+        } catch (err) {
+            next(withPublicMessage(err, `Gagal menghapus permanen ${config.label.toLowerCase()}`));
+        }
+    };
+}
+
+// Hapus dokumen anak (config.cascade) milik dokumen yang dihapus permanen.
+// File GridFS dicari lewat metadata.resource_id lalu chunks & files-nya dihapus.
+async function deleteCascade(config, ids, session) {
+    for (const child of config.cascade || []) {
+        if (child.bucket) {
+            const files = await db.collection(`${child.bucket}.files`)
+                .find({ 'metadata.resource_id': { $in: ids } }, { projection: { _id: 1 }, session })
+                .toArray();
+            const fileIds = files.map(file => file._id);
+            await db.collection(`${child.bucket}.chunks`).deleteMany({ files_id: { $in: fileIds } }, { session });
+            await db.collection(`${child.bucket}.files`).deleteMany({ _id: { $in: fileIds } }, { session });
+        } else {
+            await db.collection(child.collection).deleteMany({ [child.field]: { $in: ids } }, { session });
+        }
+    }
+}
+
+// Hapus permanen semua dokumen yang sudah di trash lebih dari trashRetentionDays
+async function purgeExpiredTrash() {
+    if (!db || !(trashRetentionDays > 0)) return;
+    
+    const cutoff = new Date(Date.now() - trashRetentionDays * 24 * 60 * 60 * 1000);
+    for (const collectionName of Object.keys(RESOURCE_CONFIG)) {
+        try {
+            // Ambil dokumennya dulu supaya isi terakhir tercatat di audit_log
+            const expired = await db.collection(collectionName)
+                .find({ deleted_at: { $lte: cutoff } })
+                .limit(TRASH_PURGE_BATCH_SIZE)
+                .toArray();
+            if (expired.length === 0) continue;
+            
+            const result = await runInTransaction(async (session) => {
+                const deleted = await db.collection(collectionName).deleteMany(
+                    { _id: { $in: expired.map(doc => doc._id) }, deleted_at: { $lte: cutoff } },
+                    { session }
+                );
+                // Dokumen yang sempat di-restore tidak ikut terhapus, begitu juga anaknya
+                const tersisa = await db.collection(collectionName)
+                    .find({ _id: { $in: expired.map(doc => doc._id) } }, { projection: { _id: 1 }, session })
+                    .toArray();
+                const tersisaIds = new Set(tersisa.map(doc => String(doc._id)));
+                await deleteCascade(
+                    RESOURCE_CONFIG[collectionName],
+                    expired.filter(doc => !tersisaIds.has(String(doc._id))).map(doc => doc._id),
+                    session
+                );
+                await recordAudit(null, expired.map(doc => ({
+                    resource: collectionName,
+                    resource_id: doc._id,
+                    action: 'purge',
+                    before: doc,
+                    after: null
+                })), session);
+                return deleted;
+            });
+            if (result.deletedCount > 0) {
+                logger.info(`Auto purge: ${result.deletedCount} dokumen ${collectionName} dihapus permanen dari trash.`);
+            }
+        } catch (err) {
+            logger.error(`Auto purge ${collectionName} gagal:`, err.message);
+        }
+    }
+}
+
+// =============================================================================
+// UPDATE & PATCH - Update atomic untuk PUT dan PATCH (posts & produk)
+// =============================================================================
+
+// Update dokumen dengan satu findOneAndUpdate. `changes` berisi field yang sudah
+// divalidasi (nilai null berarti field di-$unset), `conditions` berisi field yang
+// harus bernilai tertentu (dari operasi "test" JSON Patch) dan `expectedVersions`
+// berisi versi dari header If-Match (null = tanpa syarat versi).
+// Filter $or memastikan update hanya terjadi jika minimal satu field benar-benar
+// berubah, sehingga timestamp tidak bergeser untuk update yang identik.
+// `session` opsional untuk menjalankan update di dalam transaksi (lihat runInTransaction).
+// Return { status: 'updated' | 'unchanged' | 'not_found' | 'precondition_failed' | 'test_failed', doc, before }
+// dengan `before` (isi sebelum update) hanya ada untuk status 'updated'.
+async function updateResource(collectionName, id, changes, conditions = {}, expectedVersions = null, session = undefined) {
+    const config = RESOURCE_CONFIG[collectionName];
+    const $set = {};
+    const $unset = {};
+    const differs = [];
+    
+    for (const [field, value] of Object.entries(changes)) {
+        if (value === null) {
+            $unset[field] = '';
+            differs.push({ [field]: { $exists: true } });
+        } else {
+            $set[field] = value;
+            differs.push({ [field]: { $ne: value } });
+        }
+    }
+    
+    const baseFilter = { _id: new ObjectId(id), ...NOT_DELETED };
+    const update = {
+        $set: { ...$set, [config.updatedField]: new Date() },
+        $inc: { version: 1 }
+    };
+    if (Object.keys($unset).length > 0) update.$unset = $unset;
+    
+    // Patch yang hanya berisi operasi test tidak perlu update
+    if (differs.length > 0) {
+        const result = await db.collection(collectionName).findOneAndUpdate(
+            { ...baseFilter, ...conditions, ...versionFilter(expectedVersions), $or: differs },
+            update,
+            { returnDocument: 'before', includeResultMetadata: true, session }
+        );
+        if (result.value) {
+            // Isi sesudah update dihitung dari isi sebelumnya supaya cukup satu query
+            const before = result.value;
+            const after = { ...before, ...update.$set, version: (before.version || 0) + 1 };
+            Object.keys($unset).forEach(field => delete after[field]);
+            return { status: 'updated', doc: after, before: before };
+        }
+    }
+    
+    // Tidak ada dokumen yang match: bedakan tidak ditemukan, test gagal, atau tidak ada perubahan
+    const current = await db.collection(collectionName).findOne(baseFilter, { session });
+    if (!current) {
+        return { status: 'not_found' };
+    }
+    if (!matchesVersion(current, expectedVersions)) {
+        return { status: 'precondition_failed', doc: current };
+    }
+    const testsPassed = Object.entries(conditions).every(([field, value]) =>
+        current[field] === value || (value === null && current[field] === undefined)
+    );
+    return { status: testsPassed ? 'unchanged' : 'test_failed', doc: current };
+}
+
+// Ubah body PATCH menjadi object perubahan. Mendukung:
+//   - application/json / application/merge-patch+json (RFC 7396): object berisi field
+//     yang ingin diubah, null = hapus field
+//   - application/json-patch+json (RFC 6902): array operasi add/replace/remove/test
+//     untuk field level atas (path "/harga")
+// Return { patch, tests } atau { error }
+function parsePatchBody(req, schema) {
+    const body = req.body;
+    
+    if (!req.is('application/json-patch+json')) {
+        if (!body || typeof body !== 'object' || Array.isArray(body)) {
+            return { error: 'Body PATCH harus berupa object JSON' };
+        }
+        return { patch: body, tests: {} };
+    }
+    
+    if (!Array.isArray(body) || body.length === 0) {
+        return { error: 'JSON Patch harus berupa array operasi dan tidak boleh kosong' };
+    }
+    
+    const patch = {};
+    const tests = {};
+    for (const [index, operation] of body.entries()) {
+        const match = operation && typeof operation.path === 'string' && /^\/([^/]+)$/.exec(operation.path);
+        if (!match) {
+            return { error: `Operasi #${index}: path harus berupa field level atas, contoh "/harga"` };
+        }
+        
+        const field = match[1];
+        if (schema.rejected && schema.rejected[field]) {
+            return { error: `Operasi #${index}: ${schema.rejected[field]}` };
+        }
+        if (!schema.properties[field]) {
+            return { error: `Operasi #${index}: field '${field}' tidak bisa diubah` };
+        }
+        
+        switch (operation.op) {
+            case 'add':
+            case 'replace':
+                patch[field] = operation.value;
+                break;
+            case 'remove':
+                patch[field] = null;
+                break;
+            case 'test':
+                // Nilai test dipakai sebagai kondisi filter, jadi hanya nilai primitif
+                if (operation.value !== null && typeof operation.value === 'object') {
+                    return { error: `Operasi #${index}: nilai test harus berupa nilai primitif` };
+                }
+                tests[field] = operation.value;
+                break;
+            default:
+                return { error: `Operasi #${index}: op '${operation.op}' tidak didukung (add, replace, remove, test)` };
+        }
+    }
+    
+    return { patch, tests };
+}
+
+// Middleware untuk PATCH: parse body lalu validasi hanya field yang dikirim.
+// Hasil disimpan di req.body (perubahan) dan req.patchTests (kondisi test).
+function validatePatch(schemaName, message = 'Data tidak valid') {
+    const schema = SCHEMAS[schemaName];
+    return (req, res, next) => {
+        const { patch, tests, error } = parsePatchBody(req, schema);
+        if (error) {
+            return next(new ValidationError(error, [{ field: null, message: error }]));
+        }
+        
+        const { value, errors } = validateSchema(schema, patch, { partial: true });
+        if (errors.length > 0) {
+            return next(new ValidationError(message, errors));
+        }
+        
+        if (Object.keys(value).length === 0 && Object.keys(tests).length === 0) {
+            return next(new ValidationError('Tidak ada field yang bisa diupdate', [
+                { field: null, message: `Field yang bisa diupdate: ${Object.keys(schema.properties).join(', ')}` }
+            ]));
+        }
+        
+        req.body = value;
+        req.patchTests = tests;
+        next();
+    };
+}
+
+// Handler bersama untuk PUT dan PATCH. req.body sudah divalidasi oleh
+// validateBody (PUT, semua field) atau validatePatch (PATCH, sebagian field).
+// Header If-Match opsional; jika versi tidak cocok balas 412 Precondition Failed.
+function handleUpdate(collectionName) {
+    const config = RESOURCE_CONFIG[collectionName];
+    return async (req, res, next) => {
+        try {
+            const { id } = req.params;
+            
+            // Validasi ObjectId
+            if (!ObjectId.isValid(id)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `ID ${config.label.toLowerCase()} tidak valid`
+                });
+            }
+            
+            const hasil = await runInTransaction(async (session) => {
+                const hasil = await updateResource(collectionName, id, req.body, req.patchTests, parseIfMatch(req), session);
+                if (hasil.status === 'updated') {
+                    if (config.onUpdate) await config.onUpdate(hasil, req, session);
+                    await recordAudit(req, {
+                        resource: collectionName,
+                        resource_id: hasil.doc._id,
+                        action: 'update',
+                        before: hasil.before,
+                        after: hasil.doc
+                    }, session);
+                }
+                return hasil;
+            });
+            
+            if (hasil.status === 'not_found') {
+                return res.status(404).json({
+                    success: false,
+                    message: `${config.label} tidak ditemukan`
+                });
+            }
+            
+            if (hasil.status === 'precondition_failed') {
+                return sendPreconditionFailed(res, config.label, hasil.doc);
+            }
+            
+            if (hasil.status === 'test_failed') {
+                return res.status(409).json({
+                    success: false,
+                    message: 'Operasi test JSON Patch gagal, data sudah berubah',
+                    data: hasil.doc
+                });
+            }
+            
+            if (hasil.status === 'updated') {
+                await config.onChange('updated', hasil.doc, hasil.before);
+            }
+            
+            res.set('ETag', etagFor(hasil.doc));
+            res.status(200).json({
+                success: true,
+                message: hasil.status === 'updated'
+                    ? `${config.label} berhasil diupdate`
+                    : 'Tidak ada perubahan data',
+                modified: hasil.status === 'updated',
+                data: hasil.doc
+            });
+        } catch (err) {
+            // Handle duplicate key error (misalnya kode_produk bentrok dengan produk lain)
+            if (err.code === 11000) {
+                return next(new ConflictError(config.duplicateMessage || 'Data sudah digunakan oleh dokumen lain'));
+            }
+            next(withPublicMessage(err, `Gagal mengupdate ${config.label.toLowerCase()}`));
+        }
+    };
+}
+
+// =============================================================================
+// CSV HELPERS - Parse dan format CSV untuk import/export
+// =============================================================================
+
+// Parse teks CSV (RFC 4180: field dalam tanda kutip, "" sebagai escape, CRLF/LF).
+// Delimiter otomatis: ';' jika header lebih banyak ';' daripada ',' (format Excel Indonesia).
+// Return array of object dengan key dari baris header.
+function parseCsv(text) {
+    const input = String(text || '').replace(/^\uFEFF/, ''); // Buang BOM dari Excel
+    const firstLine = input.split(/\r?\n/, 1)[0] || '';
+    const delimiter = (firstLine.split(';').length > firstLine.split(',').length) ? ';' : ',';
+    
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    
+    // Baris kosong (misalnya newline di akhir file) diabaikan
+    const nonEmpty = rows.filter(r => r.some(value => value.trim() !== ''));
+    if (nonEmpty.length === 0) return [];
+    
+    const headers = nonEmpty[0].map(h => h.trim());
+    return nonEmpty.slice(1).map(values => {
+        const record = {};
+        headers.forEach((header, index) => {
+            if (header) record[header] = values[index] !== undefined ? values[index] : '';
+        });
+        return record;
+    });
+}
+
+// Format satu nilai menjadi cell CSV. Nilai yang diawali =, +, -, @ diberi prefix '
+// supaya tidak dieksekusi sebagai formula saat dibuka di spreadsheet.
+function toCsvCell(value) {
+    if (value === undefined || value === null) return '';
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+    if (/[",;\r\n]/.test(text)) text = `"${text.replace(/"/g, '""')}"`;
+    return text;
+}
+
+function toCsvRow(values) {
+    return values.map(toCsvCell).join(',') + '\r\n';
+}
+
+// =============================================================================
+// PAGINATION - Page number, cursor & sorting untuk endpoint list
+// =============================================================================
+
+// Dua mode pagination:
+//   - page (default, kompatibel dengan versi lama): ?page=2&limit=10
+//   - cursor: ?pagination=cursor&limit=10 lalu ikuti next_cursor / prev_cursor.
+//     Cursor berisi nilai sort key + _id dokumen terakhir, sehingga halaman dalam
+//     tetap cepat (tidak pakai skip) dan tidak loncat jika ada data baru.
+// Sort: ?sort=harga (ascending) atau ?sort=-harga (descending), field di-whitelist per endpoint.
+
+const MAX_SKIP = 10000; // Batas page * limit untuk mode page, lebih dari ini gunakan cursor
+
+// Object pagination mode page yang dipakai semua endpoint list
+function buildPagination(pageNum, limitNum, total) {
+    const totalPages = Math.ceil(total / limitNum);
+    return {
+        current_page: pageNum,
+        total_pages: totalPages,
+        total_data: total,
+        per_page: limitNum,
+        has_next: pageNum < totalPages,
+        has_prev: pageNum > 1
+    };
+}
+
+// Buat daftar nilai sort yang diizinkan untuk enum schema, contoh ['harga', '-harga', ...]
+function sortOptions(fields) {
+    return fields.reduce((options, field) => options.concat(field, `-${field}`), []);
+}
+
+// Ubah parameter sort ('-harga') menjadi { field, direction }
+function parseSort(sortParam) {
+    return sortParam.startsWith('-')
+        ? { field: sortParam.slice(1), direction: -1 }
+        : { field: sortParam, direction: 1 };
+}
+
+function encodeCursor(doc, sort, arah) {
+    const value = doc[sort.field] === undefined ? null : doc[sort.field];
+    const payload = {
+        s: `${sort.direction === -1 ? '-' : ''}${sort.field}`,
+        a: arah, // 'next' atau 'prev'
+        v: value instanceof Date ? { $date: value.toISOString() } : value,
+        id: doc._id.toString()
+    };
+    return base64url(JSON.stringify(payload));
+}
+
+// Decode cursor, return { arah, value, id } atau null jika tidak valid / beda sort
+function decodeCursor(token, sortParam) {
+    try {
+        const payload = JSON.parse(Buffer.from(token, 'base64').toString('utf8'));
+        if (payload.s !== sortParam || !['next', 'prev'].includes(payload.a) || !ObjectId.isValid(payload.id)) {
+            return null;
+        }
+        const value = payload.v && payload.v.$date ? new Date(payload.v.$date) : payload.v;
+        return { arah: payload.a, value: value, id: new ObjectId(payload.id) };
+    } catch (e) {
+        return null;
+    }
+}
+
+// Filter untuk dokumen "setelah" posisi cursor menurut operator $gt / $lt.
+// _id dipakai sebagai tie-breaker supaya urutan selalu unik. MongoDB mengurutkan
+// null/field kosong sebagai nilai terkecil, jadi kasus null ditangani terpisah.
+function cursorFilter(field, op, value, id) {
+    if (field === '_id') {
+        return { _id: { [op]: id } };
+    }
+    if (value === null) {
+        return op === '$gt'
+            ? { $or: [{ [field]: null, _id: { $gt: id } }, { [field]: { $ne: null } }] }
+            : { [field]: null, _id: { $lt: id } };
+    }
+    const clauses = [
+        { [field]: { [op]: value } },
+        { [field]: value, _id: { [op]: id } }
+    ];
+    if (op === '$lt') clauses.push({ [field]: null });
+    return { $or: clauses };
+}
+
+// Jalankan query list dengan pagination. `query` adalah hasil validateQuery yang
+// berisi page, limit, sort, pagination dan cursor. options.projection dipakai
+// untuk search $text (field score dari textScore).
+// Return { data, pagination } atau { error } jika parameter tidak valid.
+async function paginate(collectionName, filter, query, options = {}) {
+    const { limit, sort: sortParam } = query;
+    const projection = options.projection || {};
+    const useCursor = query.pagination === 'cursor' || query.cursor !== undefined;
+    
+    // Sort relevansi hanya ada untuk search $text dan hanya mode page
+    // (skor tidak stabil untuk dijadikan posisi cursor)
+    let sort;
+    let sortSpec;
+    if (sortParam === 'relevance') {
+        if (!filter.$text) {
+            return { error: 'Sort relevance hanya bisa dipakai bersama parameter search' };
+        }
+        if (useCursor) {
+            return { error: 'Pagination cursor tidak didukung untuk urutan relevansi. Tambahkan parameter sort.' };
+        }
+        sortSpec = { score: { $meta: 'textScore' }, _id: -1 };
+    } else {
+        sort = parseSort(sortParam);
+        sortSpec = sort.field === '_id'
+            ? { _id: sort.direction }
+            : { [sort.field]: sort.direction, _id: sort.direction };
+    }
+    
+    if (!useCursor) {
+        const skip = (query.page - 1) * limit;
+        if (skip + limit > MAX_SKIP) {
+            return { error: `Halaman terlalu dalam (maksimal ${MAX_SKIP} data). Gunakan pagination=cursor.` };
+        }
+        
+        const data = await db.collection(collectionName)
+            .find(filter, { projection })
+            .sort(sortSpec)
+            .skip(skip)
+            .limit(limit)
+            .toArray();
+        const total = await db.collection(collectionName).countDocuments(filter);
+        
+        return {
+            data,
+            pagination: { mode: 'page', ...buildPagination(query.page, limit, total), sort: sortParam }
+        };
+    }
+    
+    let cursor = null;
+    if (query.cursor !== undefined) {
+        cursor = decodeCursor(query.cursor, sortParam);
+        if (!cursor) {
+            return { error: 'Cursor tidak valid atau tidak cocok dengan parameter sort' };
+        }
+    }
+    
+    // Halaman sebelumnya diambil dengan urutan terbalik lalu dibalik lagi
+    const backward = cursor !== null && cursor.arah === 'prev';
+    const ascending = (sort.direction === 1) !== backward;
+    const querySort = backward
+        ? Object.fromEntries(Object.entries(sortSpec).map(([field, dir]) => [field, -dir]))
+        : sortSpec;
+    const pageFilter = cursor
+        ? { $and: [filter, cursorFilter(sort.field, ascending ? '$gt' : '$lt', cursor.value, cursor.id)] }
+        : filter;
+    
+    const docs = await db.collection(collectionName)
+        .find(pageFilter, { projection })
+        .sort(querySort)
+        .limit(limit + 1) // Ambil 1 ekstra untuk tahu masih ada halaman berikutnya
+        .toArray();
+    const hasMore = docs.length > limit;
+    const data = docs.slice(0, limit);
+    if (backward) data.reverse();
+    
+    const first = data[0];
+    const last = data[data.length - 1];
+    const hasNext = backward ? data.length > 0 : hasMore;
+    const hasPrev = backward ? hasMore : cursor !== null && data.length > 0;
+    
+    return {
+        data,
+        pagination: {
+            mode: 'cursor',
+            per_page: limit,
+            has_next: hasNext,
+            has_prev: hasPrev,
+            next_cursor: hasNext ? encodeCursor(last, sort, 'next') : null,
+            prev_cursor: hasPrev ? encodeCursor(first, sort, 'prev') : null,
+            sort: sortParam
+        }
+    };
+}
+
+// =============================================================================
+// FULL-TEXT SEARCH - $text dengan ranking, fallback regex & highlight
+// =============================================================================
+
+// Field yang dicari per collection. Field yang sama sudah ter-cover text index
+// (idx_produk_text_search & idx_posts_text_search) sehingga $text bisa dipakai.
+const SEARCH_CONFIG = {
+    posts: { fields: ['title', 'content', 'author'], highlight: ['title', 'content'] },
+    produk: { fields: ['nama_produk', 'deskripsi'], highlight: ['nama_produk', 'deskripsi'] }
+};
+const SNIPPET_RADIUS = 60; // Jumlah karakter di kiri/kanan kata yang cocok
+
+// Escape karakter spesial regex supaya input user dicari sebagai teks biasa
+// (sebelumnya search=( langsung menghasilkan error 500)
+function escapeRegex(text) {
+    return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Filter regex case-insensitive (sudah di-escape) di semua field search collection
+function regexSearchFilter(collectionName, search) {
+    const pattern = escapeRegex(search);
+    return {
+        $or: SEARCH_CONFIG[collectionName].fields.map(field => ({ [field]: { $regex: pattern, $options: 'i' } }))
+    };
+}
+
+// Kata-kata dari query search ($text memakai spasi sebagai pemisah, "-" untuk negasi)
+function searchTerms(search) {
+    return search.split(/\s+/)
+        .filter(term => term && !term.startsWith('-'))
+        .map(term => term.replace(/"/g, ''))
+        .filter(Boolean);
+}
+
+// Potongan teks di sekitar kata pertama yang cocok. Teks di-escape HTML lalu kata
+// yang cocok dibungkus <mark> supaya aman ditampilkan langsung di frontend.
+function highlightSnippet(text, terms) {
+    if (typeof text !== 'string' || text === '' || terms.length === 0) return null;
+    
+    const pattern = new RegExp(terms.map(escapeRegex).join('|'), 'i');
+    const match = pattern.exec(text);
+    if (!match) return null;
+    
+    const start = Math.max(0, match.index - SNIPPET_RADIUS);
+    const end = Math.min(text.length, match.index + match[0].length + SNIPPET_RADIUS);
+    const markPattern = new RegExp(terms.map(term => escapeRegex(escapeHtml(term))).join('|'), 'gi');
+    const snippet = escapeHtml(text.slice(start, end)).replace(markPattern, found => `<mark>${found}</mark>`);
+    
+    return `${start > 0 ? '...' : ''}${snippet}${end < text.length ? '...' : ''}`;
+}
+
+// Tambahkan field `highlights` ({ field: snippet }) ke setiap dokumen hasil search
+function addHighlights(docs, search, fields) {
+    const terms = searchTerms(search);
+    for (const doc of docs) {
+        const highlights = {};
+        for (const field of fields) {
+            const snippet = highlightSnippet(doc[field], terms);
+            if (snippet) highlights[field] = snippet;
+        }
+        doc.highlights = highlights;
+    }
+    return docs;
+}
+
+// Jalankan list dengan search + pagination.
+// - Jika $text menemukan hasil: pakai $text, urutkan berdasarkan relevansi (textScore)
+//   kecuali client mengirim parameter sort sendiri. Skor dikembalikan di field `score`.
+// - Jika tidak (misalnya kata tidak lengkap "kop" untuk "kopi"): fallback ke regex yang
+//   sudah di-escape, urutan memakai sort default.
+// Return hasil paginate() ditambah search_mode: 'text' | 'regex' | null
+async function searchAndPaginate(collectionName, filter, query, options) {
+    const { search } = query;
+    const { sortExplicit, defaultSort } = options;
+    
+    if (!search) {
+        const hasil = await paginate(collectionName, filter, query);
+        return { ...hasil, search_mode: null };
+    }
+    
+    const textFilter = { ...filter, $text: { $search: search } };
+    const textMatch = await db.collection(collectionName).findOne(textFilter, { projection: { _id: 1 } });
+    
+    let hasil;
+    let searchMode;
+    if (textMatch) {
+        searchMode = 'text';
+        hasil = await paginate(
+            collectionName,
+            textFilter,
+            { ...query, sort: sortExplicit ? query.sort : 'relevance' },
+            { projection: { score: { $meta: 'textScore' } } }
+        );
+    } else {
+        searchMode = 'regex';
+        hasil = await paginate(
+            collectionName,
+            { $and: [filter, regexSearchFilter(collectionName, search)] },
+            { ...query, sort: query.sort === 'relevance' ? defaultSort : query.sort }
+        );
+    }
+    
+    if (hasil.data) {
+        addHighlights(hasil.data, search, SEARCH_CONFIG[collectionName].highlight);
+    }
+    return { ...hasil, search_mode: searchMode };
+}
+
+// =============================================================================
+// QUERY LANGUAGE - filter[field][op]=value untuk endpoint list & search
+// =============================================================================
+
+// Contoh: ?filter[harga][gte]=1000&filter[harga][lt]=5000&filter[kategori][in]=Makanan,Minuman
+//         ?filter[supplier][exists]=false&filter[nama_produk][contains]=kopi
+// filter[field]=value sama dengan filter[field][eq]=value.
+// Hanya field & operator di whitelist yang diterima, nilai di-coerce sesuai tipe field,
+// sehingga client tidak pernah bisa mengirim operator MongoDB mentah ($where, $expr, ...).
+
+const QUERY_FIELDS = {
+    posts: {
+        title: 'string',
+        content: 'string',
+        author: 'string',
+        slug: 'string',
+        tags: 'string', // Cocok jika salah satu tag sama
+        created_at: 'date',
+        updated_at: 'date',
+        published_at: 'date',
+        publish_at: 'date'
+    },
+    produk: {
+        kode_produk: 'string',
+        nama_produk: 'string',
+        kategori: 'string',
+        supplier: 'string',
+        deskripsi: 'string',
+        kategori_id: 'objectId',
+        supplier_id: 'objectId',
+        status: 'string',
+        harga: 'number',
+        harga_efektif: 'number',
+        stok: 'integer',
+        tanggal_dibuat: 'date',
+        tanggal_diupdate: 'date'
+    }
+};
+
+// Operator yang didukung -> operator MongoDB
+const QUERY_OPERATORS = {
+    eq: '$eq',
+    ne: '$ne',
+    in: '$in',
+    nin: '$nin',
+    gt: '$gt',
+    gte: '$gte',
+    lt: '$lt',
+    lte: '$lte',
+    exists: '$exists',
+    contains: '$regex', // Substring case-insensitive, input di-escape
+    regex: '$regex' // Regular expression case-insensitive, panjang & pola dibatasi
+};
+const MAX_FILTER_CONDITIONS = 20;
+const MAX_IN_VALUES = 50;
+const MAX_REGEX_LENGTH = QUERY_MAX_REGEX_LENGTH;
+
+// Tolak regex yang rawan catastrophic backtracking, misalnya (a+)+ atau (a*)*
+function isSafeRegex(pattern) {
+    if (pattern.length > MAX_REGEX_LENGTH) return false;
+    if (/\([^)]*[+*}][^)]*\)\s*[+*{]/.test(pattern)) return false;
+    try {
+        new RegExp(pattern);
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+// Ambil parameter filter[...] langsung dari query string mentah supaya hasilnya
+// sama apa pun query parser Express yang dipakai.
+// Return { normalized, errors } dengan normalized = { field: { op: nilai } }
+function parseFilterQuery(req, collectionName) {
+    const fields = QUERY_FIELDS[collectionName];
+    const rawQuery = (req.originalUrl.split('?')[1] || '');
+    const normalized = {};
+    const errors = [];
+    let count = 0;
+    
+    for (const [key, rawValue] of new URLSearchParams(rawQuery)) {
+        const match = /^filter\[([^\]]+)\](?:\[([^\]]+)\])?$/.exec(key);
+        if (!match) continue;
+        
+        const [, field, op = 'eq'] = match;
+        const param = `filter[${field}][${op}]`;
+        
+        if (!fields[field]) {
+            errors.push({ field: param, message: `Field '${field}' tidak bisa difilter. Pilihan: ${Object.keys(fields).join(', ')}` });
+            continue;
+        }
+        if (!QUERY_OPERATORS[op]) {
+            errors.push({ field: param, message: `Operator '${op}' tidak didukung. Pilihan: ${Object.keys(QUERY_OPERATORS).join(', ')}` });
+            continue;
+        }
+        if (++count > MAX_FILTER_CONDITIONS) {
+            errors.push({ field: param, message: `Maksimal ${MAX_FILTER_CONDITIONS} kondisi filter` });
+            break;
+        }
+        
+        let result;
+        if (op === 'exists') {
+            result = coerceValue({ type: 'boolean' }, rawValue, param);
+        } else if (op === 'contains' || op === 'regex') {
+            if (fields[field] !== 'string') {
+                result = { error: `Operator '${op}' hanya untuk field teks` };
+            } else if (op === 'regex' && !isSafeRegex(rawValue)) {
+                result = { error: `${param} bukan regex yang valid atau terlalu kompleks (maks ${MAX_REGEX_LENGTH} karakter)` };
+            } else {
+                result = coerceValue({ type: 'string', minLength: 1, maxLength: MAX_REGEX_LENGTH }, rawValue, param);
+            }
+        } else if (op === 'in' || op === 'nin') {
+            const values = rawValue.split(',');
+            const coerced = values.map(value => coerceValue({ type: fields[field] }, value, param));
+            const failed = coerced.find(item => item.error);
+            result = values.length > MAX_IN_VALUES
+                ? { error: `${param} maksimal ${MAX_IN_VALUES} nilai` }
+                : failed || { value: coerced.map(item => item.value) };
+        } else {
+            result = coerceValue({ type: fields[field] }, rawValue, param);
+        }
+        
+        if (result.error) {
+            errors.push({ field: param, message: result.error });
+            continue;
+        }
+        
+        normalized[field] = { ...normalized[field], [op]: result.value };
+        if (normalized[field].contains !== undefined && normalized[field].regex !== undefined) {
+            errors.push({ field: param, message: `Operator contains dan regex tidak bisa dipakai bersamaan pada '${field}'` });
+        }
+    }
+    
+    return { normalized, errors };
+}
+
+// Terjemahkan query yang sudah dinormalisasi ke filter MongoDB
+function translateFilter(normalized) {
+    const filter = {};
+    for (const [field, conditions] of Object.entries(normalized)) {
+        const mongo = {};
+        for (const [op, value] of Object.entries(conditions)) {
+            if (op === 'contains') {
+                mongo.$regex = escapeRegex(value);
+                mongo.$options = 'i';
+            } else if (op === 'regex') {
+                mongo.$regex = value;
+                mongo.$options = 'i';
+            } else {
+                mongo[QUERY_OPERATORS[op]] = value;
+            }
+        }
+        filter[field] = mongo;
+    }
+    return filter;
+}
+
+// Middleware: parse filter[...] dan simpan di req.queryFilter = { normalized, mongo }
+function validateFilter(collectionName) {
+    return (req, res, next) => {
+        const { normalized, errors } = parseFilterQuery(req, collectionName);
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Parameter filter tidak valid',
+                errors: errors
+            });
+        }
+        
+        req.queryFilter = { normalized, mongo: translateFilter(normalized) };
+        next();
+    };
+}
+
+// Gabungkan query yang dinormalisasi (kondisi field yang sama digabung)
+function mergeNormalized(...queries) {
+    const merged = {};
+    for (const query of queries) {
+        for (const [field, conditions] of Object.entries(query)) {
+            merged[field] = { ...merged[field], ...conditions };
+        }
+    }
+    return merged;
+}
+
+// =============================================================================
+// POSTS - Status (draft/published/archived), slug, tags & scheduler publish
+// =============================================================================
+
+// Interval scheduler publish post terjadwal (publish_at)
+const POST_SCHEDULER_INTERVAL_MS = appConfig.scheduler.postIntervalMs;
+const POST_SCHEDULER_BATCH_SIZE = 100; // Post per putaran scheduler
+const SLUG_MAX_LENGTH = 80;
+let postSchedulerRunning = false;
+
+// Post lama yang belum punya field status dianggap sudah published
+const PUBLISHED_FILTER = { status: { $in: ['published', null] } };
+
+function isPublished(post) {
+    return !post.status || post.status === 'published';
+}
+
+// Filter status untuk endpoint baca posts. Default hanya post published;
+// draft/archived/all hanya boleh diminta editor & admin.
+// Return { filter } atau { error }
+function postStatusFilter(req, status) {
+    if (status === 'published') {
+        return { filter: PUBLISHED_FILTER };
+    }
+    if ((ROLE_LEVEL[req.user.role] || 0) < ROLE_LEVEL.editor) {
+        return { error: `Status '${status}' hanya bisa dilihat oleh editor atau admin` };
+    }
+    return { filter: status === 'all' ? {} : { status: status } };
+}
+
+// Tamu & viewer hanya boleh membuka post yang sudah published
+function canViewPost(req, post) {
+    return isPublished(post) || (ROLE_LEVEL[req.user.role] || 0) >= ROLE_LEVEL.editor;
+}
+
+// "Belajar MongoDB: Bagian 1!" -> "belajar-mongodb-bagian-1"
+function slugify(text) {
+    const slug = String(text || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '') // Buang diakritik (é -> e)
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .slice(0, SLUG_MAX_LENGTH)
+        .replace(/^-+|-+$/g, '');
+    return slug || 'post';
+}
+
+// Slug unik berdasarkan `base`: base, base-2, base-3, ... (post di trash ikut dihitung
+// karena index unique berlaku untuk semua dokumen)
+async function uniqueSlug(base) {
+    const pattern = new RegExp(`^${escapeRegex(base)}(-\\d+)?$`);
+    const dipakai = await db.collection('posts')
+        .find({ slug: pattern }, { projection: { slug: 1 } })
+        .toArray();
+    const slugs = new Set(dipakai.map(post => post.slug));
+    
+    let slug = base;
+    for (let n = 2; slugs.has(slug); n++) {
+        slug = `${base}-${n}`;
+    }
+    return slug;
+}
+
+// Cek kombinasi status & publish_at. publish_at hanya berlaku untuk draft.
+function checkPublishAt(status, publishAt) {
+    if (publishAt && status !== 'draft') {
+        return 'publish_at hanya bisa diisi untuk post berstatus draft';
+    }
+    return null;
+}
+
+// Middleware PUT/PATCH /posts/:id (setelah validateBody/validatePatch, sebelum handleUpdate).
+// Melengkapi perubahan berdasarkan isi post saat ini:
+//   - status & slug tidak boleh dihapus (null)
+//   - publish_at dibuang otomatis saat post dipublish/diarsipkan manual
+//   - published_at diisi saat post pertama kali berpindah ke published
+//   - post lama tanpa slug dibuatkan slug dari judul
+async function preparePostChanges(req, res, next) {
+    try {
+        const { id } = req.params;
+        if (!ObjectId.isValid(id)) return next(); // Ditangani handleUpdate
+        
+        const changes = req.body;
+        for (const field of ['status', 'slug']) {
+            if (changes[field] === null) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Data post tidak valid',
+                    errors: [{ field: field, message: `${field} tidak boleh dihapus` }]
+                });
+            }
+        }
+        
+        const current = await db.collection('posts').findOne({ _id: new ObjectId(id), ...NOT_DELETED });
+        if (!current) return next(); // 404 dari handleUpdate
+        
+        const statusLama = current.status || 'published';
+        const status = changes.status || statusLama;
+        
+        if (status !== 'draft' && changes.publish_at === undefined && current.publish_at) {
+            changes.publish_at = null;
+        }
+        const publishAt = changes.publish_at !== undefined ? changes.publish_at : current.publish_at;
+        const publishError = checkPublishAt(status, publishAt);
+        if (publishError) {
+            return res.status(400).json({
+                success: false,
+                message: 'Data post tidak valid',
+                errors: [{ field: 'publish_at', message: publishError }]
+            });
+        }
+        
+        if (status === 'published' && statusLama !== 'published' && !current.published_at) {
+            changes.published_at = new Date();
+        }
+        if (!current.slug && !changes.slug) {
+            changes.slug = await uniqueSlug(slugify(changes.title || current.title));
+        }
+        
+        next();
+    } catch (err) {
+        next(withPublicMessage(err, 'Gagal mengupdate post'));
+    }
+}
+
+// Publish draft yang publish_at-nya sudah lewat. Satu post per findOneAndUpdate
+// supaya aman dijalankan oleh beberapa instance server sekaligus.
+async function publishScheduledPosts() {
+    if (postSchedulerRunning || !db) return;
+    postSchedulerRunning = true;
+    
+    try {
+        for (let i = 0; i < POST_SCHEDULER_BATCH_SIZE; i++) {
+            const hasil = await runInTransaction(async (session) => {
+                const now = new Date();
+                const update = {
+                    $set: { status: 'published', published_at: now, updated_at: now },
+                    $unset: { publish_at: '' },
+                    $inc: { version: 1 }
+                };
+                const result = await db.collection('posts').findOneAndUpdate(
+                    { status: 'draft', publish_at: { $lte: now }, ...NOT_DELETED },
+                    update,
+                    { sort: { publish_at: 1 }, returnDocument: 'before', includeResultMetadata: true, session }
+                );
+                if (!result.value) return null;
+                
+                const before = result.value;
+                const after = { ...before, ...update.$set, version: (before.version || 0) + 1 };
+                delete after.publish_at;
+                await recordAudit(null, {
+                    resource: 'posts',
+                    resource_id: after._id,
+                    action: 'publish',
+                    before: before,
+                    after: after
+                }, session);
+                return { before, after };
+            });
+            if (!hasil) break;
+            
+            logger.info(`Post terjadwal dipublish: ${hasil.after.slug || hasil.after._id}`);
+            await RESOURCE_CONFIG.posts.onChange('updated', hasil.after, hasil.before);
+        }
+    } catch (err) {
+        logger.error('Scheduler publish post gagal:', err.message);
+    } finally {
+        postSchedulerRunning = false;
+    }
+}
+
+// =============================================================================
+// STATISTIK - Helper aggregation untuk endpoint stats (dashboard)
+// =============================================================================
+
+// Pengelompokan per hari / minggu / bulan dihitung di zona waktu ini supaya
+// data jam 00:30 WIB tidak masuk ke tanggal sebelumnya (UTC)
+const STATS_TIMEZONE = appConfig.stats.timezone;
+
+// Format $dateToString per periode ('%G-W%V' = minggu ISO, contoh 2024-W07)
+const PERIODE_FORMAT = {
+    hari: '%Y-%m-%d',
+    minggu: '%G-W%V',
+    bulan: '%Y-%m'
+};
+
+// Default rentang timeline produk baru jika date_from tidak dikirim
+const PERIODE_DEFAULT_HARI = { hari: 30, minggu: 7 * 12 };
+
+// Stage $group untuk timeline jumlah dokumen per periode
+function timelineStages(dateField, periode) {
+    return [
+        {
+            $group: {
+                _id: { $dateToString: { format: PERIODE_FORMAT[periode], date: `$${dateField}`, timezone: STATS_TIMEZONE } },
+                jumlah: { $sum: 1 }
+            }
+        },
+        { $sort: { _id: 1 } },
+        { $project: { _id: 0, periode: '$_id', jumlah: 1 } }
+    ];
+}
+
+// Stage $group nilai inventori per referensi (kategori / supplier).
+// Produk lama yang belum punya *_id dikelompokkan berdasarkan salinan namanya.
+function nilaiInventoriStages(name) {
+    return [
+        {
+            $group: {
+                _id: { $ifNull: [`$${name}_id`, `$${name}`] },
+                nama: { $first: `$${name}` },
+                jumlah_produk: { $sum: 1 },
+                total_stok: { $sum: '$stok' },
+                nilai_inventori: { $sum: { $multiply: ['$harga', '$stok'] } }
+            }
+        },
+        { $sort: { nilai_inventori: -1, nama: 1 } },
+        {
+            $project: {
+                _id: 0,
+                [`${name}_id`]: { $cond: [{ $eq: [{ $type: '$_id' }, 'objectId'] }, '$_id', null] },
+                [name]: { $ifNull: ['$nama', null] },
+                jumlah_produk: 1,
+                total_stok: 1,
+                nilai_inventori: 1
+            }
+        }
+    ];
+}
+
+// ---- API Endpoints ----
+
+// GET /posts (Membaca semua postingan dengan search dan pagination)
+// Default hanya post published; ?status=draft|archived|all untuk editor & admin, ?tag= filter per tag
+app.get('/posts', optionalAuthenticate, validateQuery('postsListQuery'), validateFilter('posts'), async (req, res, next) => {
+    try {
+        const { search, status, tag } = req.validQuery;
+        
+        const statusFilter = postStatusFilter(req, status);
+        if (statusFilter.error) {
+            return res.status(403).json({
+                success: false,
+                message: statusFilter.error
+            });
+        }
+        
+        // Filter dari query language filter[field][op]=value, post di trash tidak ikut
+        const filter = withQueryFilter({ ...statusFilter.filter, ...NOT_DELETED }, req.queryFilter);
+        if (tag) filter.tags = tag;
+        
+        // Ambil data dengan search full-text (title, content, author), pagination dan sort
+        const hasil = await searchAndPaginate('posts', filter, req.validQuery, {
+            sortExplicit: req.query.sort !== undefined,
+            defaultSort: SCHEMAS.postsListQuery.properties.sort.default
+        });
+        if (hasil.error) {
+            return res.status(400).json({
+                success: false,
+                message: hasil.error
+            });
+        }
+        await attachCommentCounts(hasil.data);
+        
+        res.status(200).json({
+            success: true,
+            data: hasil.data,
+            pagination: hasil.pagination,
+            search_query: search || null,
+            search_mode: hasil.search_mode,
+            status: status,
+            tag: tag || null,
+            filter_used: req.queryFilter.normalized
+        });
+    } catch (err) {
+        next(withPublicMessage(err, 'Gagal mengambil data posts'));
+    }
+});
+
+// GET /posts/search/advanced (Pencarian lanjutan dengan filter)
+// Parameter title/author/content/date_from/date_to adalah shortcut untuk query language
+// dan bisa dikombinasikan dengan filter[field][op]=value.
+// Didaftarkan sebelum /posts/:id supaya path ini tidak pernah diperlakukan sebagai ID.
+app.get('/posts/search/advanced', authenticate, requireRole('viewer'), validateQuery('postsAdvancedQuery'), validateFilter('posts'), async (req, res, next) => {
+    try {
+        const { title, author, content, date_from, date_to, tag, status } = req.validQuery;
+        
+        const statusFilter = postStatusFilter(req, status);
+        if (statusFilter.error) {
+            return res.status(403).json({
+                success: false,
+                message: statusFilter.error
+            });
+        }
+        
+        // Terjemahkan parameter shortcut ke bentuk query language yang dinormalisasi
+        const shortcut = {};
+        if (title) shortcut.title = { contains: title };
+        if (author) shortcut.author = { contains: author };
+        if (content) shortcut.content = { contains: content };
+        if (tag) shortcut.tags = { eq: tag };
+        if (date_from || date_to) {
+            shortcut.created_at = {};
+            if (date_from) shortcut.created_at.gte = date_from;
+            if (date_to) shortcut.created_at.lte = date_to;
+        }
+        const normalized = mergeNormalized(shortcut, req.queryFilter.normalized);
+        
+        if (Object.keys(normalized).length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Minimal satu parameter pencarian harus diisi'
+            });
+        }
+        
+        // Build advanced filter dari query yang sudah dinormalisasi & di-whitelist
+        const filter = { $and: [translateFilter(normalized), statusFilter.filter], ...NOT_DELETED };
+        
+        const posts = await db.collection('posts')
+            .find(filter)
+            .sort({ _id: -1 })
+            .limit(50) // Batasi hasil pencarian
+            .toArray();
+        
+        res.status(200).json({
+            success: true,
+            message: `Ditemukan ${posts.length} posts`,
+            data: posts,
+            filter_used: normalized // Query ternormalisasi, bukan object MongoDB mentah
+        });
+    } catch (err) {
+        next(withPublicMessage(err, 'Gagal mencari posts'));
+    }
+});
+
+// GET /posts/stats (Statistik posts per author dan per bulan untuk dashboard konten)
+// Bisa dipersempit dengan date_from/date_to dan filter[field][op]=value.
+// Didaftarkan sebelum /posts/:id supaya 'stats' tidak dianggap sebagai ID
+app.get('/posts/stats', authenticate, requireRole('viewer'), validateQuery('postsStatsQuery'), validateFilter('posts'), async (req, res, next) => {
+    try {
+        const { date_from, date_to, status } = req.validQuery;
+        
+        const statusFilter = postStatusFilter(req, status);
+        if (statusFilter.error) {
+            return res.status(403).json({
+                success: false,
+                message: statusFilter.error
+            });
+        }
+        
+        const filter = withQueryFilter({ ...NOT_DELETED, ...statusFilter.filter }, req.queryFilter);
+        if (date_from || date_to) {
+            filter.created_at = { ...filter.created_at };
+            if (date_from) filter.created_at.$gte = date_from;
+            if (date_to) filter.created_at.$lte = date_to;
+        }
+        
+        // Semua statistik dihitung dalam satu aggregate dengan $facet
+        const [hasil] = await db.collection('posts').aggregate([
+            { $match: filter },
+            {
+                $facet: {
+                    ringkasan: [
+                        {
+                            $group: {
+                                _id: null,
+                                total_posts: { $sum: 1 },
+                                authors: { $addToSet: '$author' },
+                                post_pertama: { $min: '$created_at' },
+                                post_terakhir: { $max: '$created_at' }
+                            }
+                        },
+                        {
+                            $project: {
+                                _id: 0,
+                                total_posts: 1,
+                                total_author: { $size: '$authors' },
+                                post_pertama: 1,
+                                post_terakhir: 1
+                            }
+                        }
+                    ],
+                    per_author: [
+                        {
+                            $group: {
+                                _id: '$author',
+                                jumlah: { $sum: 1 },
+                                post_terakhir: { $max: '$created_at' }
+                            }
+                        },
+                        { $sort: { jumlah: -1, _id: 1 } },
+                        { $project: { _id: 0, author: '$_id', jumlah: 1, post_terakhir: 1 } }
+                    ],
+                    per_status: [
+                        { $group: { _id: { $ifNull: ['$status', 'published'] }, jumlah: { $sum: 1 } } },
+                        { $sort: { jumlah: -1, _id: 1 } },
+                        { $project: { _id: 0, status: '$_id', jumlah: 1 } }
+                    ],
+                    per_tag: [
+                        { $unwind: '$tags' },
+                        { $group: { _id: '$tags', jumlah: { $sum: 1 } } },
+                        { $sort: { jumlah: -1, _id: 1 } },
+                        { $limit: 20 },
+                        { $project: { _id: 0, tag: '$_id', jumlah: 1 } }
+                    ],
+                    per_bulan: timelineStages('created_at', 'bulan')
+                }
+            }
+        ]).toArray();
+        
+        res.status(200).json({
+            success: true,
+            message: 'Statistik posts berhasil dihitung',
+            data: {
+                ringkasan: hasil.ringkasan[0] || { total_posts: 0, total_author: 0, post_pertama: null, post_terakhir: null },
+                per_author: hasil.per_author,
+                per_status: hasil.per_status,
+                per_tag: hasil.per_tag,
+                per_bulan: hasil.per_bulan
+            },
+            status: status,
+            timezone: STATS_TIMEZONE,
+            filter_used: req.queryFilter.normalized
+        });
+    } catch (err) {
+        next(withPublicMessage(err, 'Gagal menghitung statistik posts'));
+    }
+});
+
+// GET /posts/trash (Daftar post yang dihapus, admin saja)
+// Didaftarkan sebelum /posts/:id supaya 'trash' tidak dianggap sebagai ID
+app.get('/posts/trash', authenticate, requireRole('admin'), validateQuery('pageQuery'), handleTrashList('posts'));
+
+// GET /posts/slug/:slug (Membaca post berdasarkan slug)
+// Didaftarkan sebelum /posts/:id supaya 'slug' tidak dianggap sebagai ID
+app.get('/posts/slug/:slug', optionalAuthenticate, async (req, res, next) => {
+    try {
+        const slug = String(req.params.slug).toLowerCase();
+        
+        const post = await db.collection('posts').findOne({ slug: slug, ...NOT_DELETED });
+        
+        // Draft & archived disembunyikan dari viewer
+        if (!post || !canViewPost(req, post)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Post tidak ditemukan'
+            });
+        }
+        
+        // ETag tetap versi post (dipakai If-Match), comment_count tidak ikut menentukan 304
+        res.set('ETag', etagFor(post));
+        if (isNotModified(req, post)) {
+            return res.status(304).end();
+        }
+        await attachCommentCounts([post]);
+        
+        res.status(200).json({
+            success: true,
+            data: post
+        });
+    } catch (err) {
+        next(withPublicMessage(err, 'Gagal mengambil data post'));
+    }
+});
+
+// GET /tags (Daftar tag beserta jumlah post, terbanyak dulu)
+// Sama seperti GET /posts: default hanya menghitung post published
+app.get('/tags', optionalAuthenticate, validateQuery('tagsQuery'), async (req, res, next) => {
+    try {
+        const { status, search, limit } = req.validQuery;
+        
+        const statusFilter = postStatusFilter(req, status);
+        if (statusFilter.error) {
+            return res.status(403).json({
+                success: false,
+                message: statusFilter.error
+            });
+        }
+        
+        const tagMatch = search ? { tags: { $regex: escapeRegex(search) } } : {};
+        const tags = await db.collection('posts').aggregate([
+            { $match: { ...statusFilter.filter, ...NOT_DELETED, tags: { $exists: true, $ne: [] } } },
+            { $unwind: '$tags' },
+            { $match: tagMatch },
+            { $group: { _id: '$tags', jumlah: { $sum: 1 }, post_terakhir: { $max: '$created_at' } } },
+            { $sort: { jumlah: -1, _id: 1 } },
+            { $limit: limit },
+            { $project: { _id: 0, tag: '$_id', jumlah: 1, post_terakhir: 1 } }
+        ]).toArray();
+        
+        res.status(200).json({
+            success: true,
+            data: tags,
+            status: status
+        });
+    } catch (err) {
+        next(withPublicMessage(err, 'Gagal mengambil daftar tag'));
+    }
+});
+
+// GET /posts/:id (Membaca post berdasarkan ID)
+app.get('/posts/:id', optionalAuthenticate, async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        
+        // Validasi ObjectId
+        if (!ObjectId.isValid(id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'ID post tidak valid'
+            });
+        }
+        
+        const post = await db.collection('posts').findOne({ _id: new ObjectId(id), ...NOT_DELETED });
+        
+        // Draft & archived disembunyikan dari viewer
+        if (!post || !canViewPost(req, post)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Post tidak ditemukan'
+            });
+        }
+        
+        // Conditional GET: client yang sudah punya versi terbaru cukup dapat 304
+        // ETag tetap versi post (dipakai If-Match), comment_count tidak ikut menentukan 304
+        res.set('ETag', etagFor(post));
+        if (isNotModified(req, post)) {
+            return res.status(304).end();
+        }
+        await attachCommentCounts([post]);
+        
+        res.status(200).json({
+            success: true,
+            data: post
+        });
+    } catch (err) {
+        next(withPublicMessage(err, 'Gagal mengambil data post'));
+    }
+});
+
+// POST /posts (Membuat postingan baru)
+app.post('/posts', authenticate, requireRole('editor'), validateBody('post', 'Data post tidak valid'), async (req, res, next) => {
+    try {
+        // Body sudah divalidasi schema: field asing & protected (_id, created_at, ...) dibuang
+        const dataBaru = req.body;
+        
+        // Tanpa status: draft jika dijadwalkan (publish_at), selain itu langsung published
+        const { publish_at, ...data } = dataBaru;
+        const status = data.status || (publish_at ? 'draft' : 'published');
+        const publishError = checkPublishAt(status, publish_at);
+        if (publishError) {
+            return res.status(400).json({
+                success: false,
+                message: 'Data post tidak valid',
+                errors: [{ field: 'publish_at', message: publishError }]
+            });
+        }
+        
+        // Author selalu diambil dari user yang login, bukan dari body
+        const now = new Date();
+        const postBaru = {
+            ...data,
+            status: status,
+            author: req.user.username,
+            author_id: new ObjectId(req.user.id),
+            created_at: now,
+            updated_at: now,
+            version: 1 // Versi awal untuk optimistic concurrency
+        };
+        if (publish_at) postBaru.publish_at = publish_at;
+        if (status === 'published') postBaru.published_at = now;
+        
+        // Slug otomatis dari judul; jika bentrok dengan post yang dibuat bersamaan, cari ulang
+        const slugOtomatis = !data.slug;
+        let result;
+        for (let attempt = 1; ; attempt++) {
+            if (slugOtomatis) postBaru.slug = await uniqueSlug(slugify(postBaru.title));
+            try {
+                result = await runInTransaction(async (session) => {
+                    const result = await db.collection('posts').insertOne(postBaru, { session });
+                    await recordAudit(req, {
+                        resource: 'posts',
+                        resource_id: result.insertedId,
+                        action: 'create',
+                        before: null,
+                        after: postBaru
+                    }, session);
+                    return result;
+                });
+                break;
+            } catch (err) {
+                delete postBaru._id; // insertOne sudah mengisi _id
+                if (err.code !== 11000 || !slugOtomatis || attempt >= 3) throw err;
+            }
+        }
+        await RESOURCE_CONFIG.posts.onChange('created', postBaru);
+        
+        res.status(201).json({
+            success: true,
+            message: 'Post berhasil dibuat',
+            data: {
+                _id: result.insertedId,
+                ...postBaru
+            }
+        });
+    } catch (err) {
+        if (err.code === 11000) {
+            return next(new ConflictError(RESOURCE_CONFIG.posts.duplicateMessage));
+        }
+        next(withPublicMessage(err, 'Gagal membuat post'));
+    }
+});
+
+// PUT /posts/:id (Update postingan, semua field wajib dikirim)
+app.put('/posts/:id', authenticate, requireRole('editor'), validateBody('post', 'Data post tidak valid'), preparePostChanges, handleUpdate('posts'));
+
+// PATCH /posts/:id (Update sebagian field, mendukung JSON Merge Patch & JSON Patch)
+app.patch('/posts/:id', authenticate, requireRole('editor'), validatePatch('post', 'Data post tidak valid'), preparePostChanges, handleUpdate('posts'));
+
+// DELETE /posts/:id (Hapus postingan, dipindah ke trash)
+app.delete('/posts/:id', authenticate, requireRole('admin'), handleSoftDelete('posts'));
+
+// POST /posts/:id/restore (Kembalikan post dari trash)
+app.post('/posts/:id/restore', authenticate, requireRole('admin'), handleRestore('posts'));
+
+// DELETE /posts/:id/permanent (Hapus permanen post yang ada di trash)
+app.delete('/posts/:id/permanent', authenticate, requireRole('admin'), handlePurge('posts'));
+
+// =============================================================================
+// KOMENTAR - Komentar posts dengan balasan satu tingkat & antrian moderasi
+// =============================================================================
+
+// Komentar disimpan di collection 'comments' dengan post_id. Balasan hanya satu
+// tingkat: parent_id selalu menunjuk komentar utama (parent_id null) di post yang sama.
+// Komentar viewer masuk antrian moderasi (pending), komentar editor & admin
+// langsung approved. Yang tampil ke publik dan dihitung di comment_count hanya
+// komentar approved.
+//
+// Komentar ikut "hilang" saat post dipindah ke trash (semua endpoint komentar
+// membalas 404 untuk post di trash), kembali saat post di-restore, dan ikut
+// dihapus permanen bersama post (lihat RESOURCE_CONFIG.posts.cascade).
+
+function isModerator(req) {
+    return (ROLE_LEVEL[req.user.role] || 0) >= ROLE_LEVEL.editor;
+}
+
+// Ambil post yang boleh dikomentari / dibaca komentarnya oleh user ini
+async function findCommentablePost(req, id) {
+    if (!ObjectId.isValid(id)) return { status: 400, message: 'ID post tidak valid' };
+    
+    const post = await db.collection('posts').findOne({ _id: new ObjectId(id), ...NOT_DELETED });
+    if (!post || !canViewPost(req, post)) return { status: 404, message: 'Post tidak ditemukan' };
+    return { post };
+}
+
+// Tambahkan comment_count (komentar approved, termasuk balasan) ke setiap post
+async function attachCommentCounts(posts) {
+    if (posts.length === 0) return posts;
+    
+    const counts = await db.collection('comments').aggregate([
+        { $match: { post_id: { $in: posts.map(post => post._id) }, status: 'approved' } },
+        { $group: { _id: '$post_id', jumlah: { $sum: 1 } } }
+    ]).toArray();
+    const perPost = new Map(counts.map(count => [String(count._id), count.jumlah]));
+    
+    posts.forEach(post => {
+        post.comment_count = perPost.get(String(post._id)) || 0;
+    });
+    return posts;
+}
+
+// GET /posts/:id/comments (Komentar utama + balasannya, terlama dulu)
+// Default: komentar approved plus komentar milik sendiri yang masih pending/rejected.
+// ?status=pending|rejected|all hanya untuk editor & admin.
+app.get('/posts/:id/comments', authenticate, requireRole('viewer'), validateQuery('commentListQuery'), async (req, res, next) => {
+    try {
+        const { status, page: pageNum, limit: limitNum } = req.validQuery;
+        
+        const { post, status: errorStatus, message } = await findCommentablePost(req, req.params.id);
+        if (!post) {
+            return res.status(errorStatus).json({
+                success: false,
+                message: message
+            });
+        }
+        
+        let visibility;
+        if (status === 'approved') {
+            visibility = { $or: [{ status: 'approved' }, { author_id: new ObjectId(req.user.id) }] };
+        } else if (!isModerator(req)) {
+            return res.status(403).json({
+                success: false,
+                message: `Status '${status}' hanya bisa dilihat oleh editor atau admin`
+            });
+        } else {
+            visibility = status === 'all' ? {} : { status: status };
+        }
+        
+        // Pagination berdasarkan komentar utama, balasan ikut komentar induknya
+        const filter = { post_id: post._id, parent_id: null, ...visibility };
+        const comments = await db.collection('comments')
+            .find(filter)
+            .sort({ created_at: 1, _id: 1 })
+            .skip((pageNum - 1) * limitNum)
+            .limit(limitNum)
+            .toArray();
+        const total = await db.collection('comments').countDocuments(filter);
+        
+        const replies = await db.collection('comments')
+            .find({ parent_id: { $in: comments.map(comment => comment._id) }, ...visibility })
+            .sort({ created_at: 1, _id: 1 })
+            .toArray();
+        comments.forEach(comment => {
+            comment.replies = replies.filter(reply => reply.parent_id.equals(comment._id));
+        });
+        
+        res.status(200).json({
+            success: true,
+            data: comments,
+            pagination: buildPagination(pageNum, limitNum, total),
+            status: status
+        });
+    } catch (err) {
+        next(withPublicMessage(err, 'Gagal mengambil komentar'));
+    }
+});
+
+// POST /posts/:id/comments (Tulis komentar atau balasan dengan parent_id)
+app.post('/posts/:id/comments', authenticate, requireRole('viewer'), validateBody('comment', 'Data komentar tidak valid'), async (req, res, next) => {
+    try {
+        const { content, parent_id } = req.body;
+        
+        const { post, status: errorStatus, message } = await findCommentablePost(req, req.params.id);
+        if (!post) {
+            return res.status(errorStatus).json({
+                success: false,
+                message: message
+            });
+        }
+        if (!isPublished(post)) {
+            return res.status(409).json({
+                success: false,
+                message: 'Komentar hanya bisa ditulis di post yang sudah published'
+            });
+        }
+        
+        if (parent_id) {
+            const parent = await db.collection('comments').findOne({ _id: parent_id, post_id: post._id, status: 'approved' });
+            if (!parent) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Data komentar tidak valid',
+                    errors: [{ field: 'parent_id', message: 'Komentar yang dibalas tidak ditemukan (atau belum di-approve) di post ini' }]
+                });
+            }
+            if (parent.parent_id) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Data komentar tidak valid',
+                    errors: [{ field: 'parent_id', message: 'Balasan hanya bisa untuk komentar utama (satu tingkat)' }]
+                });
+            }
+        }
+        
+        const now = new Date();
+        const komentarBaru = {
+            post_id: post._id,
+            parent_id: parent_id,
+            content: content,
+            author: req.user.username,
+            author_id: new ObjectId(req.user.id),
+            status: isModerator(req) ? 'approved' : 'pending',
+            created_at: now,
+            updated_at: now
+        };
+        await db.collection('comments').insertOne(komentarBaru);
+        
+        res.status(201).json({
+            success: true,
+            message: komentarBaru.status === 'approved'
+                ? 'Komentar berhasil ditambahkan'
+                : 'Komentar berhasil dikirim dan menunggu moderasi',
+            data: komentarBaru // insertOne sudah mengisi komentarBaru._id
+        });
+    } catch (err) {
+        next(withPublicMessage(err, 'Gagal menambahkan komentar'));
+    }
+});
+
+// Ambil komentar beserta post-nya; komentar di post yang sudah di trash dianggap tidak ada
+async function findComment(req, id) {
+    if (!ObjectId.isValid(id)) return { status: 400, message: 'ID komentar tidak valid' };
+    
+    const comment = await db.collection('comments').findOne({ _id: new ObjectId(id) });
+    if (!comment) return { status: 404, message: 'Komentar tidak ditemukan' };
+    
+    const { post } = await findCommentablePost(req, String(comment.post_id));
+    if (!post) return { status: 404, message: 'Komentar tidak ditemukan' };
+    return { comment };
+}
+
+// GET /comments/moderation (Antrian moderasi, terlama dulu)
+// Didaftarkan sebelum /comments/:id supaya 'moderation' tidak dianggap sebagai ID
+app.get('/comments/moderation', authenticate, requireRole('editor'), validateQuery('commentModerationQuery'), async (req, res, next) => {
+    try {
+        const { status, post_id, page: pageNum, limit: limitNum } = req.validQuery;
+        
+        const filter = { status: status };
+        if (post_id) filter.post_id = post_id;
+        
+        const data = await db.collection('comments').aggregate([
+            { $match: filter },
+            { $sort: { created_at: 1, _id: 1 } },
+            { $skip: (pageNum - 1) * limitNum },
+            { $limit: limitNum },
+            // Sertakan judul & slug post supaya moderator tahu konteks komentarnya
+            {
+                $lookup: {
+                    from: 'posts',
+                    localField: 'post_id',
+                    foreignField: '_id',
+                    pipeline: [{ $project: { title: 1, slug: 1, deleted_at: 1 } }],
+                    as: 'post'
+                }
+            },
+            { $set: { post: { $first: '$post' } } }
+        ]).toArray();
+        const total = await db.collection('comments').countDocuments(filter);
+        
+        res.status(200).json({
+            success: true,
+            message: `Ditemukan ${total} komentar berstatus ${status}`,
+            data: data,
+            pagination: buildPagination(pageNum, limitNum, total)
+        });
+    } catch (err) {
+        next(withPublicMessage(err, 'Gagal mengambil antrian moderasi'));
+    }
+});
+
+// PATCH /comments/:id (Edit isi komentar, hanya oleh penulisnya)
+// Komentar viewer yang diedit kembali masuk antrian moderasi.
+app.patch('/comments/:id', authenticate, requireRole('viewer'), validateBody('commentUpdate', 'Data komentar tidak valid'), async (req, res, next) => {
+    try {
+        const { comment, status: errorStatus, message } = await findComment(req, req.params.id);
+        if (!comment) {
+            return res.status(errorStatus).json({
+                success: false,
+                message: message
+            });
+        }
+        if (String(comment.author_id) !== req.user.id) {
+            return res.status(403).json({
+                success: false,
+                message: 'Komentar hanya bisa diedit oleh penulisnya'
+            });
+        }
+        
+        const $set = {
+            content: req.body.content,
+            status: isModerator(req) ? 'approved' : 'pending',
+            edited_at: new Date(),
+            updated_at: new Date()
+        };
+        const result = await db.collection('comments').findOneAndUpdate(
+            { _id: comment._id },
+            { $set },
+            { returnDocument: 'after', includeResultMetadata: true }
+        );
+        
+        res.status(200).json({
+            success: true,
+            message: $set.status === 'approved'
+                ? 'Komentar berhasil diupdate'
+                : 'Komentar berhasil diupdate dan menunggu moderasi ulang',
+            data: result.value
+        });
+    } catch (err) {
+        next(withPublicMessage(err, 'Gagal mengupdate komentar'));
+    }
+});
+
+// DELETE /comments/:id (Hapus komentar oleh penulisnya atau admin)
+// Menghapus komentar utama ikut menghapus semua balasannya.
+app.delete('/comments/:id', authenticate, requireRole('viewer'), async (req, res, next) => {
+    try {
+        const { comment, status: errorStatus, message } = await findComment(req, req.params.id);
+        if (!comment) {
+            return res.status(errorStatus).json({
+                success: false,
+                message: message
+            });
+        }
+        if (String(comment.author_id) !== req.user.id && req.user.role !== 'admin') {
+            return res.status(403).json({
+                success: false,
+                message: 'Komentar hanya bisa dihapus oleh penulisnya atau admin'
+            });
+        }
+        
+        const result = await runInTransaction(async (session) => {
+            return db.collection('comments').deleteMany(
+                { $or: [{ _id: comment._id }, { parent_id: comment._id }] },
+                { session }
+            );
+        });
+        
+        res.status(200).json({
+            success: true,
+            message: 'Komentar berhasil dihapus',
+            deleted_data: comment,
+            deleted_count: result.deletedCount // Termasuk balasan
+        });
+    } catch (err) {
+        next(withPublicMessage(err, 'Gagal menghapus komentar'));
+    }
+});
+
+// Handler POST /comments/:id/approve dan /reject (editor & admin)
+function handleModerate(status) {
+    return async (req, res, next) => {
+        try {
+            const { comment, status: errorStatus, message } = await findComment(req, req.params.id);
+            if (!comment) {
+                return res.status(errorStatus).json({
+                    success: false,
+                    message: message
+                });
+            }
+            
+            const result = await db.collection('comments').findOneAndUpdate(
+                { _id: comment._id },
+                {
+                    $set: {
+                        status: status,
+                        moderated_by: req.user.username,
+                        moderated_at: new Date(),
+                        catatan_moderasi: req.body.catatan,
+                        updated_at: new Date()
+                    }
+                },
+                { returnDocument: 'after', includeResultMetadata: true }
+            );
+            
+            res.status(200).json({
+                success: true,
+                message: status === 'approved' ? 'Komentar berhasil di-approve' : 'Komentar berhasil di-reject',
+                data: result.value
+            });
+        } catch (err) {
+            next(withPublicMessage(err, 'Gagal memoderasi komentar'));
+        }
+    };
+}
+
+// POST /comments/:id/approve & /comments/:id/reject
+app.post('/comments/:id/approve', authenticate, requireRole('editor'), validateBody('commentModeration', 'Data moderasi tidak valid'), handleModerate('approved'));
+app.post('/comments/:id/reject', authenticate, requireRole('editor'), validateBody('commentModeration', 'Data moderasi tidak valid'), handleModerate('rejected'));
+
+// =============================================================================
+// KATEGORI & SUPPLIER - Master data yang direferensikan produk
+// =============================================================================
+
+// Produk menyimpan kategori_id / supplier_id (ObjectId) plus salinan nama di field
+// kategori / supplier. Salinan nama tetap dipakai oleh search, filter lama dan export
+// CSV, dan ikut diperbarui setiap kali kategori / supplier di-rename.
+// Nama unik secara global (case-insensitive) supaya import yang memakai nama selalu
+// menunjuk ke tepat satu dokumen.
+
+const REFERENCE_CONFIG = {
+    kategori: {
+        label: 'Kategori',
+        route: '/api/kategori',
+        required: true // Setiap produk wajib punya kategori
+    },
+    supplier: {
+        label: 'Supplier',
+        route: '/api/supplier',
+        required: false
+    }
+};
+
+// 'Elektronik', 'elektronik ' dan 'ELEKTRONIK' dianggap nama yang sama
+function normalizeNama(nama) {
+    return String(nama).trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+// Resolve kategori & supplier pada data produk yang sudah divalidasi schema.
+// Referensi boleh dikirim sebagai *_id atau nama; hasilnya field *_id berisi ObjectId
+// dan field nama berisi nama resmi dari master data (jika keduanya dikirim, ID menang).
+// Dengan { partial: true } (PATCH) referensi yang tidak dikirim dibiarkan.
+// options.cache (Map) dipakai import supaya nama yang sama tidak di-query berulang.
+// Mengubah `data` langsung, return errors = [{ field, message }].
+async function resolveProdukReferences(data, options = {}) {
+    const cache = options.cache || new Map();
+    const errors = [];
+    
+    for (const [name, config] of Object.entries(REFERENCE_CONFIG)) {
+        const idField = `${name}_id`;
+        const id = data[idField];
+        const nama = data[name];
+        
+        if (options.partial && !(idField in data) && !(name in data)) continue;
+        
+        if (!id && !nama) {
+            if (config.required) {
+                errors.push({ field: name, message: `${config.label} wajib diisi (${idField} atau nama ${name})` });
+            } else {
+                // Referensi opsional dikosongkan
+                data[idField] = null;
+                data[name] = '';
+            }
+            continue;
+        }
+        
+        const key = id ? `${name}:id:${id}` : `${name}:nama:${normalizeNama(nama)}`;
+        if (!cache.has(key)) {
+            cache.set(key, await db.collection(name).findOne(
+                id ? { _id: id } : { nama_normal: normalizeNama(nama) },
+                { projection: { nama: 1 } }
+            ));
+        }
+        const doc = cache.get(key);
+        
+        if (!doc) {
+            errors.push(id
+                ? { field: idField, message: `${config.label} dengan ID ${id} tidak ditemukan` }
+                : { field: name, message: `${config.label} '${nama}' belum terdaftar. Tambahkan dulu lewat ${config.route}` });
+            continue;
+        }
+        
+        data[idField] = doc._id;
+        data[name] = doc.nama;
+    }
+    
+    return errors;
+}
+
+// Tandai kategori / supplier sedang dipakai, di dalam transaksi yang menulis produk atau
+// sub-kategori. Update ini bentrok (write conflict) dengan deleteOne di transaksi
+// handleReferenceDelete, jadi salah satunya diulang dan tidak ada dokumen yang menunjuk
+// kategori / supplier yang sudah dihapus. Return false jika dokumen sudah tidak ada.
+async function touchReference(name, id, session) {
+    const result = await db.collection(name).updateOne(
+        { _id: id },
+        { $set: { terakhir_dipakai: new Date() } },
+        { session }
+    );
+    return result.matchedCount > 0;
+}
+
+// Di dalam transaksi tulis produk: kategori & supplier hasil validateProdukReferences
+// harus masih ada. Lempar ValidationError jika sudah dihapus sejak divalidasi.
+async function lockProdukReferences(data, session) {
+    const errors = [];
+    for (const [name, config] of Object.entries(REFERENCE_CONFIG)) {
+        const id = data[`${name}_id`];
+        if (id && !(await touchReference(name, id, session))) {
+            errors.push({ field: `${name}_id`, message: `${config.label} sudah dihapus, pilih ${config.label.toLowerCase()} lain` });
+        }
+    }
+    if (errors.length > 0) {
+        throw new ValidationError('Data produk tidak valid', errors);
+    }
+}
+
+// Di dalam transaksi tulis kategori: parent (jika ada) harus masih ada. Hierarki (parent
+// bukan turunan sendiri) sudah dicek checkKategoriParent() sebelum transaksi.
+async function lockKategoriParent(parentId, session) {
+    if (parentId && !(await touchReference('kategori', parentId, session))) {
+        throw new ValidationError('Parent kategori tidak ditemukan', [
+            { field: 'parent_id', message: 'Parent kategori sudah dihapus' }
+        ]);
+    }
+}
+
+// Middleware setelah validateBody / validatePatch produk: pastikan kategori & supplier ada
+function validateProdukReferences(options = {}) {
+    return async (req, res, next) => {
+        try {
+            const errors = await resolveProdukReferences(req.body, options);
+            if (errors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Data produk tidak valid',
+                    errors: errors
+                });
+            }
+            next();
+        } catch (err) {
+            next(withPublicMessage(err, 'Gagal memeriksa kategori & supplier'));
+        }
+    };
+}
+
+// Sertakan dokumen kategori / supplier (field kategori_detail / supplier_detail)
+// dengan satu aggregate $lookup untuk semua produk di halaman ini.
+// `expand` adalah nilai query ?expand=kategori,supplier yang sudah divalidasi.
+async function expandProdukReferences(docs, expand) {
+    if (!expand || docs.length === 0) return docs;
+    
+    const names = [...new Set(expand.split(','))];
+    const pipeline = [{ $match: { _id: { $in: docs.map(doc => doc._id) } } }];
+    const project = { _id: 1 };
+    for (const name of names) {
+        pipeline.push({
+            $lookup: { from: name, localField: `${name}_id`, foreignField: '_id', as: `${name}_detail` }
+        });
+        project[`${name}_detail`] = { $ifNull: [{ $arrayElemAt: [`$${name}_detail`, 0] }, null] };
+    }
+    pipeline.push({ $project: project });
+    pipeline.push({ $project: Object.fromEntries(names.map(name => [`${name}_detail.nama_normal`, 0])) });
+    
+    const expanded = await db.collection('produk').aggregate(pipeline).toArray();
+    const byId = new Map(expanded.map(doc => [doc._id.toString(), doc]));
+    return docs.map(doc => ({ ...doc, ...byId.get(doc._id.toString()) }));
+}
+
+// ID kategori beserta seluruh sub-kategorinya (semua level) dengan $graphLookup
+async function kategoriDescendantIds(id) {
+    const [hasil] = await db.collection('kategori').aggregate([
+        { $match: { _id: id } },
+        {
+            $graphLookup: {
+                from: 'kategori',
+                startWith: '$_id',
+                connectFromField: '_id',
+                connectToField: 'parent_id',
+                as: 'turunan'
+            }
+        },
+        { $project: { ids: '$turunan._id' } }
+    ]).toArray();
+    return hasil ? [id, ...hasil.ids] : [id];
+}
+
+// Jalur parent dari root sampai parent langsung, contoh [Elektronik, Komputer]
+async function kategoriAncestors(kategori) {
+    const [hasil] = await db.collection('kategori').aggregate([
+        { $match: { _id: kategori._id } },
+        {
+            $graphLookup: {
+                from: 'kategori',
+                startWith: '$parent_id',
+                connectFromField: 'parent_id',
+                connectToField: '_id',
+                depthField: 'depth',
+                as: 'leluhur'
+            }
+        }
+    ]).toArray();
+    if (!hasil) return [];
+    return hasil.leluhur
+        .sort((a, b) => b.depth - a.depth)
+        .map(({ _id, nama }) => ({ _id, nama }));
+}
+
+// Validasi parent_id kategori: harus ada dan tidak boleh membuat siklus
+// (kategori tidak bisa jadi anak dari dirinya sendiri atau sub-kategorinya).
+// Return pesan error atau null jika valid.
+async function checkKategoriParent(parentId, selfId = null) {
+    if (!parentId) return null;
+    if (selfId && parentId.equals(selfId)) {
+        return 'Kategori tidak bisa menjadi parent dari dirinya sendiri';
+    }
+    
+    const parent = await db.collection('kategori').findOne({ _id: parentId });
+    if (!parent) return 'Parent kategori tidak ditemukan';
+    
+    if (selfId) {
+        const turunan = await kategoriDescendantIds(selfId);
+        if (turunan.some(id => id.equals(parentId))) {
+            return 'Parent kategori tidak boleh sub-kategori dari kategori ini';
+        }
+    }
+    return null;
+}
+
+// Stage aggregate untuk menghitung produk aktif yang memakai kategori / supplier
+function jumlahProdukStages(name) {
+    return [
+        {
+            $lookup: {
+                from: 'produk',
+                let: { refId: '$_id' },
+                pipeline: [
+                    { $match: { ...NOT_DELETED, $expr: { $eq: [`$${name}_id`, '$$refId'] } } },
+                    { $count: 'total' }
+                ],
+                as: 'jumlah_produk'
+            }
+        },
+        { $addFields: { jumlah_produk: { $ifNull: [{ $arrayElemAt: ['$jumlah_produk.total', 0] }, 0] } } },
+        { $project: { nama_normal: 0 } }
+    ];
+}
+
+// Susun daftar kategori menjadi tree berdasarkan parent_id.
+// Kategori yang parent-nya tidak ada di daftar (misalnya karena search) jadi root.
+function buildKategoriTree(list) {
+    const nodes = new Map(list.map(kategori => [kategori._id.toString(), { ...kategori, children: [] }]));
+    const roots = [];
+    for (const node of nodes.values()) {
+        const parent = node.parent_id && nodes.get(node.parent_id.toString());
+        if (parent) {
+            parent.children.push(node);
+        } else {
+            roots.push(node);
+        }
+    }
+    return roots;
+}
+
+// Arahkan produk yang cocok dengan `filter` ke kategori / supplier `target` (rename
+// atau reassign), termasuk produk di trash, dengan audit per produk.
+// Dipanggil di dalam transaksi pemanggil. Return jumlah produk yang diubah.
+async function updateProdukReference(req, name, filter, target, session) {
+    const idField = `${name}_id`;
+    const set = { [idField]: target._id, [name]: target.nama };
+    
+    const docs = await db.collection('produk')
+        .find(filter, { projection: { [idField]: 1, [name]: 1 }, session })
+        .toArray();
+    if (docs.length === 0) return 0;
+    
+    await db.collection('produk').updateMany(
+        { _id: { $in: docs.map(doc => doc._id) } },
+        { $set: { ...set, tanggal_diupdate: new Date() }, $inc: { version: 1 } },
+        { session }
+    );
+    await recordAudit(req, docs.map(doc => ({
+        resource: 'produk',
+        resource_id: doc._id,
+        action: 'update',
+        before: doc,
+        after: { ...doc, ...set }
+    })), session);
+    return docs.length;
+}
+
+// Handler list kategori / supplier, diurutkan berdasarkan nama.
+// Kategori dengan ?tree=true dikembalikan utuh tanpa pagination.
+function handleReferenceList(name) {
+    const config = REFERENCE_CONFIG[name];
+    return async (req, res, next) => {
+        try {
+            const { search, tree, page: pageNum, limit: limitNum } = req.validQuery;
+            const filter = search ? { nama: { $regex: escapeRegex(search), $options: 'i' } } : {};
+            
+            const pipeline = [{ $match: filter }, { $sort: { nama_normal: 1 } }];
+            if (!tree) pipeline.push({ $skip: (pageNum - 1) * limitNum }, { $limit: limitNum });
+            pipeline.push(...jumlahProdukStages(name));
+            
+            const data = await db.collection(name).aggregate(pipeline).toArray();
+            
+            if (tree) {
+                return res.status(200).json({
+                    success: true,
+                    message: `Ditemukan ${data.length} ${config.label.toLowerCase()}`,
+                    data: buildKategoriTree(data)
+                });
+            }
+            
+            const total = await db.collection(name).countDocuments(filter);
+            
+            res.status(200).json({
+                success: true,
+                message: `Ditemukan ${data.length} ${config.label.toLowerCase()}`,
+                data: data,
+                pagination: buildPagination(pageNum, limitNum, total)
+            });
+        } catch (err) {
+            next(withPublicMessage(err, `Gagal mengambil data ${config.label.toLowerCase()}`));
+        }
+    };
+}
+
+// Handler detail kategori / supplier. Kategori juga menyertakan path (parent sampai root)
+// dan children (sub-kategori langsung).
+function handleReferenceGet(name) {
+    const config = REFERENCE_CONFIG[name];
+    return async (req, res, next) => {
+        try {
+            const { id } = req.params;
+            
+            if (!ObjectId.isValid(id)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `ID ${config.label.toLowerCase()} tidak valid`
+                });
+            }
+            
+            const [doc] = await db.collection(name).aggregate([
+                { $match: { _id: new ObjectId(id) } },
+                ...jumlahProdukStages(name)
+            ]).toArray();
+            
+            if (!doc) {
+                return res.status(404).json({
+                    success: false,
+                    message: `${config.label} tidak ditemukan`
+                });
+            }
+            
+            if (name === 'kategori') {
+                doc.path = await kategoriAncestors(doc);
+                doc.children = await db.collection('kategori')
+                    .find({ parent_id: doc._id }, { projection: { nama_normal: 0 } })
+                    .sort({ nama_normal: 1 })
+                    .toArray();
+            }
+            
+            res.status(200).json({
+                success: true,
+                message: `${config.label} berhasil ditemukan`,
+                data: doc
+            });
+        } catch (err) {
+            next(withPublicMessage(err, `Gagal mengambil data ${config.label.toLowerCase()}`));
+        }
+    };
+}
+
+// Handler tambah kategori / supplier. req.body sudah divalidasi oleh validateBody
+function handleReferenceCreate(name) {
+    const config = REFERENCE_CONFIG[name];
+    return async (req, res, next) => {
+        try {
+            if (name === 'kategori') {
+                const parentError = await checkKategoriParent(req.body.parent_id);
+                if (parentError) {
+                    return res.status(400).json({
+                        success: false,
+                        message: parentError,
+                        errors: [{ field: 'parent_id', message: parentError }]
+                    });
+                }
+            }
+            
+            const now = new Date();
+            const dokumen = {
+                ...req.body,
+                nama_normal: normalizeNama(req.body.nama), // Dipakai index unique & resolve nama
+                created_at: now,
+                updated_at: now,
+                version: 1
+            };
+            
+            // Parent ditandai di transaksi yang sama dengan insert, jadi bentrok dengan
+            // penghapusan parent yang berjalan bersamaan (lihat touchReference())
+            const result = await runInTransaction(async (session) => {
+                await lockKategoriParent(dokumen.parent_id, session);
+                return db.collection(name).insertOne(dokumen, { session });
+            });
+            const { nama_normal, ...data } = dokumen;
+            
+            res.status(201).json({
+                success: true,
+                message: `${config.label} berhasil ditambahkan`,
+                data: { ...data, _id: result.insertedId }
+            });
+        } catch (err) {
+            if (err.code === 11000) {
+                return next(new ConflictError(`${config.label} dengan nama '${req.body.nama}' sudah ada`));
+            }
+            next(withPublicMessage(err, `Gagal menambahkan ${config.label.toLowerCase()}`));
+        }
+    };
+}
+
+// Handler update kategori / supplier (PUT, semua field). Jika nama berubah,
+// salinan nama di produk yang mereferensikannya ikut diperbarui.
+function handleReferenceUpdate(name) {
+    const config = REFERENCE_CONFIG[name];
+    return async (req, res, next) => {
+        try {
+            const { id } = req.params;
+            
+            if (!ObjectId.isValid(id)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `ID ${config.label.toLowerCase()} tidak valid`
+                });
+            }
+            const _id = new ObjectId(id);
+            
+            if (name === 'kategori') {
+                const parentError = await checkKategoriParent(req.body.parent_id, _id);
+                if (parentError) {
+                    return res.status(400).json({
+                        success: false,
+                        message: parentError,
+                        errors: [{ field: 'parent_id', message: parentError }]
+                    });
+                }
+            }
+            
+            // Update, tanda parent dan sinkronisasi nama di produk dalam satu transaksi
+            const hasil = await runInTransaction(async (session) => {
+                await lockKategoriParent(req.body.parent_id, session);
+                
+                const result = await db.collection(name).findOneAndUpdate(
+                    { _id },
+                    {
+                        $set: { ...req.body, nama_normal: normalizeNama(req.body.nama), updated_at: new Date() },
+                        $inc: { version: 1 }
+                    },
+                    { returnDocument: 'after', includeResultMetadata: true, projection: { nama_normal: 0 }, session }
+                );
+                if (!result.value) return null;
+                
+                // Sinkronkan salinan nama di produk (termasuk yang ada di trash)
+                const diperbarui = await updateProdukReference(
+                    req,
+                    name,
+                    { [`${name}_id`]: _id, [name]: { $ne: result.value.nama } },
+                    result.value,
+                    session
+                );
+                return { doc: result.value, diperbarui };
+            });
+            
+            if (!hasil) {
+                return res.status(404).json({
+                    success: false,
+                    message: `${config.label} tidak ditemukan`
+                });
+            }
+            
+            res.status(200).json({
+                success: true,
+                message: `${config.label} berhasil diupdate`,
+                data: hasil.doc,
+                produk_diperbarui: hasil.diperbarui
+            });
+        } catch (err) {
+            if (err.code === 11000) {
+                return next(new ConflictError(`${config.label} dengan nama '${req.body.nama}' sudah ada`));
+            }
+            next(withPublicMessage(err, `Gagal mengupdate ${config.label.toLowerCase()}`));
+        }
+    };
+}
+
+// Lempar ConflictError jika kategori masih punya sub-kategori, atau (tanpa allowProduk)
+// masih dipakai produk mana pun termasuk yang ada di trash
+async function assertReferenceUnused(name, config, _id, options, session) {
+    if (name === 'kategori') {
+        const jumlahSub = await db.collection('kategori').countDocuments({ parent_id: _id }, { session });
+        if (jumlahSub > 0) {
+            throw new ConflictError(`Kategori masih punya ${jumlahSub} sub-kategori. Pindahkan atau hapus sub-kategori terlebih dahulu.`);
+        }
+    }
+    if (!options.allowProduk) {
+        const jumlahProduk = await db.collection('produk').countDocuments({ [`${name}_id`]: _id }, { session });
+        if (jumlahProduk > 0) {
+            throw new ConflictError(
+                `${config.label} baru saja dipakai oleh ${jumlahProduk} produk lain, ulangi penghapusan`,
+                { jumlah_produk: jumlahProduk }
+            );
+        }
+    }
+}
+
+// Handler hapus kategori / supplier. Ditolak (409) selama masih dipakai produk,
+// kecuali dikirim ?reassign_to=<id> untuk memindahkan produk ke kategori / supplier lain.
+// Kategori yang masih punya sub-kategori selalu ditolak.
+function handleReferenceDelete(name) {
+    const config = REFERENCE_CONFIG[name];
+    return async (req, res, next) => {
+        try {
+            const { id } = req.params;
+            const { reassign_to: reassignTo } = req.validQuery;
+            
+            if (!ObjectId.isValid(id)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `ID ${config.label.toLowerCase()} tidak valid`
+                });
+            }
+            const _id = new ObjectId(id);
+            
+            // Hitung pemakaian, reassign dan hapus dalam satu transaksi. deleteOne bentrok
+            // dengan touchReference() di transaksi produk / sub-kategori yang berjalan
+            // bersamaan, jadi referensi baru tidak bisa lolos di antara hitung dan hapus.
+            const hasil = await runInTransaction(async (session) => {
+                const doc = await db.collection(name).findOne({ _id }, { session });
+                if (!doc) {
+                    throw new NotFoundError(`${config.label} tidak ditemukan`);
+                }
+                
+                await assertReferenceUnused(name, config, _id, { allowProduk: true }, session);
+                
+                // Produk di trash ikut dihitung supaya restore tidak menghasilkan referensi yatim
+                const refFilter = { [`${name}_id`]: _id };
+                const jumlahProduk = await db.collection('produk').countDocuments(refFilter, { session });
+                let dipindahkan = 0;
+                
+                if (jumlahProduk > 0) {
+                    if (!reassignTo) {
+                        throw new ConflictError(
+                            `${config.label} masih dipakai oleh ${jumlahProduk} produk. Kirim ?reassign_to=<id> untuk memindahkan produk ke ${config.label.toLowerCase()} lain.`,
+                            { jumlah_produk: jumlahProduk }
+                        );
+                    }
+                    
+                    const target = reassignTo.equals(_id) ? null : await db.collection(name).findOne({ _id: reassignTo }, { session });
+                    if (!target) {
+                        throw new ValidationError(`${config.label} tujuan reassign_to tidak ditemukan atau sama dengan yang dihapus`, [
+                            { field: 'reassign_to', message: `${config.label} tujuan tidak ditemukan atau sama dengan yang dihapus` }
+                        ]);
+                    }
+                    
+                    // Tandai target supaya bentrok dengan penghapusan target yang berjalan bersamaan
+                    await touchReference(name, target._id, session);
+                    dipindahkan = await updateProdukReference(req, name, refFilter, target, session);
+                }
+                
+                // Cek ulang tepat sebelum hapus (tanpa transaksi ini satu-satunya pengaman)
+                await assertReferenceUnused(name, config, _id, { allowProduk: false }, session);
+                await db.collection(name).deleteOne({ _id }, { session });
+                return { doc, dipindahkan };
+            });
+            
+            res.status(200).json({
+                success: true,
+                message: `${config.label} berhasil dihapus`,
+                data: { _id: hasil.doc._id, nama: hasil.doc.nama },
+                produk_dipindahkan: hasil.dipindahkan
+            });
+        } catch (err) {
+            next(withPublicMessage(err, `Gagal menghapus ${config.label.toLowerCase()}`));
+        }
+    };
+}
+
+// GET /api/kategori - Daftar kategori (?tree=true untuk struktur parent/child)
+app.get('/api/kategori', authenticate, requireRole('viewer'), validateQuery('kategoriListQuery'), handleReferenceList('kategori'));
+
+// GET /api/kategori/:id - Detail kategori beserta path parent & sub-kategori
+app.get('/api/kategori/:id', authenticate, requireRole('viewer'), handleReferenceGet('kategori'));
+
+// POST /api/kategori - Tambah kategori (parent_id opsional untuk sub-kategori)
+app.post('/api/kategori', authenticate, requireRole('admin'), validateBody('kategori', 'Data kategori tidak valid'), handleReferenceCreate('kategori'));
+
+// PUT /api/kategori/:id - Update kategori
+app.put('/api/kategori/:id', authenticate, requireRole('admin'), validateBody('kategori', 'Data kategori tidak valid'), handleReferenceUpdate('kategori'));
+
+// DELETE /api/kategori/:id - Hapus kategori (?reassign_to=<id> jika masih dipakai produk)
+app.delete('/api/kategori/:id', authenticate, requireRole('admin'), validateQuery('referenceDeleteQuery'), handleReferenceDelete('kategori'));
+
+// GET /api/supplier - Daftar supplier
+app.get('/api/supplier', authenticate, requireRole('viewer'), validateQuery('supplierListQuery'), handleReferenceList('supplier'));
+
+// GET /api/supplier/:id - Detail supplier
+app.get('/api/supplier/:id', authenticate, requireRole('viewer'), handleReferenceGet('supplier'));
+
+// POST /api/supplier - Tambah supplier
+app.post('/api/supplier', authenticate, requireRole('admin'), validateBody('supplier', 'Data supplier tidak valid'), handleReferenceCreate('supplier'));
+
+// PUT /api/supplier/:id - Update supplier
+app.put('/api/supplier/:id', authenticate, requireRole('admin'), validateBody('supplier', 'Data supplier tidak valid'), handleReferenceUpdate('supplier'));
+
+// DELETE /api/supplier/:id - Hapus supplier (?reassign_to=<id> jika masih dipakai produk)
+app.delete('/api/supplier/:id', authenticate, requireRole('admin'), validateQuery('referenceDeleteQuery'), handleReferenceDelete('supplier'));
+
+// =============================================================================
+// PRODUK CRUD ENDPOINTS - Praktik 2: Structured Business Application
+// =============================================================================
+
+const MAX_IMPORT_ROWS = 5000; // Batas baris per request import
+
+// Kolom yang ikut di export (urutan kolom CSV). Kolom yang bukan bagian schema
+// 'produk' otomatis diabaikan saat file di-import kembali.
+const PRODUK_EXPORT_FIELDS = [
+    'kode_produk', 'nama_produk', 'kategori', 'harga', 'harga_efektif', 'stok', 'stok_minimum', 'deskripsi', 'supplier',
+    'status', 'tanggal_dibuat', 'tanggal_diupdate'
+];
+
+// Build filter MongoDB dari query list produk (kategori, kategori_id, supplier_id, min_harga, max_harga).
+// Parameter search ditangani terpisah oleh searchAndPaginate / regexSearchFilter.
+// Dipakai oleh GET /api/produk dan GET /api/produk/export.
+async function buildProdukFilter({ kategori, kategori_id, supplier_id, min_harga, max_harga }) {
+    // Produk di trash tidak ikut
+    let filter = { ...NOT_DELETED };
+    
+    // Jika ada filter kategori, tambahkan ke filter (case insensitive, input di-escape)
+    if (kategori) {
+        filter.kategori = { $regex: escapeRegex(kategori), $options: 'i' };
+    }
+    
+    // Filter kategori_id ikut mencakup semua sub-kategorinya
+    if (kategori_id) {
+        filter.kategori_id = { $in: await kategoriDescendantIds(kategori_id) };
+    }
+    
+    if (supplier_id) {
+        filter.supplier_id = supplier_id;
+    }
+    
+    // Jika ada filter harga, tambahkan range filter pada harga efektif (setelah diskon)
+    if (min_harga !== undefined || max_harga !== undefined) {
+        filter.harga_efektif = {}; // Inisialisasi object untuk harga filter
+        if (min_harga !== undefined) filter.harga_efektif.$gte = min_harga; // Greater than or equal
+        if (max_harga !== undefined) filter.harga_efektif.$lte = max_harga; // Less than or equal
+    }
+    
+    return filter;
+}
+
+// Bandingkan nilai field untuk deteksi 'unchanged' (ObjectId dibandingkan isinya)
+function isSameValue(a, b) {
+    if (a instanceof ObjectId || b instanceof ObjectId) {
+        return String(a) === String(b);
+    }
+    return a === b;
+}
+
+// Gabungkan filter dasar dengan hasil query language (pakai $and karena field bisa sama)
+function withQueryFilter(filter, queryFilter) {
+    return Object.keys(queryFilter.mongo).length > 0
+        ? { $and: [filter, queryFilter.mongo] }
+        : filter;
+}
+
+// GET /api/produk - Ambil semua produk dengan pagination dan search
+app.get('/api/produk', authenticate, requireRole('viewer'), validateQuery('produkListQuery'), validateFilter('produk'), async (req, res, next) => {
+    try {
+        // Query parameters sudah di-coerce ke number & diberi default oleh schema
+        const { search, kategori, kategori_id, supplier_id, min_harga, max_harga, expand } = req.validQuery;
+        
+        // Build filter object untuk query MongoDB (parameter lama + query language)
+        const filter = withQueryFilter(await buildProdukFilter(req.validQuery), req.queryFilter);
+        
+        // Query database dengan search full-text, filter, sorting dan pagination
+        const hasil = await searchAndPaginate('produk', filter, req.validQuery, {
+            sortExplicit: req.query.sort !== undefined,
+            defaultSort: SCHEMAS.produkListQuery.properties.sort.default
+        });
+        if (hasil.error) {
+            return res.status(400).json({
+                success: false,
+                message: hasil.error
+            });
+        }
+        
+        // Response dengan format yang konsisten
+        res.status(200).json({
+            success: true,
+            message: `Ditemukan ${hasil.data.length} produk`,
+            data: await expandProdukReferences(hasil.data, expand),
+            pagination: hasil.pagination, // mode page: current_page dst, mode cursor: next_cursor/prev_cursor
+            search_mode: hasil.search_mode, // 'text' (ranking textScore), 'regex' (fallback) atau null
+            filters_applied: { // Info filter yang digunakan untuk debugging
+                search: search || null,
+                kategori: kategori || null,
+                kategori_id: kategori_id || null,
+                supplier_id: supplier_id || null,
+                min_harga: min_harga !== undefined ? min_harga : null,
+                max_harga: max_harga !== undefined ? max_harga : null
+            },
+            filter_used: req.queryFilter.normalized
+        });
+    } catch (err) {
+        next(withPublicMessage(err, 'Gagal mengambil data produk'));
+    }
+});
+
+// GET /api/produk/search/advanced - Advanced search untuk produk
+// Parameter nama/kode/kategori/supplier/min_harga/max_harga/stok_kosong adalah shortcut
+// untuk query language dan bisa dikombinasikan dengan filter[field][op]=value.
+// Didaftarkan sebelum /api/produk/:id supaya path ini tidak pernah diperlakukan sebagai ID.
+app.get('/api/produk/search/advanced', authenticate, requireRole('viewer'), validateQuery('produkAdvancedQuery'), validateFilter('produk'), async (req, res, next) => {
+    try {
+        const { nama, kode, kategori, min_harga, max_harga, supplier, stok_kosong, stok_rendah } = req.validQuery;
+        
+        // Terjemahkan parameter shortcut ke bentuk query language (partial match, case insensitive)
+        const shortcut = {};
+        if (nama) shortcut.nama_produk = { contains: nama };
+        if (kode) shortcut.kode_produk = { contains: kode };
+        if (kategori) shortcut.kategori = { contains: kategori };
+        if (supplier) shortcut.supplier = { contains: supplier };
+        if (min_harga !== undefined || max_harga !== undefined) {
+            shortcut.harga_efektif = {};
+            if (min_harga !== undefined) shortcut.harga_efektif.gte = min_harga;
+            if (max_harga !== undefined) shortcut.harga_efektif.lte = max_harga;
+        }
+        if (stok_kosong === true) shortcut.stok = { lte: 0 }; // Stok <= 0
+        const normalized = mergeNormalized(shortcut, req.queryFilter.normalized);
+        
+        // Minimal harus ada satu parameter search
+        if (Object.keys(normalized).length === 0 && stok_rendah !== true) {
+            return res.status(400).json({
+                success: false,
+                message: 'Minimal satu parameter pencarian harus diisi'
+            });
+        }
+        
+        // Build advanced filter dari query yang sudah dinormalisasi & di-whitelist
+        const filter = { ...translateFilter(normalized), ...NOT_DELETED };
+        
+        // Stok rendah membandingkan dua field dokumen (stok <= stok_minimum), jadi pakai $expr
+        if (stok_rendah === true) {
+            filter.$expr = { $lte: ['$stok', { $ifNull: ['$stok_minimum', 0] }] };
+        }
+        
+        // Query database dengan filter yang kompleks
+        const produk = await db.collection('produk')
+            .find(filter)
+            .sort({ tanggal_dibuat: -1 }) // Sort terbaru dulu
+            .limit(100) // Batasi hasil maksimal 100 untuk performa
+            .toArray();
+        
+        res.status(200).json({
+            success: true,
+            message: `Ditemukan ${produk.length} produk`,
+            data: produk,
+            filters_applied: stok_rendah === true ? { ...normalized, stok_rendah: true } : normalized // Query ternormalisasi yang digunakan
+        });
+    } catch (err) {
+        next(withPublicMessage(err, 'Gagal mencari produk'));
+    }
+});
+
+// GET /api/produk/stats - Statistik inventori & katalog untuk dashboard
+// Filter sama seperti GET /api/produk (search, kategori, kategori_id, supplier_id,
+// min_harga, max_harga, filter[field][op]), ditambah:
+//   batas_stok_rendah -> stok 1..batas dihitung sebagai stok rendah (default 10)
+//   buckets           -> jumlah bucket distribusi harga (default 5)
+//   periode           -> timeline produk baru per 'hari' atau 'minggu'
+//   date_from/date_to -> rentang timeline (default 30 hari / 12 minggu terakhir)
+// Didaftarkan sebelum /api/produk/:id supaya 'stats' tidak dianggap sebagai ID
+app.get('/api/produk/stats', authenticate, requireRole('viewer'), validateQuery('produkStatsQuery'), validateFilter('produk'), async (req, res, next) => {
+    try {
+        const { search, batas_stok_rendah: batasStokRendah, buckets, periode } = req.validQuery;
+        
+        const baseFilter = withQueryFilter(await buildProdukFilter(req.validQuery), req.queryFilter);
+        const filter = search ? { $and: [baseFilter, regexSearchFilter('produk', search)] } : baseFilter;
+        
+        const dateTo = req.validQuery.date_to || new Date();
+        const dateFrom = req.validQuery.date_from
+            || new Date(dateTo.getTime() - PERIODE_DEFAULT_HARI[periode] * 24 * 60 * 60 * 1000);
+        
+        // Semua statistik dihitung dalam satu aggregate dengan $facet
+        const [hasil] = await db.collection('produk').aggregate([
+            { $match: filter },
+            {
+                $facet: {
+                    ringkasan: [
+                        {
+                            $group: {
+                                _id: null,
+                                total_produk: { $sum: 1 },
+                                total_stok: { $sum: '$stok' },
+                                nilai_inventori: { $sum: { $multiply: ['$harga', '$stok'] } },
+                                harga_rata_rata: { $avg: '$harga' },
+                                harga_terendah: { $min: '$harga' },
+                                harga_tertinggi: { $max: '$harga' },
+                                stok_habis: { $sum: { $cond: [{ $lte: ['$stok', 0] }, 1, 0] } },
+                                stok_rendah: {
+                                    $sum: {
+                                        $cond: [{ $and: [{ $gt: ['$stok', 0] }, { $lte: ['$stok', batasStokRendah] }] }, 1, 0]
+                                    }
+                                },
+                                // Berdasarkan stok_minimum masing-masing produk (sama dengan alert stok)
+                                di_bawah_stok_minimum: {
+                                    $sum: { $cond: [{ $lte: ['$stok', { $ifNull: ['$stok_minimum', 0] }] }, 1, 0] }
+                                }
+                            }
+                        },
+                        { $project: { _id: 0 } }
+                    ],
+                    per_kategori: nilaiInventoriStages('kategori'),
+                    per_supplier: nilaiInventoriStages('supplier'),
+                    distribusi_harga: [
+                        {
+                            $bucketAuto: {
+                                groupBy: '$harga',
+                                buckets: buckets,
+                                output: {
+                                    jumlah_produk: { $sum: 1 },
+                                    nilai_inventori: { $sum: { $multiply: ['$harga', '$stok'] } }
+                                }
+                            }
+                        },
+                        {
+                            $project: {
+                                _id: 0,
+                                harga_dari: '$_id.min',
+                                harga_sampai: '$_id.max',
+                                jumlah_produk: 1,
+                                nilai_inventori: 1
+                            }
+                        }
+                    ],
+                    produk_baru: [
+                        { $match: { tanggal_dibuat: { $gte: dateFrom, $lte: dateTo } } },
+                        ...timelineStages('tanggal_dibuat', periode)
+                    ]
+                }
+            }
+        ]).toArray();
+        
+        res.status(200).json({
+            success: true,
+            message: 'Statistik produk berhasil dihitung',
+            data: {
+                ringkasan: hasil.ringkasan[0] || {
+                    total_produk: 0,
+                    total_stok: 0,
+                    nilai_inventori: 0,
+                    harga_rata_rata: null,
+                    harga_terendah: null,
+                    harga_tertinggi: null,
+                    stok_habis: 0,
+                    stok_rendah: 0,
+                    di_bawah_stok_minimum: 0
+                },
+                per_kategori: hasil.per_kategori,
+                per_supplier: hasil.per_supplier,
+                distribusi_harga: hasil.distribusi_harga,
+                produk_baru: {
+                    periode: periode,
+                    date_from: dateFrom,
+                    date_to: dateTo,
+                    data: hasil.produk_baru
+                }
+            },
+            batas_stok_rendah: batasStokRendah,
+            timezone: STATS_TIMEZONE,
+            filter_used: req.queryFilter.normalized
+        });
+    } catch (err) {
+        next(withPublicMessage(err, 'Gagal menghitung statistik produk'));
+    }
+});
+
+// GET /api/produk/export - Export katalog (format=csv|json) dengan filter yang sama seperti GET /api/produk
+// Data di-stream dari cursor MongoDB sehingga katalog besar tidak dimuat sekaligus ke memory.
+// Didaftarkan sebelum /api/produk/:id supaya 'export' tidak dianggap sebagai ID
+app.get('/api/produk/export', authenticate, requireRole('viewer'), validateQuery('produkExportQuery'), validateFilter('produk'), async (req, res, next) => {
+    const { format, search } = req.validQuery;
+    let cursor = null;
+    
+    // Tulis chunk dengan memperhatikan backpressure; berhenti jika client disconnect
+    const write = async (chunk) => {
+        if (!res.write(chunk)) {
+            await Promise.race([once(res, 'drain'), once(res, 'close')]);
+        }
+    };
+    
+    try {
+        const baseFilter = withQueryFilter(await buildProdukFilter(req.validQuery), req.queryFilter);
+        const filter = search ? { $and: [baseFilter, regexSearchFilter('produk', search)] } : baseFilter;
+        cursor = db.collection('produk')
+            .find(filter, { projection: Object.fromEntries(PRODUK_EXPORT_FIELDS.map(f => [f, 1])) })
+            .sort({ kode_produk: 1 });
+        
+        const tanggal = new Date().toISOString().slice(0, 10);
+        res.status(200);
+        res.set('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="produk-${tanggal}.${format}"`);
+        
+        let count = 0;
+        await write(format === 'csv' ? toCsvRow(PRODUK_EXPORT_FIELDS) : '[');
+        for await (const doc of cursor) {
+            if (res.destroyed) break;
+            if (format === 'csv') {
+                await write(toCsvRow(PRODUK_EXPORT_FIELDS.map(field => doc[field])));
+            } else {
+                const { _id, ...fields } = doc;
+                await write((count > 0 ? ',\n' : '\n') + JSON.stringify(fields));
+            }
+            count++;
+        }
+        if (format === 'json') await write('\n]\n');
+        res.end();
+    } catch (err) {
+        if (!res.headersSent) {
+            return next(withPublicMessage(err, 'Gagal export produk'));
+        }
+        // Header sudah terkirim, putuskan koneksi supaya client tahu file tidak lengkap
+        logger.error('Error GET /api/produk/export (stream terputus):', err);
+        res.destroy(err);
+    } finally {
+        if (cursor) await cursor.close();
+    }
+});
+
+// POST /api/produk/import - Import produk dari CSV (text/csv) atau JSON array
+// Setiap baris divalidasi dengan schema 'produk' lalu di-upsert berdasarkan kode_produk.
+// Stok produk yang sudah ada tidak ditimpa: selisih dengan stok di file dicatat sebagai
+// mutasi masuk/keluar beralasan 'import' di ledger stok_mutasi (lihat applyStokMutasi).
+// Produk baru dibuat dengan stok 0 lalu mendapat mutasi masuk beralasan 'stok_awal'.
+// Query: dry_run=true untuk validasi & simulasi tanpa menulis ke database.
+app.post('/api/produk/import',
+    authenticate,
+    requireRole('admin'),
+    express.text({ type: ['text/csv', 'application/csv'], limit: '10mb' }),
+    validateQuery('produkImportQuery'),
+    async (req, res, next) => {
+        try {
+            const { dry_run: dryRun } = req.validQuery;
+            
+            // Ambil baris dari body sesuai content type
+            let rows;
+            if (typeof req.body === 'string') {
+                rows = parseCsv(req.body);
+            } else if (Array.isArray(req.body)) {
+                rows = req.body;
+            } else if (req.body && Array.isArray(req.body.data)) {
+                rows = req.body.data;
+            } else {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Body harus berupa CSV (Content-Type: text/csv) atau JSON array produk'
+                });
+            }
+            
+            if (rows.length === 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Tidak ada baris data untuk diimport'
+                });
+            }
+            
+            if (rows.length > MAX_IMPORT_ROWS) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Maksimal ${MAX_IMPORT_ROWS} baris per import`
+                });
+            }
+            
+            // Nomor baris di laporan: CSV dihitung dengan header (baris data pertama = 2)
+            const barisOffset = typeof req.body === 'string' ? 2 : 1;
+            const report = [];
+            const valid = [];
+            const seen = new Map(); // kode_produk -> nomor baris pertama
+            const referenceCache = new Map(); // Kategori & supplier yang sudah di-resolve
+            
+            for (const [index, row] of rows.entries()) {
+                const baris = index + barisOffset;
+                const { value, errors } = validateSchema(SCHEMAS.produk, row);
+                
+                // Kategori & supplier di file biasanya berupa nama, harus sudah terdaftar
+                if (errors.length === 0) {
+                    errors.push(...await resolveProdukReferences(value, { cache: referenceCache }));
+                }
+                
+                if (errors.length === 0 && seen.has(value.kode_produk)) {
+                    errors.push({
+                        field: 'kode_produk',
+                        message: `Kode produk duplikat dengan baris ${seen.get(value.kode_produk)}`
+                    });
+                }
+                
+                if (errors.length > 0) {
+                    report.push({ baris, kode_produk: row && row.kode_produk || null, status: 'failed', errors });
+                    continue;
+                }
+                
+                seen.set(value.kode_produk, baris);
+                valid.push({ baris, value });
+            }
+            
+            // Ambil produk yang sudah ada untuk menentukan created / updated / unchanged
+            const existingDocs = await db.collection('produk')
+                .find({ kode_produk: { $in: valid.map(v => v.value.kode_produk) } })
+                .toArray();
+            const existingByKode = new Map(existingDocs.map(doc => [doc.kode_produk, doc]));
+            
+            const writeRows = []; // Ditulis per baris dalam transaksi (lihat di bawah)
+            const now = new Date();
+            
+            for (const { baris, value } of valid) {
+                const existing = existingByKode.get(value.kode_produk);
+                
+                if (existing && existing.deleted_at) {
+                    report.push({
+                        baris,
+                        kode_produk: value.kode_produk,
+                        status: 'failed',
+                        errors: [{ field: 'kode_produk', message: 'Kode produk digunakan oleh produk di trash' }]
+                    });
+                    continue;
+                }
+                
+                if (existing && Object.keys(value).every(field => isSameValue(existing[field], value[field]))) {
+                    report.push({ baris, kode_produk: value.kode_produk, status: 'unchanged' });
+                    continue;
+                }
+                
+                const { stok, ...fields } = value;
+                const selisihStok = existing ? stok - (existing.stok || 0) : 0;
+                
+                // Stok yang sudah direservasi order tidak boleh hilang karena import
+                const dipesan = existing && existing.stok_dipesan || 0;
+                if (stok < dipesan) {
+                    report.push({
+                        baris,
+                        kode_produk: value.kode_produk,
+                        status: 'failed',
+                        errors: [{
+                            field: 'stok',
+                            message: `Stok ${stok} lebih kecil dari stok yang direservasi order (${dipesan})`
+                        }]
+                    });
+                    continue;
+                }
+                const entry = { baris, kode_produk: value.kode_produk, status: existing ? 'updated' : 'created' };
+                if (selisihStok !== 0) {
+                    entry.mutasi_stok = { tipe: selisihStok > 0 ? 'masuk' : 'keluar', jumlah: Math.abs(selisihStok) };
+                }
+                report.push(entry);
+                
+                const update = {
+                    // Diskon yang sedang aktif tetap berlaku untuk harga dari file
+                    $set: { ...fields, harga_efektif: hitungHargaEfektif(value.harga, existing && existing.diskon), tanggal_diupdate: now },
+                    $setOnInsert: { stok: 0, tanggal_dibuat: now, status: 'aktif' }, // Stok awal lewat ledger, lihat di bawah
+                    $inc: { version: 1 }
+                };
+                
+                const fieldsChanged = !existing || Object.keys(fields).some(field => !isSameValue(existing[field], fields[field]));
+                writeRows.push({ entry, existing, update, fieldsChanged, stokAwal: existing ? 0 : stok });
+            }
+            
+            // Setiap baris ditulis dalam transaksinya sendiri: kategori / supplier dikunci
+            // (touchReference) sebelum upsert sehingga penghapusan referensi yang berjalan
+            // bersamaan tidak meninggalkan produk yatim. Mutasi stok, riwayat harga & audit
+            // ikut transaksi yang sama. Filter stok lama memastikan mutasi lain yang terjadi
+            // setelah file dibaca tidak tertimpa. Satu baris gagal tidak menghentikan yang lain.
+            for (const { entry, existing, update, fieldsChanged, stokAwal } of dryRun ? [] : writeRows) {
+                let hasil;
+                try {
+                    hasil = await runInTransaction(async (session) => {
+                        let mutasi = null;
+                        if (entry.mutasi_stok) {
+                            mutasi = await applyStokMutasi(
+                                { _id: existing._id, stok: existing.stok },
+                                entry.mutasi_stok.tipe,
+                                { jumlah: entry.mutasi_stok.jumlah, alasan: 'import', no_referensi: null },
+                                req,
+                                session
+                            );
+                            if (!mutasi || !fieldsChanged) return mutasi && { doc: mutasi.produk, stokOnly: true };
+                        }
+                        
+                        await lockProdukReferences(update.$set, session);
+                        const result = await db.collection('produk').findOneAndUpdate(
+                            { kode_produk: entry.kode_produk, ...NOT_DELETED },
+                            update,
+                            { upsert: true, returnDocument: 'after', includeResultMetadata: true, session }
+                        );
+                        await recordHargaRiwayat(existing || null, result.value, 'import', req, session);
+                        await recordAudit(req, {
+                            resource: 'produk',
+                            resource_id: result.value._id,
+                            action: existing ? 'update' : 'create',
+                            // Sesudah mutasi stok, perubahan stok sudah tercatat sendiri
+                            before: mutasi ? mutasi.produk : existing || null,
+                            after: result.value
+                        }, session);
+                        
+                        // Hanya jika dokumen benar-benar baru di-insert (bukan dibuat import lain bersamaan)
+                        if (stokAwal > 0 && !result.lastErrorObject.updatedExisting) {
+                            const awal = await applyStokMutasi(
+                                { _id: result.value._id },
+                                'masuk',
+                                { jumlah: stokAwal, alasan: 'stok_awal', no_referensi: null },
+                                req,
+                                session
+                            );
+                            return { doc: awal.produk, stokOnly: false };
+                        }
+                        return { doc: result.value, stokOnly: false };
+                    });
+                } catch (err) {
+                    entry.status = 'failed';
+                    if (err instanceof ValidationError) {
+                        entry.errors = err.extra.errors;
+                    } else if (err.code === 11000) {
+                        entry.errors = [{ field: 'kode_produk', message: 'Kode produk sudah digunakan' }];
+                    } else {
+                        throw err;
+                    }
+                    continue;
+                }
+                
+                if (!hasil) {
+                    const current = await db.collection('produk').findOne({ _id: existing._id, ...NOT_DELETED });
+                    const gagal = current && current.stok !== existing.stok
+                        ? { message: 'Stok produk berubah selama import, ulangi import' }
+                        : await stokMutasiGagal({ _id: existing._id }, entry.mutasi_stok.jumlah);
+                    entry.status = 'failed';
+                    entry.errors = [{ field: 'stok', message: gagal.message }];
+                    continue;
+                }
+                
+                if (hasil.stokOnly) {
+                    await checkStokAlert(hasil.doc);
+                } else {
+                    await RESOURCE_CONFIG.produk.onChange(entry.status, hasil.doc);
+                }
+            }
+            
+            report.sort((a, b) => a.baris - b.baris);
+            const summary = { total: report.length, created: 0, updated: 0, unchanged: 0, failed: 0 };
+            report.forEach(entry => { summary[entry.status]++; });
+            
+            res.status(200).json({
+                success: summary.failed === 0,
+                message: dryRun
+                    ? `Dry run: ${summary.created} akan dibuat, ${summary.updated} akan diupdate, ${summary.failed} gagal`
+                    : `Import selesai: ${summary.created} dibuat, ${summary.updated} diupdate, ${summary.failed} gagal`,
+                dry_run: dryRun,
+                summary: summary,
+                results: report
+            });
+        } catch (err) {
+            next(withPublicMessage(err, 'Gagal import produk'));
+        }
+    }
+);
+
+// GET /api/produk/trash - Daftar produk yang dihapus (admin saja)
+// Didaftarkan sebelum /api/produk/:id supaya 'trash' tidak dianggap sebagai ID
+app.get('/api/produk/trash', authenticate, requireRole('admin'), validateQuery('pageQuery'), handleTrashList('produk'));
+
+// GET /api/produk/:id - Ambil produk berdasarkan ID
+app.get('/api/produk/:id', authenticate, requireRole('viewer'), validateQuery('produkDetailQuery'), async (req, res, next) => {
+    try {
+        const { id } = req.params; // Extract ID dari URL parameter
+        
+        // Validasi apakah ID yang diberikan adalah ObjectId yang valid
+        if (!ObjectId.isValid(id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'ID produk tidak valid. Gunakan format ObjectId yang benar.'
+            });
+        }
+        
+        // Cari produk berdasarkan ID
+        const produk = await db.collection('produk').findOne({ _id: new ObjectId(id), ...NOT_DELETED });
+        
+        // Jika produk tidak ditemukan, return 404
+        if (!produk) {
+            return res.status(404).json({
+                success: false,
+                message: 'Produk dengan ID tersebut tidak ditemukan'
+            });
+        }
+        
+        // Conditional GET: dashboard yang polling cukup dapat 304 jika tidak berubah.
+        // Dengan ?expand isi response juga bergantung pada dokumen lain, jadi tanpa ETag.
+        const { expand } = req.validQuery;
+        if (!expand) {
+            res.set('ETag', etagFor(produk));
+            if (isNotModified(req, produk)) {
+                return res.status(304).end();
+            }
+        }
+        
+        // Return produk yang ditemukan
+        const [data] = await expandProdukReferences([produk], expand);
+        res.status(200).json({
+            success: true,
+            message: 'Produk berhasil ditemukan',
+            data: data
+        });
+    } catch (err) {
+        next(withPublicMessage(err, 'Gagal mengambil data produk'));
+    }
+});
+
+// POST /api/produk - Tambah produk baru
+app.post('/api/produk', authenticate, requireRole('admin'), validateBody('produk', 'Data produk tidak valid'), validateProdukReferences(), async (req, res, next) => {
+    try {
+        const dataProduk = req.body; // Body sudah divalidasi, di-trim dan di-coerce oleh schema 'produk'
+        
+        // Cek apakah kode produk sudah digunakan (unique constraint)
+        const existingProduk = await db.collection('produk').findOne({ 
+            kode_produk: dataProduk.kode_produk 
+        });
+        
+        if (existingProduk) {
+            // Index unique juga mencakup produk di trash
+            return res.status(409).json({
+                success: false,
+                message: existingProduk.deleted_at
+                    ? 'Kode produk digunakan oleh produk di trash. Restore atau hapus permanen produk tersebut.'
+                    : 'Kode produk sudah digunakan. Gunakan kode yang berbeda.'
+            });
+        }
+        
+        // Siapkan data produk dengan format yang konsisten. Stok awal tidak ditulis langsung
+        // tetapi lewat mutasi masuk 'stok_awal' supaya tercatat di ledger stok_mutasi.
+        const { stok: stokAwal, ...dataTanpaStok } = dataProduk;
+        const produkBaru = {
+            ...dataTanpaStok, // kode_produk, nama_produk, kategori(_id), harga, deskripsi, supplier(_id)
+            stok: 0,
+            tanggal_dibuat: new Date(), // Timestamp otomatis
+            tanggal_diupdate: new Date(), // Timestamp otomatis
+            status: 'aktif', // Default status
+            harga_efektif: dataProduk.harga, // Produk baru belum punya diskon
+            version: 1 // Versi awal untuk optimistic concurrency
+        };
+        
+        // Insert ke database (bersama stok awal, audit & riwayat harga dalam satu transaksi jika tersedia)
+        const produk = await runInTransaction(async (session) => {
+            await lockProdukReferences(produkBaru, session);
+            const result = await db.collection('produk').insertOne(produkBaru, { session });
+            await recordHargaRiwayat(null, produkBaru, 'create', req, session);
+            await recordAudit(req, {
+                resource: 'produk',
+                resource_id: result.insertedId,
+                action: 'create',
+                before: null,
+                after: produkBaru
+            }, session);
+            if (!stokAwal) return produkBaru; // insertOne sudah mengisi produkBaru._id
+            
+            const mutasi = await applyStokMutasi(
+                { _id: result.insertedId },
+                'masuk',
+                { jumlah: stokAwal, alasan: 'stok_awal', no_referensi: null },
+                req,
+                session
+            );
+            return mutasi.produk;
+        });
+        await RESOURCE_CONFIG.produk.onChange('created', produk);
+        
+        // Response sukses dengan data yang baru dibuat
+        res.status(201).json({
+            success: true,
+            message: 'Produk berhasil ditambahkan',
+            data: produk
+        });
+    } catch (err) {
+        // Handle duplicate key error (jika ada unique index)
+        if (err.code === 11000) {
+            return next(new ConflictError('Kode produk sudah digunakan'));
+        }
+        next(withPublicMessage(err, 'Gagal menambahkan produk'));
+    }
+});
+
+// PUT /api/produk/:id - Update produk (semua field wajib dikirim, kecuali stok)
+app.put('/api/produk/:id', authenticate, requireRole('admin'), validateBody('produkUpdate', 'Data produk tidak valid'), validateProdukReferences(), handleUpdate('produk'));
+
+// PATCH /api/produk/:id - Update sebagian field produk (JSON Merge Patch & JSON Patch), stok tidak termasuk
+app.patch('/api/produk/:id', authenticate, requireRole('admin'), validatePatch('produkUpdate', 'Data produk tidak valid'), validateProdukReferences({ partial: true }), handleUpdate('produk'));
+
+// DELETE /api/produk/:id - Hapus produk (dipindah ke trash)
+app.delete('/api/produk/:id', authenticate, requireRole('admin'), handleSoftDelete('produk'));
+
+// POST /api/produk/:id/restore - Kembalikan produk dari trash
+app.post('/api/produk/:id/restore', authenticate, requireRole('admin'), handleRestore('produk'));
+
+// DELETE /api/produk/:id/permanent - Hapus permanen produk yang ada di trash
+app.delete('/api/produk/:id/permanent', authenticate, requireRole('admin'), handlePurge('produk'));
+
+// =============================================================================
+// STOK MUTASI ENDPOINTS - Ledger pergerakan stok produk
+// =============================================================================
+
+const MAX_BULK_MUTASI = 100; // Batas item dalam satu request bulk
+
+// Ubah stok produk secara atomic lalu catat ke collection stok_mutasi.
+// Untuk 'keluar', filter { stok: { $gte: jumlah } } memastikan stok tidak pernah
+// negatif walaupun ada dua request bersamaan.
+// `data` harus sudah lolos schema 'mutasi' (jumlah integer, alasan sudah di-trim).
+// Update stok, ledger dan audit ditulis dalam satu transaksi jika tersedia.
+// Return { ok: true, produk, mutasi } atau { ok: false, status, message }.
+async function adjustStok(filterProduk, tipe, data, req) {
+    const hasil = await runInTransaction(session => applyStokMutasi(filterProduk, tipe, data, req, session));
+    if (!hasil) {
+        return stokMutasiGagal(filterProduk, data.jumlah);
+    }
+    
+    await checkStokAlert(hasil.produk);
+    
+    return { ok: true, ...hasil };
+}
+
+// Isi adjustStok di dalam session yang sudah ada (dipakai juga oleh import produk).
+// Return { produk, mutasi }, atau null jika produk tidak ada / stok tidak cukup.
+async function applyStokMutasi(filterProduk, tipe, data, req, session) {
+    const jumlah = data.jumlah;
+    const delta = tipe === 'masuk' ? jumlah : -jumlah;
+    // Stok yang sudah direservasi order tidak boleh dikeluarkan manual
+    const guard = tipe === 'keluar' ? stokTersediaFilter(jumlah) : {};
+    
+    const result = await db.collection('produk').findOneAndUpdate(
+        { ...filterProduk, ...NOT_DELETED, ...guard },
+        { $inc: { stok: delta, version: 1 }, $set: { tanggal_diupdate: new Date() } },
+        { returnDocument: 'after', includeResultMetadata: true, session }
+    );
+    const produk = result.value;
+    if (!produk) return null;
+    
+    const mutasi = {
+        produk_id: produk._id,
+        kode_produk: produk.kode_produk,
+        tipe: tipe,
+        jumlah: jumlah,
+        stok_sebelum: produk.stok - delta,
+        stok_sesudah: produk.stok,
+        alasan: data.alasan,
+        no_referensi: data.no_referensi,
+        user: req.user.username,
+        tanggal: new Date()
+    };
+    const inserted = await db.collection('stok_mutasi').insertOne(mutasi, { session });
+    await recordAudit(req, {
+        resource: 'produk',
+        resource_id: produk._id,
+        action: `stok_${tipe}`,
+        before: { stok: mutasi.stok_sebelum },
+        after: { stok: mutasi.stok_sesudah }
+    }, session);
+    
+    return { produk, mutasi: { _id: inserted.insertedId, ...mutasi } };
+}
+
+// Alasan mutasi gagal: bedakan produk tidak ada vs stok tidak cukup
+async function stokMutasiGagal(filterProduk, jumlah) {
+    const existing = await db.collection('produk').findOne(
+        { ...filterProduk, ...NOT_DELETED },
+        { projection: { stok: 1, stok_dipesan: 1 } }
+    );
+    if (!existing) {
+        return { ok: false, status: 404, message: 'Produk tidak ditemukan' };
+    }
+    const dipesan = existing.stok_dipesan || 0;
+    return {
+        ok: false,
+        status: 409,
+        message: `Stok tidak mencukupi. Stok saat ini ${existing.stok}` +
+            (dipesan > 0 ? ` (${dipesan} direservasi order)` : '') + `, diminta ${jumlah}`
+    };
+}
+
+// Handler bersama untuk POST /api/produk/:id/stok/masuk dan /stok/keluar
+function handleMutasiStok(tipe) {
+    return async (req, res, next) => {
+        try {
+            const { id } = req.params;
+            const data = req.body; // Sudah divalidasi schema 'mutasi'
+            
+            // Validasi ObjectId
+            if (!ObjectId.isValid(id)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'ID produk tidak valid'
+                });
+            }
+            
+            const hasil = await adjustStok({ _id: new ObjectId(id) }, tipe, data, req);
+            if (!hasil.ok) {
+                return res.status(hasil.status).json({
+                    success: false,
+                    message: hasil.message
+                });
+            }
+            
+            res.status(201).json({
+                success: true,
+                message: `Stok ${tipe} berhasil dicatat`,
+                data: {
+                    produk: hasil.produk,
+                    mutasi: hasil.mutasi
+                }
+            });
+        } catch (err) {
+            next(withPublicMessage(err, 'Gagal mencatat mutasi stok'));
+        }
+    };
+}
+
+// POST /api/produk/:id/stok/masuk - Tambah stok (barang masuk)
+app.post('/api/produk/:id/stok/masuk', authenticate, requireRole('admin'), validateBody('mutasi', 'Data mutasi stok tidak valid'), handleMutasiStok('masuk'));
+
+// POST /api/produk/:id/stok/keluar - Kurangi stok (barang keluar), tidak boleh di bawah 0
+app.post('/api/produk/:id/stok/keluar', authenticate, requireRole('admin'), validateBody('mutasi', 'Data mutasi stok tidak valid'), handleMutasiStok('keluar'));
+
+// POST /api/produk/stok/bulk - Mutasi stok banyak produk sekaligus
+// Body: { items: [{ produk_id | kode_produk, tipe, jumlah, alasan, no_referensi }] }
+// Setiap item diproses atomic secara terpisah; response berisi hasil per item.
+app.post('/api/produk/stok/bulk', authenticate, requireRole('admin'), async (req, res, next) => {
+    try {
+        const { items } = req.body || {};
+        
+        if (!Array.isArray(items) || items.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Items wajib berupa array dan tidak boleh kosong'
+            });
+        }
+        
+        if (items.length > MAX_BULK_MUTASI) {
+            return res.status(400).json({
+                success: false,
+                message: `Maksimal ${MAX_BULK_MUTASI} item per request`
+            });
+        }
+        
+        const results = [];
+        for (let index = 0; index < items.length; index++) {
+            const { value: item, errors } = validateSchema(SCHEMAS.mutasiBulkItem, items[index]);
+            
+            // Tentukan produk berdasarkan produk_id atau kode_produk
+            let filterProduk = null;
+            if (item.produk_id) {
+                filterProduk = { _id: new ObjectId(item.produk_id) };
+            } else if (item.kode_produk) {
+                filterProduk = { kode_produk: item.kode_produk };
+            } else {
+                errors.push({ field: 'produk_id', message: 'produk_id atau kode_produk wajib diisi' });
+            }
+            
+            if (errors.length > 0) {
+                results.push({ index, success: false, status: 400, errors });
+                continue;
+            }
+            
+            const hasil = await adjustStok(filterProduk, item.tipe, item, req);
+            if (!hasil.ok) {
+                results.push({ index, success: false, status: hasil.status, errors: [{ field: null, message: hasil.message }] });
+            } else {
+                results.push({ index, success: true, mutasi: hasil.mutasi });
+            }
+        }
+        
+        const berhasil = results.filter(r => r.success).length;
+        res.status(200).json({
+            success: berhasil === results.length,
+            message: `${berhasil} dari ${results.length} mutasi stok berhasil dicatat`,
+            summary: {
+                total: results.length,
+                berhasil: berhasil,
+                gagal: results.length - berhasil
+            },
+            results: results
+        });
+    } catch (err) {
+        next(withPublicMessage(err, 'Gagal memproses mutasi stok bulk'));
+    }
+});
+
+// GET /api/produk/:id/stok/riwayat - Riwayat mutasi stok dengan pagination
+// Query: page, limit, tipe (masuk|keluar), date_from, date_to
+app.get('/api/produk/:id/stok/riwayat', authenticate, requireRole('viewer'), validateQuery('riwayatStokQuery'), async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const { tipe, date_from, date_to, page: pageNum, limit: limitNum } = req.validQuery;
+        const skip = (pageNum - 1) * limitNum;
+        
+        // Validasi ObjectId
+        if (!ObjectId.isValid(id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'ID produk tidak valid'
+            });
+        }
+        
+        const produk = await db.collection('produk').findOne(
+            { _id: new ObjectId(id), ...NOT_DELETED },
+            { projection: { kode_produk: 1, nama_produk: 1, stok: 1 } }
+        );
+        if (!produk) {
+            return res.status(404).json({
+                success: false,
+                message: 'Produk tidak ditemukan'
+            });
+        }
+        
+        // Build filter riwayat
+        const filter = { produk_id: produk._id };
+        if (tipe) {
+            filter.tipe = tipe;
+        }
+        if (date_from || date_to) {
+            filter.tanggal = {};
+            if (date_from) filter.tanggal.$gte = date_from;
+            if (date_to) filter.tanggal.$lte = date_to;
+        }
+        
+        const riwayat = await db.collection('stok_mutasi')
+            .find(filter)
+            .sort({ tanggal: -1, _id: -1 }) // Terbaru dulu
+            .skip(skip)
+            .limit(limitNum)
+            .toArray();
+        
+        const total = await db.collection('stok_mutasi').countDocuments(filter);
+        
+        res.status(200).json({
+            success: true,
+            message: `Ditemukan ${riwayat.length} mutasi stok`,
+            produk: produk,
+            data: riwayat,
+            pagination: buildPagination(pageNum, limitNum, total)
+        });
+    } catch (err) {
+        next(withPublicMessage(err, 'Gagal mengambil riwayat stok'));
+    }
+});
+
+// =============================================================================
+// HARGA - Riwayat harga, jadwal perubahan harga & diskon berjangka
+// =============================================================================
+
+// Produk menyimpan `harga` (harga dasar) dan `harga_efektif` (harga setelah diskon
+// aktif, sama dengan harga jika tidak ada diskon). harga_efektif dipakai oleh filter
+// min_harga / max_harga. Diskon yang sedang berjalan disalin ke field `diskon`.
+// Setiap perubahan harga dasar maupun harga efektif dicatat sebagai snapshot di
+// collection harga_riwayat, jadi harga pada tanggal tertentu = snapshot terakhir
+// sebelum tanggal tersebut.
+
+const HARGA_SCHEDULER_INTERVAL_MS = appConfig.scheduler.hargaIntervalMs;
+const HARGA_SCHEDULER_BATCH_SIZE = 100; // Jadwal per jenis per putaran scheduler
+let hargaSchedulerRunning = false;
+
+// Harga setelah diskon persen, dibulatkan ke 2 desimal
+function hitungHargaEfektif(harga, diskon) {
+    if (!diskon) return harga;
+    return Math.round(harga * (100 - diskon.persen)) / 100;
+}
+
+// Simpan snapshot harga jika harga dasar atau harga efektif berubah.
+// `before` null untuk produk baru.
+async function recordHargaRiwayat(before, after, sumber, req, session, extra = {}) {
+    if (before && before.harga === after.harga && before.harga_efektif === after.harga_efektif) return;
+    
+    await db.collection('harga_riwayat').insertOne({
+        produk_id: after._id,
+        kode_produk: after.kode_produk,
+        harga: after.harga,
+        harga_efektif: after.harga_efektif,
+        diskon_persen: after.diskon ? after.diskon.persen : null,
+        harga_sebelumnya: before ? before.harga : null,
+        harga_efektif_sebelumnya: before ? before.harga_efektif : null,
+        sumber: sumber, // create | update | import | jadwal
+        jadwal_id: extra.jadwal_id || null,
+        oleh: req ? req.user.username : 'system',
+        tanggal: new Date()
+    }, { session });
+}
+
+// Setelah harga dasar berubah lewat updateResource: hitung ulang harga_efektif
+// (dengan diskon yang sedang aktif) lalu catat riwayatnya. Dipanggil di dalam
+// transaksi yang sama dengan update; hasil.doc ikut diperbarui.
+async function syncHargaEfektif(hasil, req, session, sumber, extra) {
+    const { before, doc } = hasil;
+    if (before.harga === doc.harga) return;
+    
+    const hargaEfektif = hitungHargaEfektif(doc.harga, doc.diskon);
+    if (hargaEfektif !== doc.harga_efektif) {
+        await db.collection('produk').updateOne(
+            { _id: doc._id, version: doc.version },
+            { $set: { harga_efektif: hargaEfektif } },
+            { session }
+        );
+        doc.harga_efektif = hargaEfektif;
+    }
+    await recordHargaRiwayat(before, doc, sumber, req, session, extra);
+}
+
+// Hook RESOURCE_CONFIG.produk.onUpdate (PUT / PATCH produk)
+async function produkUpdated(hasil, req, session) {
+    await lockProdukReferences(req.body, session);
+    await syncHargaEfektif(hasil, req, session, 'update');
+}
+
+// Pasang (diskon object) atau lepas (null) diskon dari produk sesuai jadwal.
+// Update bersyarat harga dasar belum berubah, dicoba ulang jika bentrok dengan PUT/PATCH.
+async function setDiskonProduk(jadwal, diskon, req) {
+    for (let attempt = 1; attempt <= 3; attempt++) {
+        const current = await db.collection('produk').findOne({ _id: jadwal.produk_id, ...NOT_DELETED });
+        if (!current) return { status: 'not_found' };
+        
+        // Diskon berakhir hanya melepas diskon milik jadwal yang sama
+        if (!diskon && !(current.diskon && jadwal._id.equals(current.diskon.jadwal_id))) {
+            return { status: 'unchanged', doc: current };
+        }
+        
+        const hasil = await runInTransaction(async (session) => {
+            const hasil = await updateResource(
+                'produk', String(current._id),
+                { diskon: diskon, harga_efektif: hitungHargaEfektif(current.harga, diskon) },
+                { harga: current.harga }, null, session
+            );
+            if (hasil.status === 'updated') {
+                await recordHargaRiwayat(hasil.before, hasil.doc, 'jadwal', req, session, { jadwal_id: jadwal._id });
+                await recordAudit(req, {
+                    resource: 'produk',
+                    resource_id: hasil.doc._id,
+                    action: 'update',
+                    before: hasil.before,
+                    after: hasil.doc
+                }, session);
+            }
+            return hasil;
+        });
+        
+        if (hasil.status === 'test_failed') continue;
+        if (hasil.status === 'updated') {
+            await RESOURCE_CONFIG.produk.onChange('updated', hasil.doc, hasil.before);
+        }
+        return hasil;
+    }
+    return { status: 'conflict' };
+}
+
+// Terapkan jadwal perubahan harga dasar
+async function terapkanJadwalHarga(jadwal) {
+    const hasil = await runInTransaction(async (session) => {
+        const hasil = await updateResource('produk', String(jadwal.produk_id), { harga: jadwal.harga }, {}, null, session);
+        if (hasil.status === 'updated') {
+            await syncHargaEfektif(hasil, null, session, 'jadwal', { jadwal_id: jadwal._id });
+            await recordAudit(null, {
+                resource: 'produk',
+                resource_id: hasil.doc._id,
+                action: 'update',
+                before: hasil.before,
+                after: hasil.doc
+            }, session);
+        }
+        return hasil;
+    });
+    if (hasil.status === 'updated') {
+        await RESOURCE_CONFIG.produk.onChange('updated', hasil.doc, hasil.before);
+    }
+    return hasil;
+}
+
+// Ambil satu jadwal yang sudah jatuh tempo dan pindahkan statusnya (claim atomic,
+// aman untuk beberapa instance server). Jika gagal diterapkan, status dikembalikan.
+async function prosesJadwal(filter, statusBaru, terapkan) {
+    for (let i = 0; i < HARGA_SCHEDULER_BATCH_SIZE; i++) {
+        const claim = await db.collection('harga_jadwal').findOneAndUpdate(
+            filter,
+            { $set: { status: statusBaru, [`${statusBaru}_at`]: new Date() } },
+            { sort: { mulai: 1 }, returnDocument: 'before', includeResultMetadata: true }
+        );
+        const jadwal = claim.value;
+        if (!jadwal) break;
+        
+        try {
+            const hasil = await terapkan(jadwal);
+            if (hasil.status === 'conflict') {
+                throw new Error('Update produk terus bentrok dengan perubahan lain');
+            }
+            if (hasil.status === 'not_found') {
+                await db.collection('harga_jadwal').updateOne(
+                    { _id: jadwal._id },
+                    { $set: { status: 'dibatalkan', alasan_batal: 'Produk tidak ditemukan atau sudah dihapus' } }
+                );
+            }
+        } catch (err) {
+            logger.error(`Gagal menerapkan jadwal harga ${jadwal._id}:`, err.message);
+            await db.collection('harga_jadwal').updateOne(
+                { _id: jadwal._id, status: statusBaru },
+                { $set: { status: jadwal.status }, $unset: { [`${statusBaru}_at`]: '' } }
+            );
+            break;
+        }
+    }
+}
+
+// Scheduler: terapkan harga terjadwal, mulai dan akhiri diskon
+async function applyHargaJadwal() {
+    if (hargaSchedulerRunning || !db) return;
+    hargaSchedulerRunning = true;
+    
+    try {
+        const now = new Date();
+        await prosesJadwal(
+            { tipe: 'harga', status: 'terjadwal', mulai: { $lte: now } },
+            'diterapkan',
+            terapkanJadwalHarga
+        );
+        // Diskon yang berakhir diproses sebelum yang mulai supaya diskon berurutan tidak saling tumpang
+        await prosesJadwal(
+            { tipe: 'diskon', status: 'aktif', selesai: { $lte: now } },
+            'selesai',
+            jadwal => setDiskonProduk(jadwal, null, null)
+        );
+        await prosesJadwal(
+            { tipe: 'diskon', status: 'terjadwal', mulai: { $lte: now }, selesai: { $gt: now } },
+            'aktif',
+            jadwal => setDiskonProduk(jadwal, {
+                persen: jadwal.diskon_persen,
+                mulai: jadwal.mulai,
+                selesai: jadwal.selesai,
+                jadwal_id: jadwal._id
+            }, null)
+        );
+        // Diskon yang terlewat seluruhnya (server mati sepanjang periode diskon)
+        await db.collection('harga_jadwal').updateMany(
+            { tipe: 'diskon', status: 'terjadwal', selesai: { $lte: now } },
+            { $set: { status: 'dibatalkan', alasan_batal: 'Periode diskon terlewat' } }
+        );
+    } catch (err) {
+        logger.error('Scheduler harga gagal:', err.message);
+    } finally {
+        hargaSchedulerRunning = false;
+    }
+}
+
+// Ambil produk (bukan di trash) untuk endpoint harga
+async function findProdukHarga(res, id) {
+    if (!ObjectId.isValid(id)) {
+        res.status(400).json({
+            success: false,
+            message: 'ID produk tidak valid'
+        });
+        return null;
+    }
+    
+    const produk = await db.collection('produk').findOne(
+        { _id: new ObjectId(id), ...NOT_DELETED },
+        { projection: { kode_produk: 1, nama_produk: 1, harga: 1, harga_efektif: 1, diskon: 1 } }
+    );
+    if (!produk) {
+        res.status(404).json({
+            success: false,
+            message: 'Produk tidak ditemukan'
+        });
+        return null;
+    }
+    return produk;
+}
+
+// GET /api/produk/:id/harga/riwayat - Riwayat harga dengan pagination
+// Query: page, limit, date_from, date_to, atau pada=<tanggal> untuk harga yang berlaku saat itu
+app.get('/api/produk/:id/harga/riwayat', authenticate, requireRole('viewer'), validateQuery('riwayatHargaQuery'), async (req, res, next) => {
+    try {
+        const { pada, date_from, date_to, page: pageNum, limit: limitNum } = req.validQuery;
+        
+        const produk = await findProdukHarga(res, req.params.id);
+        if (!produk) return;
+        
+        // Harga pada tanggal tertentu: snapshot terakhir sebelum tanggal tersebut
+        if (pada) {
+            const snapshot = await db.collection('harga_riwayat').findOne(
+                { produk_id: produk._id, tanggal: { $lte: pada } },
+                { sort: { tanggal: -1, _id: -1 } }
+            );
+            return res.status(200).json({
+                success: true,
+                message: snapshot
+                    ? `Harga yang berlaku pada ${pada.toISOString()}`
+                    : 'Belum ada riwayat harga pada tanggal tersebut',
+                produk: produk,
+                data: snapshot
+            });
+        }
+        
+        const filter = { produk_id: produk._id };
+        if (date_from || date_to) {
+            filter.tanggal = {};
+            if (date_from) filter.tanggal.$gte = date_from;
+            if (date_to) filter.tanggal.$lte = date_to;
+        }
+        
+        const riwayat = await db.collection('harga_riwayat')
+            .find(filter)
+            .sort({ tanggal: -1, _id: -1 }) // Terbaru dulu
+            .skip((pageNum - 1) * limitNum)
+            .limit(limitNum)
+            .toArray();
+        
+        const total = await db.collection('harga_riwayat').countDocuments(filter);
+        
+        res.status(200).json({
+            success: true,
+            message: `Ditemukan ${riwayat.length} perubahan harga`,
+            produk: produk,
+            data: riwayat,
+            pagination: buildPagination(pageNum, limitNum, total)
+        });
+    } catch (err) {
+        next(withPublicMessage(err, 'Gagal mengambil riwayat harga'));
+    }
+});
+
+// GET /api/produk/:id/harga/jadwal - Daftar jadwal harga & diskon produk
+app.get('/api/produk/:id/harga/jadwal', authenticate, requireRole('viewer'), validateQuery('jadwalHargaListQuery'), async (req, res, next) => {
+    try {
+        const { status, tipe } = req.validQuery;
+        
+        const produk = await findProdukHarga(res, req.params.id);
+        if (!produk) return;
+        
+        const filter = { produk_id: produk._id };
+        if (status) filter.status = status;
+        if (tipe) filter.tipe = tipe;
+        
+        const jadwal = await db.collection('harga_jadwal')
+            .find(filter)
+            .sort({ mulai: -1, _id: -1 })
+            .limit(100)
+            .toArray();
+        
+        res.status(200).json({
+            success: true,
+            message: `Ditemukan ${jadwal.length} jadwal harga`,
+            produk: produk,
+            data: jadwal
+        });
+    } catch (err) {
+        next(withPublicMessage(err, 'Gagal mengambil jadwal harga'));
+    }
+});
+
+// POST /api/produk/:id/harga/jadwal - Jadwalkan harga baru atau diskon berjangka
+// Body tipe 'harga': { harga, mulai }; tipe 'diskon': { diskon_persen, mulai, selesai }
+app.post('/api/produk/:id/harga/jadwal', authenticate, requireRole('admin'), validateBody('hargaJadwal', 'Data jadwal harga tidak valid'), async (req, res, next) => {
+    try {
+        const { tipe, harga, diskon_persen, mulai, selesai, catatan } = req.body;
+        
+        const produk = await findProdukHarga(res, req.params.id);
+        if (!produk) return;
+        
+        // Validasi antar field sesuai tipe
+        const errors = [];
+        if (tipe === 'harga') {
+            if (harga === undefined) errors.push({ field: 'harga', message: 'Harga wajib diisi untuk jadwal harga' });
+            if (diskon_persen !== undefined) errors.push({ field: 'diskon_persen', message: 'diskon_persen hanya untuk jadwal diskon' });
+            if (selesai) errors.push({ field: 'selesai', message: 'Jadwal harga tidak punya tanggal selesai' });
+        } else {
+            if (diskon_persen === undefined) errors.push({ field: 'diskon_persen', message: 'diskon_persen wajib diisi untuk jadwal diskon' });
+            if (harga !== undefined) errors.push({ field: 'harga', message: 'harga hanya untuk jadwal harga' });
+            if (!selesai) {
+                errors.push({ field: 'selesai', message: 'Tanggal selesai wajib diisi untuk diskon' });
+            } else if (selesai <= mulai || selesai <= new Date()) {
+                errors.push({ field: 'selesai', message: 'Tanggal selesai harus setelah tanggal mulai dan belum lewat' });
+            }
+        }
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Data jadwal harga tidak valid',
+                errors: errors
+            });
+        }
+        
+        // Periode diskon satu produk tidak boleh tumpang tindih
+        if (tipe === 'diskon') {
+            const bentrok = await db.collection('harga_jadwal').findOne({
+                produk_id: produk._id,
+                tipe: 'diskon',
+                status: { $in: ['terjadwal', 'aktif'] },
+                mulai: { $lt: selesai },
+                selesai: { $gt: mulai }
+            });
+            if (bentrok) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'Periode diskon bertabrakan dengan diskon lain untuk produk ini',
+                    data: bentrok
+                });
+            }
+        }
+        
+        const jadwalBaru = {
+            produk_id: produk._id,
+            kode_produk: produk.kode_produk,
+            tipe: tipe,
+            ...(tipe === 'harga' ? { harga } : { diskon_persen, selesai }),
+            mulai: mulai,
+            status: 'terjadwal',
+            catatan: catatan,
+            created_by: req.user.username,
+            created_at: new Date()
+        };
+        await db.collection('harga_jadwal').insertOne(jadwalBaru);
+        
+        // Jadwal yang mulai sekarang langsung diterapkan tanpa menunggu putaran scheduler
+        if (mulai <= new Date()) {
+            await applyHargaJadwal();
+        }
+        
+        res.status(201).json({
+            success: true,
+            message: tipe === 'harga' ? 'Perubahan harga berhasil dijadwalkan' : 'Diskon berhasil dijadwalkan',
+            data: await db.collection('harga_jadwal').findOne({ _id: jadwalBaru._id })
+        });
+    } catch (err) {
+        next(withPublicMessage(err, 'Gagal membuat jadwal harga'));
+    }
+});
+
+// DELETE /api/produk/:id/harga/jadwal/:jadwalId - Batalkan jadwal.
+// Jadwal terjadwal dibatalkan; diskon yang sedang aktif langsung diakhiri.
+app.delete('/api/produk/:id/harga/jadwal/:jadwalId', authenticate, requireRole('admin'), async (req, res, next) => {
+    try {
+        const { jadwalId } = req.params;
+        
+        const produk = await findProdukHarga(res, req.params.id);
+        if (!produk) return;
+        if (!ObjectId.isValid(jadwalId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'ID jadwal tidak valid'
+            });
+        }
+        
+        const result = await db.collection('harga_jadwal').findOneAndUpdate(
+            { _id: new ObjectId(jadwalId), produk_id: produk._id, status: { $in: ['terjadwal', 'aktif'] } },
+            { $set: { status: 'dibatalkan', dibatalkan_at: new Date(), dibatalkan_by: req.user.username } },
+            { returnDocument: 'before', includeResultMetadata: true }
+        );
+        
+        if (!result.value) {
+            const current = await db.collection('harga_jadwal').findOne({ _id: new ObjectId(jadwalId), produk_id: produk._id });
+            if (!current) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Jadwal harga tidak ditemukan'
+                });
+            }
+            return res.status(409).json({
+                success: false,
+                message: `Jadwal berstatus '${current.status}' tidak bisa dibatalkan`,
+                data: current
+            });
+        }
+        
+        if (result.value.status === 'aktif') {
+            await setDiskonProduk(result.value, null, req);
+        }
+        
+        res.status(200).json({
+            success: true,
+            message: result.value.status === 'aktif' ? 'Diskon berhasil diakhiri' : 'Jadwal harga berhasil dibatalkan',
+            data: { ...result.value, status: 'dibatalkan' }
+        });
+    } catch (err) {
+        next(withPublicMessage(err, 'Gagal membatalkan jadwal harga'));
+    }
+});
+
+// =============================================================================
+// ORDERS - Pesanan penjualan dengan reservasi stok dalam transaksi
+// =============================================================================
+
+// Alur status: pending -> confirmed -> fulfilled, atau pending/confirmed -> cancelled.
+//   - create   : stok direservasi (produk.stok_dipesan naik), stok fisik belum berubah
+//   - confirm  : hanya status
+//   - cancel   : reservasi dilepas (stok_dipesan turun)
+//   - fulfil   : stok fisik & reservasi turun, dicatat di stok_mutasi sebagai 'keluar'
+// Stok tersedia = stok - stok_dipesan dan tidak pernah negatif: stok hanya berubah lewat
+// mutasi stok (keluar dibatasi stok tersedia) dan fulfil. Semua perpindahan stok
+// satu order berjalan dalam satu transaksi MongoDB, jadi endpoint yang mengubah order
+// membutuhkan replica set (lihat requireTransactions()).
+
+const MAX_ORDER_ITEMS = 50;
+
+// Transisi status yang diizinkan: aksi -> { dari, ke }
+const ORDER_TRANSITIONS = {
+    confirm: { dari: ['pending'], ke: 'confirmed' },
+    cancel: { dari: ['pending', 'confirmed'], ke: 'cancelled' },
+    fulfil: { dari: ['confirmed'], ke: 'fulfilled' }
+};
+
+// Stok tersedia (belum direservasi order lain) minimal `jumlah`
+function stokTersediaFilter(jumlah) {
+    return { $expr: { $gte: [{ $subtract: ['$stok', { $ifNull: ['$stok_dipesan', 0] }] }, jumlah] } };
+}
+
+// Error dengan status HTTP untuk membatalkan transaksi order dari dalam callback
+function orderError(status, message, errors) {
+    return errors
+        ? new ValidationError(message, errors)
+        : new ApiError(status, ERROR_CODES[status], message);
+}
+
+// Middleware: tanpa transaksi, reservasi stok multi-produk bisa bocor jika gagal di tengah
+function requireTransactions(req, res, next) {
+    if (!supportsTransactions) {
+        return res.status(503).json({
+            success: false,
+            message: 'Fitur order membutuhkan MongoDB replica set karena memakai transaksi multi-dokumen'
+        });
+    }
+    next();
+}
+
+function nomorOrder(tanggal) {
+    const ymd = tanggal.toISOString().slice(0, 10).replace(/-/g, '');
+    return `ORD-${ymd}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+}
+
+// Validasi item order dan gabungkan kode_produk yang sama. Return { items } atau { errors }
+function validateOrderItems(items) {
+    if (!Array.isArray(items) || items.length === 0) {
+        return { errors: [{ field: 'items', message: 'Items wajib berupa array dan tidak boleh kosong' }] };
+    }
+    if (items.length > MAX_ORDER_ITEMS) {
+        return { errors: [{ field: 'items', message: `Maksimal ${MAX_ORDER_ITEMS} item per order` }] };
+    }
+    
+    const errors = [];
+    const perKode = new Map();
+    items.forEach((raw, index) => {
+        const { value: item, errors: itemErrors } = validateSchema(SCHEMAS.orderItem, raw);
+        if (itemErrors.length > 0) {
+            errors.push(...itemErrors.map(e => ({ ...e, field: `items[${index}].${e.field}` })));
+            return;
+        }
+        perKode.set(item.kode_produk, (perKode.get(item.kode_produk) || 0) + item.jumlah);
+    });
+    if (errors.length > 0) return { errors };
+    
+    return { items: [...perKode].map(([kode_produk, jumlah]) => ({ kode_produk, jumlah })) };
+}
+
+// Ubah reservasi / stok produk untuk semua item order di dalam transaksi.
+// aksi 'reserve' | 'release' | 'fulfil'. Return produk sesudah perubahan.
+async function moveOrderStock(order, aksi, req, session) {
+    const hasil = [];
+    for (const item of order.items) {
+        const { jumlah } = item;
+        // Fulfil juga mensyaratkan stok fisik cukup, jadi stok tidak pernah negatif
+        // walaupun stok sempat dikeluarkan di luar reservasi
+        const guard = aksi === 'reserve'
+            ? stokTersediaFilter(jumlah)
+            : { stok_dipesan: { $gte: jumlah }, ...(aksi === 'fulfil' ? { stok: { $gte: jumlah } } : {}) };
+        const update = aksi === 'fulfil'
+            ? { $inc: { stok: -jumlah, stok_dipesan: -jumlah, version: 1 } }
+            : { $inc: { stok_dipesan: aksi === 'reserve' ? jumlah : -jumlah, version: 1 } };
+        update.$set = { tanggal_diupdate: new Date() };
+        
+        const result = await db.collection('produk').findOneAndUpdate(
+            { _id: item.produk_id, ...NOT_DELETED, ...guard },
+            update,
+            { returnDocument: 'after', includeResultMetadata: true, session }
+        );
+        const produk = result.value;
+        if (!produk) {
+            throw orderError(409, aksi === 'reserve'
+                ? `Stok ${item.kode_produk} tidak mencukupi`
+                : `Reservasi atau stok fisik ${item.kode_produk} tidak konsisten, atau produk sudah dihapus`);
+        }
+        
+        if (aksi === 'fulfil') {
+            const mutasi = {
+                produk_id: produk._id,
+                kode_produk: produk.kode_produk,
+                tipe: 'keluar',
+                jumlah: jumlah,
+                stok_sebelum: produk.stok + jumlah,
+                stok_sesudah: produk.stok,
+                alasan: `Pengiriman order ${order.nomor}`,
+                no_referensi: order.nomor,
+                user: req.user.username,
+                tanggal: new Date()
+            };
+            await db.collection('stok_mutasi').insertOne(mutasi, { session });
+            await recordAudit(req, {
+                resource: 'produk',
+                resource_id: produk._id,
+                action: 'stok_keluar',
+                before: { stok: mutasi.stok_sebelum },
+                after: { stok: mutasi.stok_sesudah }
+            }, session);
+        } else {
+            const delta = aksi === 'reserve' ? jumlah : -jumlah;
+            await recordAudit(req, {
+                resource: 'produk',
+                resource_id: produk._id,
+                action: 'update',
+                before: { stok_dipesan: produk.stok_dipesan - delta },
+                after: { stok_dipesan: produk.stok_dipesan }
+            }, session);
+        }
+        hasil.push(produk);
+    }
+    return hasil;
+}
+
+// GET /api/orders - Daftar order dengan filter status/tanggal/produk dan total nilai
+app.get('/api/orders', authenticate, requireRole('viewer'), validateQuery('orderListQuery'), async (req, res, next) => {
+    try {
+        const { status, kode_produk, date_from, date_to, page: pageNum, limit: limitNum } = req.validQuery;
+        
+        const filter = {};
+        if (status) filter.status = status;
+        if (kode_produk) filter['items.kode_produk'] = kode_produk;
+        if (date_from || date_to) {
+            filter.created_at = {};
+            if (date_from) filter.created_at.$gte = date_from;
+            if (date_to) filter.created_at.$lte = date_to;
+        }
+        
+        const [hasil] = await db.collection('orders').aggregate([
+            { $match: filter },
+            {
+                $facet: {
+                    data: [
+                        { $sort: { created_at: -1, _id: -1 } },
+                        { $skip: (pageNum - 1) * limitNum },
+                        { $limit: limitNum }
+                    ],
+                    ringkasan: [
+                        { $group: { _id: null, total_data: { $sum: 1 }, total_nilai: { $sum: '$total' } } }
+                    ]
+                }
+            }
+        ]).toArray();
+        const ringkasan = hasil.ringkasan[0] || { total_data: 0, total_nilai: 0 };
+        const total = ringkasan.total_data;
+        
+        res.status(200).json({
+            success: true,
+            message: `Ditemukan ${total} order`,
+            data: hasil.data,
+            ringkasan: { total_order: total, total_nilai: ringkasan.total_nilai },
+            pagination: buildPagination(pageNum, limitNum, total)
+        });
+    } catch (err) {
+        next(withPublicMessage(err, 'Gagal mengambil data order'));
+    }
+});
+
+// GET /api/orders/:id - Detail order
+app.get('/api/orders/:id', authenticate, requireRole('viewer'), async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        if (!ObjectId.isValid(id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'ID order tidak valid'
+            });
+        }
+        
+        const order = await db.collection('orders').findOne({ _id: new ObjectId(id) });
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order tidak ditemukan'
+            });
+        }
+        
+        res.set('ETag', etagFor(order));
+        if (isNotModified(req, order)) {
+            return res.status(304).end();
+        }
+        
+        res.status(200).json({
+            success: true,
+            data: order
+        });
+    } catch (err) {
+        next(withPublicMessage(err, 'Gagal mengambil data order'));
+    }
+});
+
+// POST /api/orders - Buat order dan reservasi stok semua item
+// Body: { items: [{ kode_produk, jumlah }], pelanggan, catatan }
+// Items divalidasi per baris seperti mutasi stok bulk, sisanya lewat schema 'order'
+app.post('/api/orders', authenticate, requireRole('editor'), requireTransactions, async (req, res, next) => {
+    try {
+        const body = req.body && typeof req.body === 'object' && !Array.isArray(req.body) ? req.body : {};
+        const { value: data, errors } = validateSchema(SCHEMAS.order, body);
+        const { items: rawItems, errors: itemErrors } = validateOrderItems(body.items);
+        if (errors.length > 0 || itemErrors) {
+            return res.status(400).json({
+                success: false,
+                message: 'Data order tidak valid',
+                errors: errors.concat(itemErrors || [])
+            });
+        }
+        
+        const now = new Date();
+        const order = await runInTransaction(async (session) => {
+            // Snapshot harga saat order dibuat (harga efektif setelah diskon)
+            const produkList = await db.collection('produk')
+                .find({ kode_produk: { $in: rawItems.map(item => item.kode_produk) }, ...NOT_DELETED }, { session })
+                .toArray();
+            const produkByKode = new Map(produkList.map(produk => [produk.kode_produk, produk]));
+            
+            const notFound = rawItems.filter(item => !produkByKode.has(item.kode_produk));
+            if (notFound.length > 0) {
+                throw orderError(400, 'Data order tidak valid', notFound.map(item => ({
+                    field: 'items.kode_produk',
+                    message: `Produk dengan kode '${item.kode_produk}' tidak ditemukan`
+                })));
+            }
+            
+            const items = rawItems.map(item => {
+                const produk = produkByKode.get(item.kode_produk);
+                const harga = produk.harga_efektif !== undefined ? produk.harga_efektif : produk.harga;
+                return {
+                    produk_id: produk._id,
+                    kode_produk: produk.kode_produk,
+                    nama_produk: produk.nama_produk,
+                    jumlah: item.jumlah,
+                    harga: harga,
+                    harga_normal: produk.harga,
+                    subtotal: Math.round(harga * item.jumlah * 100) / 100
+                };
+            });
+            const orderBaru = {
+                nomor: nomorOrder(now),
+                status: 'pending',
+                items: items,
+                total_item: items.reduce((sum, item) => sum + item.jumlah, 0),
+                total: Math.round(items.reduce((sum, item) => sum + item.subtotal, 0) * 100) / 100,
+                pelanggan: data.pelanggan,
+                catatan: data.catatan,
+                riwayat_status: [{ status: 'pending', oleh: req.user.username, tanggal: now }],
+                created_by: req.user.username,
+                created_at: now,
+                updated_at: now,
+                version: 1
+            };
+            
+            await moveOrderStock(orderBaru, 'reserve', req, session);
+            await db.collection('orders').insertOne(orderBaru, { session });
+            await recordAudit(req, {
+                resource: 'orders',
+                resource_id: orderBaru._id,
+                action: 'create',
+                before: null,
+                after: orderBaru
+            }, session);
+            return orderBaru;
+        });
+        
+        res.status(201).json({
+            success: true,
+            message: `Order ${order.nomor} berhasil dibuat, stok sudah direservasi`,
+            data: order
+        });
+    } catch (err) {
+        next(withPublicMessage(err, 'Gagal membuat order'));
+    }
+});
+
+// Handler POST /api/orders/:id/confirm | cancel | fulfil
+function handleOrderTransition(aksi) {
+    const transisi = ORDER_TRANSITIONS[aksi];
+    return async (req, res, next) => {
+        try {
+            const { id } = req.params;
+            if (!ObjectId.isValid(id)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'ID order tidak valid'
+                });
+            }
+            
+            const expectedVersions = parseIfMatch(req);
+            const hasil = await runInTransaction(async (session) => {
+                const now = new Date();
+                const result = await db.collection('orders').findOneAndUpdate(
+                    { _id: new ObjectId(id), status: { $in: transisi.dari }, ...versionFilter(expectedVersions) },
+                    {
+                        $set: { status: transisi.ke, updated_at: now, [`${transisi.ke}_at`]: now },
+                        $push: { riwayat_status: { status: transisi.ke, oleh: req.user.username, alasan: req.body.alasan, tanggal: now } },
+                        $inc: { version: 1 }
+                    },
+                    { returnDocument: 'after', includeResultMetadata: true, session }
+                );
+                const order = result.value;
+                if (!order) {
+                    const current = await db.collection('orders').findOne({ _id: new ObjectId(id) }, { session });
+                    if (!current) throw orderError(404, 'Order tidak ditemukan');
+                    if (!matchesVersion(current, expectedVersions)) return { precondition: current };
+                    throw orderError(409, `Order berstatus '${current.status}' tidak bisa di-${aksi}`);
+                }
+                
+                let produk = [];
+                if (aksi === 'cancel') produk = await moveOrderStock(order, 'release', req, session);
+                if (aksi === 'fulfil') produk = await moveOrderStock(order, 'fulfil', req, session);
+                
+                await recordAudit(req, {
+                    resource: 'orders',
+                    resource_id: order._id,
+                    action: 'update',
+                    before: { status: order.riwayat_status[order.riwayat_status.length - 2].status },
+                    after: { status: order.status }
+                }, session);
+                return { order, produk };
+            });
+            
+            if (hasil.precondition) {
+                return sendPreconditionFailed(res, 'Order', hasil.precondition);
+            }
+            
+            // Stok fisik berkurang saat fulfil, evaluasi alert stok rendah
+            if (aksi === 'fulfil') {
+                for (const produk of hasil.produk) await checkStokAlert(produk);
+            }
+            
+            res.set('ETag', etagFor(hasil.order));
+            res.status(200).json({
+                success: true,
+                message: `Order ${hasil.order.nomor} berhasil di-${aksi}`,
+                data: hasil.order
+            });
+        } catch (err) {
+            next(withPublicMessage(err, `Gagal ${aksi} order`));
+        }
+    };
+}
+
+// POST /api/orders/:id/confirm - Konfirmasi order (pending -> confirmed)
+app.post('/api/orders/:id/confirm', authenticate, requireRole('editor'), requireTransactions, validateBody('orderTransition', 'Data tidak valid'), handleOrderTransition('confirm'));
+
+// POST /api/orders/:id/cancel - Batalkan order dan lepas reservasi stok
+app.post('/api/orders/:id/cancel', authenticate, requireRole('editor'), requireTransactions, validateBody('orderTransition', 'Data tidak valid'), handleOrderTransition('cancel'));
+
+// POST /api/orders/:id/fulfil - Kirim order, stok fisik berkurang
+app.post('/api/orders/:id/fulfil', authenticate, requireRole('editor'), requireTransactions, validateBody('orderTransition', 'Data tidak valid'), handleOrderTransition('fulfil'));
+
+// =============================================================================
+// GAMBAR & LAMPIRAN - Upload file ke GridFS (gambar produk & cover post)
+// =============================================================================
+
+// File disimpan di GridFS bucket 'lampiran' (collection lampiran.files & lampiran.chunks).
+// Metadata file juga disalin ke dokumen induknya (produk.gambar[] / posts.cover) supaya
+// ikut tampil di GET by ID dan ikut menaikkan version / ETag dokumen tersebut.
+// Body multipart/form-data di-parse sendiri (lihat parseMultipart()), tipe file
+// ditentukan dari isi file (magic bytes), bukan dari Content-Type kiriman client.
+
+const UPLOAD_MAX_BYTES = appConfig.upload.maxBytes; // Per file
+const UPLOAD_MAX_FILES_PER_REQUEST = 4;
+const LAMPIRAN_CACHE_MAX_AGE = 365 * 24 * 60 * 60; // Isi file tidak pernah berubah untuk ID yang sama
+
+// Tipe gambar yang diterima, dikenali dari byte awal file
+const GAMBAR_SIGNATURES = [
+    { mime: 'image/jpeg', ext: 'jpg', match: buf => buf[0] === 0xFF && buf[1] === 0xD8 && buf[2] === 0xFF },
+    { mime: 'image/png', ext: 'png', match: buf => buf.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])) },
+    { mime: 'image/gif', ext: 'gif', match: buf => ['GIF87a', 'GIF89a'].includes(buf.subarray(0, 6).toString('latin1')) },
+    { mime: 'image/webp', ext: 'webp', match: buf => buf.subarray(0, 4).toString('latin1') === 'RIFF' && buf.subarray(8, 12).toString('latin1') === 'WEBP' }
+];
+
+// Konfigurasi lampiran per resource.
+//   field    -> field di dokumen induk yang menyimpan metadata
+//   multiple -> true: array banyak gambar dengan satu 'utama'; false: satu file (upload baru mengganti)
+//   formField -> nama field file di form multipart
+const LAMPIRAN_CONFIG = {
+    produk: { field: 'gambar', formField: 'gambar', multiple: true, maxFiles: 10 },
+    posts: { field: 'cover', formField: 'cover', multiple: false }
+};
+
+let lampiranBucket;
+
+function detectGambarType(data) {
+    return GAMBAR_SIGNATURES.find(signature => signature.match(data)) || null;
+}
+
+// Parse body multipart/form-data (Buffer dari express.raw).
+// Return { parts: [{ name, filename, contentType, data }] } atau { error }
+function parseMultipart(body, contentType) {
+    const match = /boundary=(?:"([^"]+)"|([^;\s]+))/i.exec(contentType || '');
+    if (!match) return { error: 'Content-Type harus multipart/form-data dengan boundary' };
+    if (!Buffer.isBuffer(body) || body.length === 0) return { error: 'Body multipart kosong' };
+    
+    const boundary = Buffer.from(`--${match[1] || match[2]}`);
+    const delimiter = Buffer.concat([Buffer.from('\r\n'), boundary]);
+    const parts = [];
+    
+    let pos = body.indexOf(boundary);
+    if (pos === -1) return { error: 'Body multipart tidak valid' };
+    pos += boundary.length;
+    
+    // Setiap part: CRLF, header, CRLF CRLF, isi, CRLF--boundary. Penutup: --boundary--
+    while (body.subarray(pos, pos + 2).toString() !== '--') {
+        const headerStart = pos + 2;
+        const headerEnd = body.indexOf('\r\n\r\n', headerStart);
+        if (headerEnd === -1) return { error: 'Header part multipart tidak valid' };
+        
+        const headers = {};
+        for (const line of body.subarray(headerStart, headerEnd).toString('utf8').split('\r\n')) {
+            const separator = line.indexOf(':');
+            if (separator > 0) headers[line.slice(0, separator).trim().toLowerCase()] = line.slice(separator + 1).trim();
+        }
+        
+        const end = body.indexOf(delimiter, headerEnd + 4);
+        if (end === -1) return { error: 'Body multipart terpotong' };
+        
+        const disposition = headers['content-disposition'] || '';
+        const name = /\bname="([^"]*)"/i.exec(disposition);
+        const filename = /\bfilename="([^"]*)"/i.exec(disposition);
+        parts.push({
+            name: name ? name[1] : null,
+            filename: filename ? path.basename(filename[1].replace(/\\/g, '/')) : null,
+            contentType: headers['content-type'] || null,
+            data: body.subarray(headerEnd + 4, end)
+        });
+        pos = end + delimiter.length;
+    }
+    return { parts };
+}
+
+// Middleware: parse & validasi file dari form multipart ke req.files
+function validateUpload(collectionName) {
+    const config = LAMPIRAN_CONFIG[collectionName];
+    return (req, res, next) => {
+        const { parts, error } = parseMultipart(req.body, req.get('Content-Type'));
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+        
+        const files = parts.filter(part => part.name === config.formField && part.filename !== null);
+        if (files.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: `Tidak ada file di field '${config.formField}'`
+            });
+        }
+        if (files.length > (config.multiple ? UPLOAD_MAX_FILES_PER_REQUEST : 1)) {
+            return res.status(400).json({
+                success: false,
+                message: `Maksimal ${config.multiple ? UPLOAD_MAX_FILES_PER_REQUEST : 1} file per upload`
+            });
+        }
+        
+        // 413 jika ada file terlalu besar, selain itu 415 untuk tipe yang tidak didukung
+        const errors = [];
+        let statusCode = 415;
+        req.files = [];
+        for (const file of files) {
+            const tipe = detectGambarType(file.data);
+            if (file.data.length > UPLOAD_MAX_BYTES) {
+                statusCode = 413;
+                errors.push({ field: file.filename, message: `Ukuran file maksimal ${UPLOAD_MAX_BYTES} byte` });
+            } else if (!tipe) {
+                errors.push({ field: file.filename, message: `Tipe file tidak didukung. Gunakan: ${GAMBAR_SIGNATURES.map(s => s.ext).join(', ')}` });
+            } else {
+                req.files.push({ filename: file.filename || `gambar.${tipe.ext}`, contentType: tipe.mime, data: file.data });
+            }
+        }
+        if (errors.length > 0) {
+            return res.status(statusCode).json({
+                success: false,
+                message: 'File tidak valid',
+                errors: errors
+            });
+        }
+        next();
+    };
+}
+
+// Simpan satu file ke GridFS, return metadata untuk dokumen induk
+async function uploadLampiran(collectionName, resourceId, file, req) {
+    const upload = lampiranBucket.openUploadStream(file.filename, {
+        metadata: {
+            resource: collectionName,
+            resource_id: resourceId,
+            content_type: file.contentType,
+            uploaded_by: req.user.username
+        }
+    });
+    upload.end(file.data);
+    await once(upload, 'finish');
+    
+    return {
+        _id: upload.id,
+        filename: file.filename,
+        content_type: file.contentType,
+        size: file.data.length,
+        sha256: crypto.createHash('sha256').update(file.data).digest('hex'),
+        uploaded_by: req.user.username,
+        uploaded_at: new Date()
+    };
+}
+
+// Hapus file GridFS tanpa melempar error (file yatim hanya makan tempat)
+async function hapusLampiran(fileIds) {
+    for (const fileId of fileIds) {
+        try {
+            await lampiranBucket.delete(fileId);
+        } catch (err) {
+            logger.error(`Gagal menghapus file lampiran ${fileId}:`, err.message);
+        }
+    }
+}
+
+// Ubah metadata lampiran di dokumen induk lewat updateResource (version, audit & onChange ikut).
+// hitung(current) return nilai baru field atau { error, status }. Tanpa If-Match dari client,
+// update yang bentrok dengan perubahan lain dicoba ulang dengan versi terbaru.
+async function updateLampiran(collectionName, req, hitung) {
+    const config = RESOURCE_CONFIG[collectionName];
+    const field = LAMPIRAN_CONFIG[collectionName].field;
+    const clientVersions = parseIfMatch(req);
+    
+    for (let attempt = 1; attempt <= 3; attempt++) {
+        const current = await db.collection(collectionName).findOne({ _id: new ObjectId(req.params.id), ...NOT_DELETED });
+        if (!current) return { status: 'not_found' };
+        
+        const value = hitung(current);
+        if (value && value.error) return { status: 'invalid', ...value };
+        
+        const hasil = await runInTransaction(async (session) => {
+            const hasil = await updateResource(
+                collectionName, req.params.id, { [field]: value }, {},
+                clientVersions || [current.version || 0], session
+            );
+            if (hasil.status === 'updated') {
+                await recordAudit(req, {
+                    resource: collectionName,
+                    resource_id: hasil.doc._id,
+                    action: 'update',
+                    before: hasil.before,
+                    after: hasil.doc
+                }, session);
+            }
+            return hasil;
+        });
+        
+        if (hasil.status === 'precondition_failed' && !clientVersions) continue;
+        if (hasil.status === 'updated') {
+            await config.onChange('updated', hasil.doc, hasil.before);
+        }
+        return { ...hasil, current };
+    }
+    return { status: 'conflict' };
+}
+
+// Balas status non-sukses dari updateLampiran
+function sendLampiranError(res, collectionName, hasil) {
+    const label = RESOURCE_CONFIG[collectionName].label;
+    if (hasil.status === 'not_found') {
+        return res.status(404).json({ success: false, message: `${label} tidak ditemukan` });
+    }
+    if (hasil.status === 'precondition_failed') {
+        return sendPreconditionFailed(res, label, hasil.doc);
+    }
+    if (hasil.status === 'invalid') {
+        return res.status(hasil.statusCode || 400).json({ success: false, message: hasil.error });
+    }
+    return res.status(409).json({
+        success: false,
+        message: `${label} sedang diubah bersamaan, silakan coba lagi`
+    });
+}
+
+// Handler POST upload lampiran. Produk: gambar ditambahkan (yang pertama jadi utama).
+// Post: cover lama diganti dan file lamanya dihapus.
+function handleUploadLampiran(collectionName) {
+    const config = RESOURCE_CONFIG[collectionName];
+    const lampiran = LAMPIRAN_CONFIG[collectionName];
+    return async (req, res, next) => {
+        let uploaded = [];
+        try {
+            const { id } = req.params;
+            if (!ObjectId.isValid(id)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `ID ${config.label.toLowerCase()} tidak valid`
+                });
+            }
+            
+            const exists = await db.collection(collectionName).countDocuments({ _id: new ObjectId(id), ...NOT_DELETED }, { limit: 1 });
+            if (!exists) {
+                return res.status(404).json({ success: false, message: `${config.label} tidak ditemukan` });
+            }
+            
+            // Upload dulu ke GridFS, baru metadata dicatat di dokumen induk
+            for (const file of req.files) {
+                uploaded.push(await uploadLampiran(collectionName, new ObjectId(id), file, req));
+            }
+            
+            const hasil = await updateLampiran(collectionName, req, (current) => {
+                if (!lampiran.multiple) return uploaded[0];
+                
+                const daftar = current[lampiran.field] || [];
+                if (daftar.length + uploaded.length > lampiran.maxFiles) {
+                    return { error: `Maksimal ${lampiran.maxFiles} gambar per ${config.label.toLowerCase()}`, statusCode: 409 };
+                }
+                const adaUtama = daftar.some(gambar => gambar.utama);
+                return daftar.concat(uploaded.map((gambar, index) => ({ ...gambar, utama: !adaUtama && index === 0 })));
+            });
+            if (hasil.status !== 'updated') {
+                await hapusLampiran(uploaded.map(file => file._id));
+                return sendLampiranError(res, collectionName, hasil);
+            }
+            
+            // Cover lama tidak dipakai lagi
+            const lama = hasil.before[lampiran.field];
+            if (!lampiran.multiple && lama) {
+                await hapusLampiran([lama._id]);
+            }
+            
+            res.set('ETag', etagFor(hasil.doc));
+            res.status(201).json({
+                success: true,
+                message: `${uploaded.length} file berhasil diupload`,
+                data: hasil.doc[lampiran.field]
+            });
+        } catch (err) {
+            await hapusLampiran(uploaded.map(file => file._id));
+            next(withPublicMessage(err, 'Gagal mengupload file'));
         }
+    };
+}
 
-        // Buat indexes untuk collection 'produk' untuk performa yang lebih baik
+// Handler DELETE lampiran. Jika gambar utama produk dihapus, gambar tertua berikutnya jadi utama.
+function handleDeleteLampiran(collectionName) {
+    const config = RESOURCE_CONFIG[collectionName];
+    const lampiran = LAMPIRAN_CONFIG[collectionName];
+    return async (req, res, next) => {
         try {
-            // Index untuk kode_produk (unique constraint)
-            await db.collection('produk').createIndex(
-                { "kode_produk": 1 }, 
-                { unique: true, name: "idx_kode_produk_unique" }
-            );
-            console.log("Index unique untuk kode_produk dibuat.");
-
-            // Index untuk search text di nama_produk dan deskripsi
-            await db.collection('produk').createIndex(
-                { "nama_produk": "text", "deskripsi": "text" },
-                { name: "idx_produk_text_search" }
-            );
-            console.log("Index text search untuk produk dibuat.");
-
-            // Index untuk kategori (sering digunakan untuk filter)
-            await db.collection('produk').createIndex(
-                { "kategori": 1 },
-                { name: "idx_kategori" }
-            );
-            console.log("Index untuk kategori dibuat.");
-
-            // Index untuk harga (untuk range queries)
-            await db.collection('produk').createIndex(
-                { "harga": 1 },
-                { name: "idx_harga" }
-            );
-            console.log("Index untuk harga dibuat.");
-
-        } catch (indexError) {
-            // Ignore error jika index sudah ada (error code 85 = IndexOptionsConflict)
-            if (indexError.code !== 85) {
-                console.error('Error membuat indexes:', indexError.message);
+            const { id, fileId } = req.params;
+            if (!ObjectId.isValid(id) || (fileId !== undefined && !ObjectId.isValid(fileId))) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'ID tidak valid'
+                });
+            }
+            
+            let dihapus;
+            const hasil = await updateLampiran(collectionName, req, (current) => {
+                if (!lampiran.multiple) {
+                    dihapus = current[lampiran.field];
+                    return dihapus ? null : { error: 'Cover tidak ditemukan', statusCode: 404 };
+                }
+                
+                const daftar = current[lampiran.field] || [];
+                dihapus = daftar.find(gambar => String(gambar._id) === fileId);
+                if (!dihapus) return { error: 'Gambar tidak ditemukan', statusCode: 404 };
+                
+                const sisa = daftar.filter(gambar => gambar !== dihapus);
+                if (dihapus.utama && sisa.length > 0) sisa[0] = { ...sisa[0], utama: true };
+                return sisa;
+            });
+            if (hasil.status !== 'updated') {
+                return sendLampiranError(res, collectionName, hasil);
             }
+            await hapusLampiran([dihapus._id]);
+            
+            res.set('ETag', etagFor(hasil.doc));
+            res.status(200).json({
+                success: true,
+                message: 'File berhasil dihapus',
+                deleted_data: dihapus,
+                data: hasil.doc[lampiran.field] || null
+            });
+        } catch (err) {
+            next(withPublicMessage(err, 'Gagal menghapus file'));
         }
+    };
+}
 
-        app.listen(port, () => {
-            console.log(`Server API berjalan di http://localhost:${port}`);
-        });
-    } catch (err) {
-        console.error('Koneksi ke MongoDB gagal:', err.message || err);
-        // Exponential backoff, cap at 30s
-        const delay = Math.min(30000, 1000 * Math.pow(2, retries));
-        console.log(`Mencoba lagi dalam ${Math.round(delay/1000)} detik... (attempt ${retries+1})`);
-        setTimeout(() => connectWithRetry(retries + 1), delay);
+// Parse header Range (satu rentang saja; multi-range dilayani sebagai response penuh).
+// Return null (tanpa range), { start, end } atau { unsatisfiable: true }
+function parseRange(header, size) {
+    const match = /^bytes=(\d*)-(\d*)$/.exec(String(header || '').trim());
+    if (!match || (match[1] === '' && match[2] === '')) return null;
+    
+    let start;
+    let end;
+    if (match[1] === '') {
+        // bytes=-500 -> 500 byte terakhir
+        start = Math.max(size - parseInt(match[2]), 0);
+        end = size - 1;
+    } else {
+        start = parseInt(match[1]);
+        end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2]), size - 1);
     }
+    if (start >= size || start > end) return { unsatisfiable: true };
+    return { start, end };
 }
 
-// Start initial connect attempts
-connectWithRetry();
+// Header Content-Disposition (RFC 6266): filename ASCII sebagai fallback untuk client lama,
+// nama asli (UTF-8) di filename*. Karakter di luar ASCII, kutip & backslash diganti '_'.
+function contentDisposition(type, filename) {
+    const fallback = String(filename).replace(/[^\x20-\x7e]|["\\]/g, '_');
+    const encoded = encodeURIComponent(filename).replace(/['()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+    return `${type}; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+}
 
-// Graceful shutdown
-process.on('SIGINT', async () => {
-    console.log('SIGINT diterima, menutup koneksi...');
-    try {
-        if (client) await client.close();
-    } finally {
-        process.exit(0);
-    }
-});
-process.on('SIGTERM', async () => {
-    console.log('SIGTERM diterima, menutup koneksi...');
-    try {
-        if (client) await client.close();
-    } finally {
-        process.exit(0);
+// Stream file GridFS ke response: Range (206/416), ETag, Last-Modified & Cache-Control.
+// File per ID tidak pernah berubah, jadi boleh di-cache lama oleh browser.
+async function streamLampiran(req, res, meta) {
+    const etag = `"${meta._id}"`;
+    res.set({
+        'Content-Type': meta.content_type,
+        'Accept-Ranges': 'bytes',
+        'ETag': etag,
+        'Last-Modified': new Date(meta.uploaded_at).toUTCString(),
+        'Cache-Control': `private, max-age=${LAMPIRAN_CACHE_MAX_AGE}, immutable`,
+        'Content-Disposition': contentDisposition('inline', meta.filename)
+    });
+    
+    const ifNoneMatch = req.get('If-None-Match');
+    if (ifNoneMatch && ifNoneMatch.split(',').some(tag => tag.trim().replace(/^W\//, '') === etag || tag.trim() === '*')) {
+        return res.status(304).end();
     }
-});
-
-// ---- API Endpoints ----
-
-// GET /posts (Membaca semua postingan dengan search dan pagination)
-app.get('/posts', async (req, res) => {
-    try {
-        const { search, page = 1, limit = 10 } = req.query;
-        const pageNum = parseInt(page);
-        const limitNum = parseInt(limit);
-        const skip = (pageNum - 1) * limitNum;
-        
-        // Build filter untuk search
-        let filter = {};
-        if (search) {
-            filter = {
-                $or: [
-                    { title: { $regex: search, $options: 'i' } }, // Case insensitive search di title
-                    { content: { $regex: search, $options: 'i' } }, // Case insensitive search di content
-                    { author: { $regex: search, $options: 'i' } } // Case insensitive search di author
-                ]
-            };
-        }
-        
-        // Ambil data dengan pagination dan search
-        const posts = await db.collection('posts')
-            .find(filter)
-            .sort({ _id: -1 }) // Urutkan terbaru dulu
-            .skip(skip)
-            .limit(limitNum)
-            .toArray();
-            
-        // Hitung total data untuk pagination info
-        const total = await db.collection('posts').countDocuments(filter);
-        
-        res.status(200).json({
-            success: true,
-            data: posts,
-            pagination: {
-                current_page: pageNum,
-                total_pages: Math.ceil(total / limitNum),
-                total_data: total,
-                per_page: limitNum,
-                has_next: pageNum < Math.ceil(total / limitNum),
-                has_prev: pageNum > 1
-            },
-            search_query: search || null
-        });
-    } catch (err) {
-        console.error('Error GET /posts:', err);
-        res.status(500).json({ 
+    
+    // If-Range: range hanya dipakai jika client masih punya versi yang sama
+    const ifRange = req.get('If-Range');
+    const range = (!ifRange || ifRange === etag) ? parseRange(req.get('Range'), meta.size) : null;
+    if (range && range.unsatisfiable) {
+        res.set('Content-Range', `bytes */${meta.size}`);
+        return res.status(416).json({
             success: false,
-            message: 'Gagal mengambil data posts',
-            error: err.message 
+            message: 'Range tidak valid untuk ukuran file ini'
         });
     }
-});
+    
+    const start = range ? range.start : 0;
+    const end = range ? range.end : meta.size - 1;
+    if (range) {
+        res.status(206).set('Content-Range', `bytes ${start}-${end}/${meta.size}`);
+    }
+    res.set('Content-Length', String(meta.size === 0 ? 0 : end - start + 1));
+    if (req.method === 'HEAD' || meta.size === 0) return res.end();
+    
+    // Opsi end pada openDownloadStream bersifat eksklusif
+    const download = lampiranBucket.openDownloadStream(meta._id, { start: start, end: end + 1 });
+    download.on('error', (err) => {
+        logger.error(`Gagal stream file lampiran ${meta._id}:`, err.message);
+        if (!res.headersSent) {
+            res.status(404).json({ success: false, message: 'File tidak ditemukan' });
+        } else {
+            res.destroy(err);
+        }
+    });
+    download.pipe(res);
+}
 
-// GET /posts/:id (Membaca post berdasarkan ID)
-app.get('/posts/:id', async (req, res) => {
+// Handler GET file lampiran. Produk: /gambar/:fileId, post: /cover
+function handleDownloadLampiran(collectionName) {
+    const config = RESOURCE_CONFIG[collectionName];
+    const lampiran = LAMPIRAN_CONFIG[collectionName];
+    return async (req, res, next) => {
+        try {
+            const { id, fileId } = req.params;
+            if (!ObjectId.isValid(id) || (fileId !== undefined && !ObjectId.isValid(fileId))) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'ID tidak valid'
+                });
+            }
+            
+            const doc = await db.collection(collectionName).findOne(
+                { _id: new ObjectId(id), ...NOT_DELETED },
+                { projection: { [lampiran.field]: 1, status: 1 } }
+            );
+            // Cover draft/archived mengikuti aturan baca post
+            if (!doc || (collectionName === 'posts' && !canViewPost(req, doc))) {
+                return res.status(404).json({ success: false, message: `${config.label} tidak ditemukan` });
+            }
+            
+            const meta = lampiran.multiple
+                ? (doc[lampiran.field] || []).find(gambar => String(gambar._id) === fileId)
+                : doc[lampiran.field];
+            if (!meta) {
+                return res.status(404).json({ success: false, message: 'File tidak ditemukan' });
+            }
+            
+            await streamLampiran(req, res, meta);
+        } catch (err) {
+            next(withPublicMessage(err, 'Gagal mengambil file'));
+        }
+    };
+}
+
+const uploadBody = express.raw({ type: 'multipart/form-data', limit: UPLOAD_MAX_BYTES * UPLOAD_MAX_FILES_PER_REQUEST + 64 * 1024 });
+
+// POST /api/produk/:id/gambar - Upload gambar produk (multipart, field 'gambar', boleh lebih dari satu)
+app.post('/api/produk/:id/gambar', authenticate, requireRole('admin'), uploadBody, validateUpload('produk'), handleUploadLampiran('produk'));
+
+// GET /api/produk/:id/gambar - Daftar metadata gambar produk
+app.get('/api/produk/:id/gambar', authenticate, requireRole('viewer'), async (req, res, next) => {
     try {
         const { id } = req.params;
-        
-        // Validasi ObjectId
         if (!ObjectId.isValid(id)) {
             return res.status(400).json({
                 success: false,
-                message: 'ID post tidak valid'
+                message: 'ID produk tidak valid'
             });
         }
         
-        const post = await db.collection('posts').findOne({ _id: new ObjectId(id) });
-        
-        if (!post) {
+        const produk = await db.collection('produk').findOne({ _id: new ObjectId(id), ...NOT_DELETED }, { projection: { gambar: 1 } });
+        if (!produk) {
             return res.status(404).json({
                 success: false,
-                message: 'Post tidak ditemukan'
+                message: 'Produk tidak ditemukan'
             });
         }
         
         res.status(200).json({
             success: true,
-            data: post
+            data: produk.gambar || []
         });
     } catch (err) {
-        console.error('Error GET /posts/:id:', err);
-        res.status(500).json({ 
-            success: false,
-            message: 'Gagal mengambil data post',
-            error: err.message 
-        });
+        next(withPublicMessage(err, 'Gagal mengambil daftar gambar'));
     }
 });
 
-// GET /posts/search/advanced (Pencarian lanjutan dengan filter)
-app.get('/posts/search/advanced', async (req, res) => {
+// GET /api/produk/:id/gambar/:fileId - Isi file gambar (mendukung Range & cache)
+app.get('/api/produk/:id/gambar/:fileId', authenticate, requireRole('viewer'), handleDownloadLampiran('produk'));
+
+// PUT /api/produk/:id/gambar/:fileId/utama - Jadikan gambar utama
+app.put('/api/produk/:id/gambar/:fileId/utama', authenticate, requireRole('admin'), async (req, res, next) => {
     try {
-        const { title, author, content, date_from, date_to } = req.query;
-        
-        if (!title && !author && !content && !date_from && !date_to) {
+        const { id, fileId } = req.params;
+        if (!ObjectId.isValid(id) || !ObjectId.isValid(fileId)) {
             return res.status(400).json({
                 success: false,
-                message: 'Minimal satu parameter pencarian harus diisi'
+                message: 'ID tidak valid'
             });
         }
         
-        // Build advanced filter
-        let filter = {};
-        
-        if (title) {
-            filter.title = { $regex: title, $options: 'i' };
-        }
-        
-        if (author) {
-            filter.author = { $regex: author, $options: 'i' };
-        }
-        
-        if (content) {
-            filter.content = { $regex: content, $options: 'i' };
+        const hasil = await updateLampiran('produk', req, (current) => {
+            const daftar = current.gambar || [];
+            if (!daftar.some(gambar => String(gambar._id) === fileId)) {
+                return { error: 'Gambar tidak ditemukan', statusCode: 404 };
+            }
+            return daftar.map(gambar => ({ ...gambar, utama: String(gambar._id) === fileId }));
+        });
+        if (hasil.status === 'unchanged') {
+            return res.status(200).json({
+                success: true,
+                message: 'Gambar sudah menjadi gambar utama',
+                data: hasil.doc.gambar
+            });
         }
-        
-        // Filter berdasarkan tanggal jika ada field created_at
-        if (date_from || date_to) {
-            filter.created_at = {};
-            if (date_from) filter.created_at.$gte = new Date(date_from);
-            if (date_to) filter.created_at.$lte = new Date(date_to);
+        if (hasil.status !== 'updated') {
+            return sendLampiranError(res, 'produk', hasil);
         }
         
-        const posts = await db.collection('posts')
-            .find(filter)
-            .sort({ _id: -1 })
-            .limit(50) // Batasi hasil pencarian
-            .toArray();
-        
+        res.set('ETag', etagFor(hasil.doc));
         res.status(200).json({
             success: true,
-            message: `Ditemukan ${posts.length} posts`,
-            data: posts,
-            filter_used: filter
+            message: 'Gambar utama berhasil diubah',
+            data: hasil.doc.gambar
         });
     } catch (err) {
-        console.error('Error GET /posts/search/advanced:', err);
-        res.status(500).json({ 
-            success: false,
-            message: 'Gagal mencari posts',
-            error: err.message 
-        });
+        next(withPublicMessage(err, 'Gagal mengubah gambar utama'));
     }
 });
 
-// POST /posts (Membuat postingan baru)
-app.post('/posts', async (req, res) => {
+// DELETE /api/produk/:id/gambar/:fileId - Hapus gambar produk
+app.delete('/api/produk/:id/gambar/:fileId', authenticate, requireRole('admin'), handleDeleteLampiran('produk'));
+
+// POST /posts/:id/cover - Upload / ganti cover post (multipart, field 'cover')
+app.post('/posts/:id/cover', authenticate, requireRole('editor'), uploadBody, validateUpload('posts'), handleUploadLampiran('posts'));
+
+// GET /posts/:id/cover - Isi file cover post
+app.get('/posts/:id/cover', authenticate, requireRole('viewer'), handleDownloadLampiran('posts'));
+
+// DELETE /posts/:id/cover - Hapus cover post
+app.delete('/posts/:id/cover', authenticate, requireRole('editor'), handleDeleteLampiran('posts'));
+
+// =============================================================================
+// ALERTS & WEBHOOKS - Alert stok rendah dan callback ke sistem lain
+// =============================================================================
+
+// Alert 'stok_rendah' dibuat saat stok produk <= stok_minimum dan otomatis
+// di-resolve saat stok kembali di atas batas (atau produk dihapus).
+// Status alert: open -> acknowledged (opsional) -> resolved. Alert yang masih open /
+// acknowledged punya field aktif: true (index unique parsial: satu alert aktif per produk).
+//
+// Webhook menerima POST JSON { id, event, created_at, data } dengan header:
+//   X-Webhook-Event, X-Webhook-Delivery (ID pengiriman), X-Webhook-Timestamp (detik unix)
+//   X-Webhook-Signature: sha256=<hex HMAC-SHA256(secret, `${timestamp}.${body}`)>
+// Receiver sebaiknya menghitung ulang signature dari body mentah, membandingkannya
+// dengan timingSafeEqual dan menolak timestamp yang terlalu lama (replay).
+// Pengiriman diantrikan di collection webhook_deliveries sehingga retry tetap jalan
+// setelah server restart. Respon non-2xx / timeout di-retry dengan exponential backoff.
+
+const WEBHOOK_TIMEOUT_MS = appConfig.webhook.timeoutMs;
+const WEBHOOK_MAX_ATTEMPTS = appConfig.webhook.maxAttempts;
+const WEBHOOK_BACKOFF_BASE_MS = appConfig.webhook.backoffBaseMs; // 10s, 20s, 40s, ...
+const WEBHOOK_BACKOFF_MAX_MS = 60 * 60 * 1000; // Jeda retry maksimal 1 jam
+const WEBHOOK_POLL_INTERVAL_MS = appConfig.webhook.pollIntervalMs;
+const WEBHOOK_BATCH_SIZE = 20; // Pengiriman per putaran worker
+const WEBHOOK_LOCK_MS = WEBHOOK_TIMEOUT_MS + 30000; // Klaim pengiriman yang sedang diproses
+
+let webhookWorkerRunning = false;
+
+// Alamat private (RFC 1918), CGNAT, link-local (termasuk metadata cloud 169.254.169.254),
+// unique local IPv6, 0.0.0.0/8 dan ::. BlockList ikut mencocokkan bentuk IPv4-mapped
+// (::ffff:a9fe:a9fe, hasil normalisasi URL dari [::ffff:169.254.169.254]).
+const PRIVATE_SUBNETS = new net.BlockList();
+PRIVATE_SUBNETS.addSubnet('0.0.0.0', 8, 'ipv4');
+PRIVATE_SUBNETS.addSubnet('10.0.0.0', 8, 'ipv4');
+PRIVATE_SUBNETS.addSubnet('100.64.0.0', 10, 'ipv4');
+PRIVATE_SUBNETS.addSubnet('169.254.0.0', 16, 'ipv4');
+PRIVATE_SUBNETS.addSubnet('172.16.0.0', 12, 'ipv4');
+PRIVATE_SUBNETS.addSubnet('192.168.0.0', 16, 'ipv4');
+PRIVATE_SUBNETS.addAddress('::', 'ipv6');
+PRIVATE_SUBNETS.addSubnet('fe80::', 10, 'ipv6');
+PRIVATE_SUBNETS.addSubnet('fc00::', 7, 'ipv6');
+
+// Loopback hanya diizinkan di luar production (receiver lokal saat development)
+const LOOPBACK_SUBNETS = new net.BlockList();
+LOOPBACK_SUBNETS.addSubnet('127.0.0.0', 8, 'ipv4');
+LOOPBACK_SUBNETS.addAddress('::1', 'ipv6');
+
+// NAT64 (RFC 6052): 64:ff9b::a9fe:a9fe -> 169.254.169.254. Return null jika bukan NAT64.
+function nat64ToIPv4(address) {
+    const canonical = new URL(`http://[${address}]/`).hostname.slice(1, -1);
+    const match = /^64:ff9b::(?:([0-9a-f]{1,4}):)?([0-9a-f]{1,4})$/.exec(canonical);
+    if (!match) return null;
+    const value = parseInt(match[1] || '0', 16) * 0x10000 + parseInt(match[2], 16);
+    return [24, 16, 8, 0].map(shift => (value >>> shift) & 0xff).join('.');
+}
+
+function isPrivateAddress(address) {
+    let ip = address.toLowerCase();
+    let family = net.isIPv6(ip) ? 'ipv6' : 'ipv4';
+    const embedded = family === 'ipv6' && nat64ToIPv4(ip);
+    if (embedded) {
+        ip = embedded;
+        family = 'ipv4';
+    }
+    
+    return PRIVATE_SUBNETS.check(ip, family)
+        || (appConfig.env === 'production' && LOOPBACK_SUBNETS.check(ip, family));
+}
+
+const PRIVATE_ADDRESS_MESSAGE = 'URL webhook mengarah ke alamat private / link-local';
+
+// Tolak URL webhook yang host-nya resolve ke alamat private / link-local, kecuali
+// WEBHOOK_ALLOW_PRIVATE=true. Dicek saat daftar / update dan lagi sebelum setiap
+// pengiriman. Return pesan error atau null.
+async function webhookUrlError(url) {
+    if (appConfig.webhook.allowPrivate) return null;
+    
+    const host = new URL(url).hostname.replace(/^\[|\]$/g, '');
+    let addresses;
     try {
-        const dataBaru = req.body;
-        if (!dataBaru || Object.keys(dataBaru).length === 0) {
-            return res.status(400).json({ 
-                success: false,
-                message: 'Body request tidak boleh kosong' 
-            });
-        }
-        
-        // Tambahkan timestamp
-        const postBaru = {
-            ...dataBaru,
-            created_at: new Date(),
-            updated_at: new Date()
-        };
+        addresses = net.isIP(host) ? [host] : (await dns.promises.lookup(host, { all: true })).map(entry => entry.address);
+    } catch (err) {
+        return `Host ${host} tidak bisa di-resolve`;
+    }
+    
+    const blocked = addresses.find(isPrivateAddress);
+    return blocked
+        ? `${PRIVATE_ADDRESS_MESSAGE} (${blocked}). Set WEBHOOK_ALLOW_PRIVATE=true untuk jaringan internal yang dipercaya`
+        : null;
+}
+
+// lookup untuk http(s).request saat mengirim webhook: alamat hasil resolve dicek lagi
+// tepat sebelum koneksi dibuka dan koneksi memakai alamat itu juga, sehingga DNS
+// rebinding (resolve berbeda antara pengecekan dan koneksi) tidak bisa dipakai.
+function webhookLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+        if (err) return callback(err);
         
-        const result = await db.collection('posts').insertOne(postBaru);
+        const blocked = !appConfig.webhook.allowPrivate && addresses.find(entry => isPrivateAddress(entry.address));
+        if (blocked) {
+            return callback(new Error(`${PRIVATE_ADDRESS_MESSAGE} (${blocked.address})`));
+        }
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+// POST body ke URL webhook lewat webhookLookup. Redirect tidak diikuti (3xx dianggap gagal),
+// isi respon tidak dipakai. Return status code HTTP.
+function postWebhook(url, headers, body) {
+    return new Promise((resolve, reject) => {
+        const target = new URL(url);
+        const request = (target.protocol === 'https:' ? https : http).request(target, {
+            method: 'POST',
+            headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+            lookup: webhookLookup
+        }, (response) => {
+            clearTimeout(timer);
+            resolve(response.statusCode);
+            response.destroy();
+        });
         
-        res.status(201).json({
-            success: true,
-            message: 'Post berhasil dibuat',
-            data: {
-                _id: result.insertedId,
-                ...postBaru
-            }
+        const timer = setTimeout(() => {
+            const err = new Error(`Timeout setelah ${WEBHOOK_TIMEOUT_MS} ms`);
+            err.name = 'TimeoutError';
+            request.destroy(err);
+        }, WEBHOOK_TIMEOUT_MS);
+        request.on('error', (err) => {
+            clearTimeout(timer);
+            reject(err);
         });
+        request.end(body);
+    });
+}
+
+// Middleware setelah validateBody('webhook')
+async function validateWebhookUrl(req, res, next) {
+    try {
+        const error = await webhookUrlError(req.body.url);
+        if (error) {
+            return next(new ValidationError('Data webhook tidak valid', [{ field: 'url', message: error }]));
+        }
+        next();
     } catch (err) {
-        console.error('Error POST /posts:', err);
-        res.status(500).json({ 
-            success: false,
-            message: 'Gagal membuat post',
-            error: err.message 
-        });
+        next(withPublicMessage(err, 'Gagal memeriksa URL webhook'));
     }
-});
+}
 
-// PUT /posts/:id (Update postingan)
-app.put('/posts/:id', async (req, res) => {
+// Antrikan event untuk semua webhook aktif yang berlangganan event tersebut (atau '*').
+// Tidak pernah melempar error supaya request utama tetap berhasil.
+async function emitEvent(event, data) {
     try {
-        const { id } = req.params;
-        const updateData = req.body;
+        const webhooks = await db.collection('webhooks')
+            .find({ aktif: true, events: { $in: [event, '*'] } }, { projection: { _id: 1 } })
+            .toArray();
+        await queueDeliveries(webhooks, event, data);
+    } catch (err) {
+        logger.error(`Gagal mengantrikan event webhook '${event}':`, err.message);
+    }
+}
+
+// Simpan satu pengiriman per webhook lalu bangunkan worker.
+// Body disimpan sebagai string supaya signature sama persis di setiap retry.
+async function queueDeliveries(webhooks, event, data) {
+    if (webhooks.length === 0) return;
+    
+    const now = new Date();
+    const eventId = crypto.randomUUID();
+    const body = JSON.stringify({ id: eventId, event: event, created_at: now.toISOString(), data: data });
+    
+    await db.collection('webhook_deliveries').insertMany(webhooks.map(webhook => ({
+        webhook_id: webhook._id,
+        event: event,
+        event_id: eventId,
+        body: body,
+        status: 'pending',
+        attempts: 0,
+        next_attempt_at: now,
+        last_status_code: null,
+        last_error: null,
+        created_at: now,
+        updated_at: now
+    })));
+    setImmediate(processWebhookDeliveries);
+}
+
+function signWebhook(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Jeda sebelum percobaan berikutnya (attempts = jumlah percobaan yang sudah gagal), jitter ±20%
+function webhookBackoff(attempts) {
+    const delay = Math.min(WEBHOOK_BACKOFF_BASE_MS * Math.pow(2, attempts - 1), WEBHOOK_BACKOFF_MAX_MS);
+    return Math.round(delay * (0.8 + Math.random() * 0.4));
+}
+
+// Kirim satu pengiriman webhook dan catat hasilnya
+async function deliverWebhook(delivery) {
+    const deliveries = db.collection('webhook_deliveries');
+    const webhook = await db.collection('webhooks').findOne({ _id: delivery.webhook_id });
+    
+    // Webhook dihapus / dinonaktifkan setelah event diantrikan
+    if (!webhook || !webhook.aktif) {
+        await deliveries.updateOne(
+            { _id: delivery._id },
+            { $set: { status: 'cancelled', updated_at: new Date() } }
+        );
+        return;
+    }
+    
+    const timestamp = Math.floor(Date.now() / 1000);
+    let statusCode = null;
+    let error = null;
+    
+    try {
+        // URL dengan IP literal tidak melewati webhookLookup, jadi dicek di sini
+        const urlError = await webhookUrlError(webhook.url);
+        if (urlError) throw new Error(urlError);
         
-        // Validasi ObjectId
-        if (!ObjectId.isValid(id)) {
-            return res.status(400).json({
-                success: false,
-                message: 'ID post tidak valid'
-            });
+        statusCode = await postWebhook(webhook.url, {
+            'Content-Type': 'application/json',
+            'User-Agent': 'MongoPraktek-Webhook/1.0',
+            'X-Webhook-Event': delivery.event,
+            'X-Webhook-Delivery': delivery._id.toString(),
+            'X-Webhook-Timestamp': String(timestamp),
+            'X-Webhook-Signature': `sha256=${signWebhook(webhook.secret, timestamp, delivery.body)}`
+        }, delivery.body);
+        // Redirect dianggap gagal, URL harus didaftarkan dengan benar
+        if (statusCode < 200 || statusCode >= 300) error = `Receiver membalas HTTP ${statusCode}`;
+    } catch (err) {
+        error = err.message;
+    }
+    
+    const now = new Date();
+    const attempts = delivery.attempts + 1;
+    const update = { attempts: attempts, last_status_code: statusCode, last_error: error, updated_at: now };
+    
+    if (!error) {
+        update.status = 'success';
+        update.delivered_at = now;
+    } else if (attempts >= WEBHOOK_MAX_ATTEMPTS) {
+        update.status = 'failed';
+    } else {
+        update.status = 'pending';
+        update.next_attempt_at = new Date(now.getTime() + webhookBackoff(attempts));
+    }
+    
+    await deliveries.updateOne({ _id: delivery._id }, { $set: update });
+    await db.collection('webhooks').updateOne(
+        { _id: webhook._id },
+        error
+            ? { $set: { last_delivery_at: now, last_error: error }, $inc: { failure_count: 1 } }
+            : { $set: { last_delivery_at: now, last_error: null, failure_count: 0 } }
+    );
+}
+
+// Worker: ambil pengiriman yang sudah jatuh tempo satu per satu.
+// Klaim dilakukan dengan memajukan next_attempt_at, jadi jika proses mati di tengah
+// pengiriman, pengiriman itu otomatis dicoba lagi setelah WEBHOOK_LOCK_MS.
+async function processWebhookDeliveries() {
+    if (webhookWorkerRunning || !db) return;
+    webhookWorkerRunning = true;
+    
+    try {
+        for (let i = 0; i < WEBHOOK_BATCH_SIZE; i++) {
+            const now = new Date();
+            const claim = await db.collection('webhook_deliveries').findOneAndUpdate(
+                { status: 'pending', next_attempt_at: { $lte: now } },
+                { $set: { next_attempt_at: new Date(now.getTime() + WEBHOOK_LOCK_MS) } },
+                { sort: { next_attempt_at: 1 }, returnDocument: 'after', includeResultMetadata: true }
+            );
+            if (!claim.value) break;
+            await deliverWebhook(claim.value);
         }
+    } catch (err) {
+        logger.error('Error memproses antrian webhook:', err.message);
+    } finally {
+        webhookWorkerRunning = false;
+    }
+}
+
+// Ringkasan produk yang dikirim di payload event
+function produkPayload(produk) {
+    return {
+        _id: produk._id,
+        kode_produk: produk.kode_produk,
+        nama_produk: produk.nama_produk,
+        kategori: produk.kategori,
+        harga: produk.harga,
+        stok: produk.stok,
+        stok_minimum: produk.stok_minimum || 0
+    };
+}
+
+// Evaluasi alert stok rendah setelah stok / stok_minimum / status hapus produk berubah.
+// Tidak pernah melempar error supaya request utama tetap berhasil.
+async function checkStokAlert(produk) {
+    const alerts = db.collection('alerts');
+    
+    try {
+        const minimum = produk.stok_minimum || 0;
+        const rendah = !produk.deleted_at && produk.stok <= minimum;
+        const now = new Date();
         
-        // Validasi data update
-        if (!updateData || Object.keys(updateData).length === 0) {
-            return res.status(400).json({
-                success: false,
-                message: 'Data untuk update tidak boleh kosong'
-            });
+        if (rendah) {
+            // Alert masih aktif: cukup perbarui stok terakhir
+            const existing = await alerts.updateOne(
+                { produk_id: produk._id, tipe: 'stok_rendah', aktif: true },
+                { $set: { stok_terakhir: produk.stok, stok_minimum: minimum, updated_at: now } }
+            );
+            if (existing.matchedCount > 0) return;
+            
+            const alert = {
+                tipe: 'stok_rendah',
+                status: 'open',
+                aktif: true,
+                produk_id: produk._id,
+                kode_produk: produk.kode_produk,
+                nama_produk: produk.nama_produk,
+                stok: produk.stok, // Stok saat alert dibuat
+                stok_terakhir: produk.stok,
+                stok_minimum: minimum,
+                created_at: now,
+                updated_at: now
+            };
+            try {
+                await alerts.insertOne(alert);
+            } catch (err) {
+                if (err.code === 11000) return; // Request lain sudah membuat alert yang sama
+                throw err;
+            }
+            await emitEvent('stok.rendah', { alert: alert, produk: produkPayload(produk) });
+            return;
         }
         
-        // Cek apakah post exists
-        const existingPost = await db.collection('posts').findOne({ _id: new ObjectId(id) });
-        if (!existingPost) {
-            return res.status(404).json({
-                success: false,
-                message: 'Post tidak ditemukan'
+        const resolved = await alerts.findOneAndUpdate(
+            { produk_id: produk._id, tipe: 'stok_rendah', aktif: true },
+            {
+                $set: {
+                    status: 'resolved',
+                    resolution: produk.deleted_at ? 'produk_dihapus' : 'stok_pulih',
+                    resolved_at: now,
+                    resolved_by: null, // null = otomatis oleh sistem
+                    stok_terakhir: produk.stok,
+                    updated_at: now
+                },
+                $unset: { aktif: '' }
+            },
+            { returnDocument: 'after', includeResultMetadata: true }
+        );
+        if (resolved.value && !produk.deleted_at) {
+            await emitEvent('stok.pulih', { alert: resolved.value, produk: produkPayload(produk) });
+        }
+    } catch (err) {
+        logger.error(`Gagal mengevaluasi alert stok produk ${produk.kode_produk}:`, err.message);
+    }
+}
+
+// Hook RESOURCE_CONFIG.produk.onChange
+async function produkChanged(aksi, produk) {
+    await checkStokAlert(produk);
+    if (aksi === 'created') await emitEvent('produk.created', { produk: produkPayload(produk) });
+    if (aksi === 'deleted') await emitEvent('produk.deleted', { produk: produkPayload(produk) });
+}
+
+// Hook RESOURCE_CONFIG.posts.onChange. Event post.published dikirim saat post dibuat
+// langsung published atau saat berpindah dari draft/archived ke published
+// (manual maupun oleh scheduler publish_at).
+async function postChanged(aksi, post, before) {
+    const baruPublish = (aksi === 'created' && isPublished(post))
+        || (aksi === 'updated' && before && !isPublished(before) && isPublished(post));
+    if (baruPublish) {
+        await emitEvent('post.published', {
+            post: {
+                _id: post._id,
+                title: post.title,
+                slug: post.slug,
+                tags: post.tags || [],
+                author: post.author,
+                created_at: post.created_at,
+                published_at: post.published_at
+            }
+        });
+    }
+}
+
+// Ubah status alert (acknowledge / resolve). Alert yang sudah resolved tidak bisa diubah lagi.
+function handleAlertAction(aksi) {
+    return async (req, res, next) => {
+        try {
+            const { id } = req.params;
+            
+            if (!ObjectId.isValid(id)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'ID alert tidak valid'
+                });
+            }
+            
+            const now = new Date();
+            const update = aksi === 'acknowledge'
+                ? {
+                    $set: {
+                        status: 'acknowledged',
+                        acknowledged_at: now,
+                        acknowledged_by: req.user.username,
+                        catatan: req.body.catatan,
+                        updated_at: now
+                    }
+                }
+                : {
+                    $set: {
+                        status: 'resolved',
+                        resolution: 'manual',
+                        resolved_at: now,
+                        resolved_by: req.user.username,
+                        catatan: req.body.catatan,
+                        updated_at: now
+                    },
+                    $unset: { aktif: '' }
+                };
+            const allowedStatus = aksi === 'acknowledge' ? ['open'] : ['open', 'acknowledged'];
+            
+            const result = await db.collection('alerts').findOneAndUpdate(
+                { _id: new ObjectId(id), status: { $in: allowedStatus } },
+                update,
+                { returnDocument: 'after', includeResultMetadata: true }
+            );
+            
+            if (!result.value) {
+                const current = await db.collection('alerts').findOne({ _id: new ObjectId(id) });
+                if (!current) {
+                    return res.status(404).json({
+                        success: false,
+                        message: 'Alert tidak ditemukan'
+                    });
+                }
+                return res.status(409).json({
+                    success: false,
+                    message: `Alert berstatus '${current.status}' tidak bisa di-${aksi}`,
+                    data: current
+                });
+            }
+            
+            res.status(200).json({
+                success: true,
+                message: aksi === 'acknowledge' ? 'Alert berhasil di-acknowledge' : 'Alert berhasil di-resolve',
+                data: result.value
             });
+        } catch (err) {
+            next(withPublicMessage(err, 'Gagal mengubah status alert'));
         }
+    };
+}
+
+// Data webhook untuk response (secret tidak pernah ditampilkan lagi setelah dibuat)
+function publicWebhook(webhook) {
+    const { secret, ...data } = webhook;
+    return data;
+}
+
+// GET /api/alerts - Daftar alert, terbaru dulu
+// Query: status (open|acknowledged|resolved), tipe, produk_id, page, limit
+app.get('/api/alerts', authenticate, requireRole('viewer'), validateQuery('alertListQuery'), async (req, res, next) => {
+    try {
+        const { status, tipe, produk_id, page: pageNum, limit: limitNum } = req.validQuery;
         
-        // Siapkan data update dengan timestamp
-        const dataToUpdate = {
-            ...updateData,
-            updated_at: new Date()
-        };
-        
-        // Update post
-        const result = await db.collection('posts').updateOne(
-            { _id: new ObjectId(id) },
-            { $set: dataToUpdate }
-        );
-        
-        if (result.modifiedCount === 0) {
-            return res.status(400).json({
-                success: false,
-                message: 'Tidak ada perubahan data'
-            });
-        }
+        const filter = {};
+        if (status) filter.status = status;
+        if (tipe) filter.tipe = tipe;
+        if (produk_id) filter.produk_id = produk_id;
         
-        // Ambil data post yang sudah diupdate
-        const updatedPost = await db.collection('posts').findOne({ _id: new ObjectId(id) });
+        const data = await db.collection('alerts')
+            .find(filter)
+            .sort({ created_at: -1 })
+            .skip((pageNum - 1) * limitNum)
+            .limit(limitNum)
+            .toArray();
+        const total = await db.collection('alerts').countDocuments(filter);
         
         res.status(200).json({
             success: true,
-            message: 'Post berhasil diupdate',
-            data: updatedPost
+            message: `Ditemukan ${data.length} alert`,
+            data: data,
+            pagination: buildPagination(pageNum, limitNum, total)
         });
     } catch (err) {
-        console.error('Error PUT /posts/:id:', err);
-        res.status(500).json({ 
-            success: false,
-            message: 'Gagal mengupdate post',
-            error: err.message 
-        });
+        next(withPublicMessage(err, 'Gagal mengambil data alert'));
     }
 });
 
-// DELETE /posts/:id (Hapus postingan)
-app.delete('/posts/:id', async (req, res) => {
+// POST /api/alerts/:id/acknowledge - Tandai alert sudah dilihat / sedang ditangani
+app.post('/api/alerts/:id/acknowledge', authenticate, requireRole('admin'), validateBody('alertAction', 'Data alert tidak valid'), handleAlertAction('acknowledge'));
+
+// POST /api/alerts/:id/resolve - Tutup alert secara manual. Jika stok masih rendah,
+// alert baru akan dibuat lagi pada perubahan stok berikutnya.
+app.post('/api/alerts/:id/resolve', authenticate, requireRole('admin'), validateBody('alertAction', 'Data alert tidak valid'), handleAlertAction('resolve'));
+
+// POST /api/webhooks - Daftarkan webhook. Secret untuk verifikasi signature hanya
+// ditampilkan sekali di response ini. URL http://localhost diizinkan untuk pengujian
+// dengan receiver lokal, alamat private / link-local ditolak (lihat webhookUrlError()).
+app.post('/api/webhooks', authenticate, requireRole('admin'), validateBody('webhook', 'Data webhook tidak valid'), validateWebhookUrl, async (req, res, next) => {
     try {
-        const { id } = req.params;
-        
-        // Validasi ObjectId
-        if (!ObjectId.isValid(id)) {
-            return res.status(400).json({
-                success: false,
-                message: 'ID post tidak valid'
-            });
-        }
-        
-        // Cek apakah post exists sebelum dihapus
-        const existingPost = await db.collection('posts').findOne({ _id: new ObjectId(id) });
-        if (!existingPost) {
-            return res.status(404).json({
-                success: false,
-                message: 'Post tidak ditemukan'
-            });
-        }
+        const now = new Date();
+        const webhook = {
+            ...req.body,
+            events: [...new Set(req.body.events)],
+            secret: crypto.randomBytes(32).toString('hex'),
+            created_by: req.user.username,
+            created_at: now,
+            updated_at: now,
+            last_delivery_at: null,
+            last_error: null,
+            failure_count: 0
+        };
         
-        // Hapus post
-        const result = await db.collection('posts').deleteOne({ _id: new ObjectId(id) });
+        const result = await db.collection('webhooks').insertOne(webhook);
         
-        res.status(200).json({
+        res.status(201).json({
             success: true,
-            message: 'Post berhasil dihapus',
-            deleted_data: existingPost
+            message: 'Webhook berhasil didaftarkan. Simpan secret ini, tidak akan ditampilkan lagi.',
+            data: { ...webhook, _id: result.insertedId }
         });
     } catch (err) {
-        console.error('Error DELETE /posts/:id:', err);
-        res.status(500).json({ 
-            success: false,
-            message: 'Gagal menghapus post',
-            error: err.message 
-        });
+        next(withPublicMessage(err, 'Gagal mendaftarkan webhook'));
     }
 });
 
-// =============================================================================
-// PRODUK CRUD ENDPOINTS - Praktik 2: Structured Business Application
-// =============================================================================
-
-// Fungsi validasi untuk data produk - digunakan untuk memastikan data yang masuk valid
-function validateProduk(data) {
-    const errors = []; // Array untuk menyimpan pesan error
-    
-    // Validasi kode produk - harus ada dan tidak kosong
-    if (!data.kode_produk || data.kode_produk.trim() === '') {
-        errors.push('Kode produk wajib diisi');
-    }
-    
-    // Validasi nama produk - harus ada dan minimal 3 karakter
-    if (!data.nama_produk || data.nama_produk.trim().length < 3) {
-        errors.push('Nama produk wajib diisi minimal 3 karakter');
-    }
-    
-    // Validasi kategori - harus ada dan tidak kosong
-    if (!data.kategori || data.kategori.trim() === '') {
-        errors.push('Kategori wajib diisi');
-    }
-    
-    // Validasi harga - harus ada, berupa angka, dan lebih besar dari 0
-    if (!data.harga || isNaN(data.harga) || parseFloat(data.harga) <= 0) {
-        errors.push('Harga harus berupa angka dan lebih besar dari 0');
-    }
-    
-    // Validasi stok - harus ada, berupa angka, dan tidak boleh negatif
-    if (data.stok === undefined || isNaN(data.stok) || parseInt(data.stok) < 0) {
-        errors.push('Stok harus berupa angka dan tidak boleh negatif');
-    }
-    
-    return errors; // Return array errors (kosong jika tidak ada error)
-}
-
-// GET /api/produk - Ambil semua produk dengan pagination dan search
-app.get('/api/produk', async (req, res) => {
+// GET /api/webhooks - Daftar webhook
+app.get('/api/webhooks', authenticate, requireRole('admin'), async (req, res, next) => {
     try {
-        // Extract query parameters dengan default values
-        const { search, kategori, min_harga, max_harga, page = 1, limit = 10 } = req.query;
-        const pageNum = parseInt(page); // Convert string ke number
-        const limitNum = parseInt(limit); // Convert string ke number
-        const skip = (pageNum - 1) * limitNum; // Hitung berapa data yang di-skip untuk pagination
-        
-        // Build filter object untuk query MongoDB
-        let filter = {};
-        
-        // Jika ada parameter search, cari di nama_produk dan deskripsi (case insensitive)
-        if (search) {
-            filter.$or = [
-                { nama_produk: { $regex: search, $options: 'i' } },
-                { deskripsi: { $regex: search, $options: 'i' } }
-            ];
-        }
-        
-        // Jika ada filter kategori, tambahkan ke filter (case insensitive)
-        if (kategori) {
-            filter.kategori = { $regex: kategori, $options: 'i' };
-        }
-        
-        // Jika ada filter harga, tambahkan range filter
-        if (min_harga || max_harga) {
-            filter.harga = {}; // Inisialisasi object untuk harga filter
-            if (min_harga) filter.harga.$gte = parseFloat(min_harga); // Greater than or equal
-            if (max_harga) filter.harga.$lte = parseFloat(max_harga); // Less than or equal
-        }
-        
-        // Query database dengan filter, sorting, dan pagination
-        const produk = await db.collection('produk')
-            .find(filter) // Apply filter yang sudah dibuild
-            .sort({ tanggal_dibuat: -1 }) // Sort berdasarkan tanggal terbaru
-            .skip(skip) // Skip data untuk pagination
-            .limit(limitNum) // Limit jumlah data yang diambil
-            .toArray(); // Convert MongoDB cursor ke JavaScript array
-            
-        // Hitung total data untuk pagination info
-        const total = await db.collection('produk').countDocuments(filter);
+        const webhooks = await db.collection('webhooks')
+            .find({}, { projection: { secret: 0 } })
+            .sort({ created_at: -1 })
+            .toArray();
         
-        // Response dengan format yang konsisten
         res.status(200).json({
             success: true,
-            message: `Ditemukan ${produk.length} produk`,
-            data: produk,
-            pagination: {
-                current_page: pageNum,
-                total_pages: Math.ceil(total / limitNum), // Hitung total halaman
-                total_data: total,
-                per_page: limitNum,
-                has_next: pageNum < Math.ceil(total / limitNum), // Ada halaman selanjutnya?
-                has_prev: pageNum > 1 // Ada halaman sebelumnya?
-            },
-            filters_applied: { // Info filter yang digunakan untuk debugging
-                search: search || null,
-                kategori: kategori || null,
-                min_harga: min_harga || null,
-                max_harga: max_harga || null
-            }
+            message: `Ditemukan ${webhooks.length} webhook`,
+            data: webhooks
         });
     } catch (err) {
-        console.error('Error GET /api/produk:', err);
-        res.status(500).json({ 
-            success: false,
-            message: 'Gagal mengambil data produk',
-            error: err.message 
-        });
+        next(withPublicMessage(err, 'Gagal mengambil data webhook'));
     }
 });
 
-// GET /api/produk/:id - Ambil produk berdasarkan ID
-app.get('/api/produk/:id', async (req, res) => {
+// PUT /api/webhooks/:id - Update URL, events, deskripsi atau status aktif webhook
+app.put('/api/webhooks/:id', authenticate, requireRole('admin'), validateBody('webhook', 'Data webhook tidak valid'), validateWebhookUrl, async (req, res, next) => {
     try {
-        const { id } = req.params; // Extract ID dari URL parameter
+        const { id } = req.params;
         
-        // Validasi apakah ID yang diberikan adalah ObjectId yang valid
         if (!ObjectId.isValid(id)) {
             return res.status(400).json({
                 success: false,
-                message: 'ID produk tidak valid. Gunakan format ObjectId yang benar.'
+                message: 'ID webhook tidak valid'
             });
         }
         
-        // Cari produk berdasarkan ID
-        const produk = await db.collection('produk').findOne({ _id: new ObjectId(id) });
+        const result = await db.collection('webhooks').findOneAndUpdate(
+            { _id: new ObjectId(id) },
+            { $set: { ...req.body, events: [...new Set(req.body.events)], updated_at: new Date() } },
+            { returnDocument: 'after', includeResultMetadata: true }
+        );
         
-        // Jika produk tidak ditemukan, return 404
-        if (!produk) {
+        if (!result.value) {
             return res.status(404).json({
                 success: false,
-                message: 'Produk dengan ID tersebut tidak ditemukan'
+                message: 'Webhook tidak ditemukan'
             });
         }
         
-        // Return produk yang ditemukan
         res.status(200).json({
             success: true,
-            message: 'Produk berhasil ditemukan',
-            data: produk
+            message: 'Webhook berhasil diupdate',
+            data: publicWebhook(result.value)
         });
     } catch (err) {
-        console.error('Error GET /api/produk/:id:', err);
-        res.status(500).json({ 
-            success: false,
-            message: 'Gagal mengambil data produk',
-            error: err.message 
-        });
+        next(withPublicMessage(err, 'Gagal mengupdate webhook'));
     }
 });
 
-// POST /api/produk - Tambah produk baru
-app.post('/api/produk', async (req, res) => {
+// DELETE /api/webhooks/:id - Hapus webhook. Pengiriman yang masih antri dibatalkan
+// oleh worker; riwayat pengiriman tetap disimpan.
+app.delete('/api/webhooks/:id', authenticate, requireRole('admin'), async (req, res, next) => {
     try {
-        const dataProduk = req.body; // Ambil data dari request body
+        const { id } = req.params;
         
-        // Validasi data menggunakan fungsi validateProduk
-        const errors = validateProduk(dataProduk);
-        if (errors.length > 0) {
+        if (!ObjectId.isValid(id)) {
             return res.status(400).json({
                 success: false,
-                message: 'Data produk tidak valid',
-                errors: errors // Return semua error yang ditemukan
+                message: 'ID webhook tidak valid'
             });
         }
         
-        // Cek apakah kode produk sudah digunakan (unique constraint)
-        const existingProduk = await db.collection('produk').findOne({ 
-            kode_produk: dataProduk.kode_produk.trim() 
-        });
+        const result = await db.collection('webhooks').findOneAndDelete(
+            { _id: new ObjectId(id) },
+            { includeResultMetadata: true }
+        );
         
-        if (existingProduk) {
-            return res.status(409).json({
+        if (!result.value) {
+            return res.status(404).json({
                 success: false,
-                message: 'Kode produk sudah digunakan. Gunakan kode yang berbeda.'
+                message: 'Webhook tidak ditemukan'
             });
         }
         
-        // Siapkan data produk dengan format yang konsisten
-        const produkBaru = {
-            kode_produk: dataProduk.kode_produk.trim(), // Remove whitespace
-            nama_produk: dataProduk.nama_produk.trim(),
-            kategori: dataProduk.kategori.trim(),
-            harga: parseFloat(dataProduk.harga), // Convert ke number
-            stok: parseInt(dataProduk.stok), // Convert ke integer
-            deskripsi: dataProduk.deskripsi ? dataProduk.deskripsi.trim() : '', // Optional field
-            supplier: dataProduk.supplier ? dataProduk.supplier.trim() : '', // Optional field
-            tanggal_dibuat: new Date(), // Timestamp otomatis
-            tanggal_diupdate: new Date(), // Timestamp otomatis
-            status: 'aktif' // Default status
-        };
-        
-        // Insert ke database
-        const result = await db.collection('produk').insertOne(produkBaru);
-        
-        // Response sukses dengan data yang baru dibuat
-        res.status(201).json({
+        res.status(200).json({
             success: true,
-            message: 'Produk berhasil ditambahkan',
-            data: {
-                _id: result.insertedId, // ID yang di-generate MongoDB
-                ...produkBaru // Spread semua data produk
-            }
+            message: 'Webhook berhasil dihapus',
+            data: publicWebhook(result.value)
         });
     } catch (err) {
-        console.error('Error POST /api/produk:', err);
-        
-        // Handle duplicate key error (jika ada unique index)
-        if (err.code === 11000) {
-            return res.status(409).json({
-                success: false,
-                message: 'Kode produk sudah digunakan'
-            });
-        }
-        
-        res.status(500).json({ 
-            success: false,
-            message: 'Gagal menambahkan produk',
-            error: err.message 
-        });
+        next(withPublicMessage(err, 'Gagal menghapus webhook'));
     }
 });
 
-// PUT /api/produk/:id - Update produk
-app.put('/api/produk/:id', async (req, res) => {
+// POST /api/webhooks/:id/test - Kirim event 'ping' ke satu webhook (cek receiver & signature)
+app.post('/api/webhooks/:id/test', authenticate, requireRole('admin'), async (req, res, next) => {
     try {
-        const { id } = req.params; // Extract ID dari URL
-        const dataProduk = req.body; // Ambil data update dari request body
+        const { id } = req.params;
         
-        // Validasi ObjectId
         if (!ObjectId.isValid(id)) {
             return res.status(400).json({
                 success: false,
-                message: 'ID produk tidak valid'
-            });
-        }
-        
-        // Validasi data update
-        const errors = validateProduk(dataProduk);
-        if (errors.length > 0) {
-            return res.status(400).json({
-                success: false,
-                message: 'Data produk tidak valid',
-                errors: errors
+                message: 'ID webhook tidak valid'
             });
         }
         
-        // Cek apakah produk yang akan di-update ada
-        const existingProduk = await db.collection('produk').findOne({ _id: new ObjectId(id) });
-        if (!existingProduk) {
+        const webhook = await db.collection('webhooks').findOne({ _id: new ObjectId(id) });
+        if (!webhook) {
             return res.status(404).json({
                 success: false,
-                message: 'Produk tidak ditemukan'
-            });
-        }
-        
-        // Cek apakah kode produk sudah digunakan oleh produk lain
-        const duplicateCheck = await db.collection('produk').findOne({ 
-            kode_produk: dataProduk.kode_produk.trim(),
-            _id: { $ne: new ObjectId(id) } // Exclude current product
-        });
-        
-        if (duplicateCheck) {
-            return res.status(409).json({
-                success: false,
-                message: 'Kode produk sudah digunakan oleh produk lain'
-            });
-        }
-        
-        // Siapkan data update (preserve tanggal_dibuat, update tanggal_diupdate)
-        const updateData = {
-            kode_produk: dataProduk.kode_produk.trim(),
-            nama_produk: dataProduk.nama_produk.trim(),
-            kategori: dataProduk.kategori.trim(),
-            harga: parseFloat(dataProduk.harga),
-            stok: parseInt(dataProduk.stok),
-            deskripsi: dataProduk.deskripsi ? dataProduk.deskripsi.trim() : '',
-            supplier: dataProduk.supplier ? dataProduk.supplier.trim() : '',
-            tanggal_diupdate: new Date() // Update timestamp
-            // tanggal_dibuat tetap tidak berubah
-        };
-        
-        // Update produk di database
-        const result = await db.collection('produk').updateOne(
-            { _id: new ObjectId(id) },
-            { $set: updateData } // $set operator untuk update fields
-        );
-        
-        // Cek apakah ada data yang berubah
-        if (result.modifiedCount === 0) {
-            return res.status(400).json({
-                success: false,
-                message: 'Tidak ada perubahan data atau data sama dengan sebelumnya'
+                message: 'Webhook tidak ditemukan'
             });
         }
         
-        // Ambil data produk yang sudah di-update untuk response
-        const updatedProduk = await db.collection('produk').findOne({ _id: new ObjectId(id) });
+        await queueDeliveries([webhook], 'ping', { webhook_id: webhook._id, pesan: 'Tes webhook dari API' });
         
-        res.status(200).json({
+        res.status(202).json({
             success: true,
-            message: 'Produk berhasil diupdate',
-            data: updatedProduk
+            message: 'Event ping diantrikan. Cek hasilnya di /api/webhooks/:id/deliveries'
         });
     } catch (err) {
-        console.error('Error PUT /api/produk/:id:', err);
-        res.status(500).json({ 
-            success: false,
-            message: 'Gagal mengupdate produk',
-            error: err.message 
-        });
+        next(withPublicMessage(err, 'Gagal mengirim tes webhook'));
     }
 });
 
-// DELETE /api/produk/:id - Hapus produk
-app.delete('/api/produk/:id', async (req, res) => {
+// GET /api/webhooks/:id/deliveries - Riwayat pengiriman webhook (status, percobaan, error terakhir)
+app.get('/api/webhooks/:id/deliveries', authenticate, requireRole('admin'), validateQuery('deliveryListQuery'), async (req, res, next) => {
     try {
         const { id } = req.params;
+        const { status, page: pageNum, limit: limitNum } = req.validQuery;
         
-        // Validasi ObjectId
         if (!ObjectId.isValid(id)) {
             return res.status(400).json({
                 success: false,
-                message: 'ID produk tidak valid'
+                message: 'ID webhook tidak valid'
             });
         }
         
-        // Cek apakah produk exists sebelum dihapus
-        const existingProduk = await db.collection('produk').findOne({ _id: new ObjectId(id) });
-        if (!existingProduk) {
-            return res.status(404).json({
-                success: false,
-                message: 'Produk tidak ditemukan'
-            });
-        }
+        const filter = { webhook_id: new ObjectId(id) };
+        if (status) filter.status = status;
         
-        // Hapus produk dari database
-        const result = await db.collection('produk').deleteOne({ _id: new ObjectId(id) });
+        const data = await db.collection('webhook_deliveries')
+            .find(filter)
+            .sort({ created_at: -1 })
+            .skip((pageNum - 1) * limitNum)
+            .limit(limitNum)
+            .toArray();
+        const total = await db.collection('webhook_deliveries').countDocuments(filter);
         
         res.status(200).json({
             success: true,
-            message: 'Produk berhasil dihapus',
-            deleted_data: existingProduk // Return data yang dihapus untuk konfirmasi
+            message: `Ditemukan ${data.length} pengiriman webhook`,
+            data: data,
+            pagination: buildPagination(pageNum, limitNum, total)
         });
     } catch (err) {
-        console.error('Error DELETE /api/produk/:id:', err);
-        res.status(500).json({ 
-            success: false,
-            message: 'Gagal menghapus produk',
-            error: err.message 
-        });
+        next(withPublicMessage(err, 'Gagal mengambil riwayat pengiriman webhook'));
     }
 });
 
-// GET /api/produk/search/advanced - Advanced search untuk produk
-app.get('/api/produk/search/advanced', async (req, res) => {
+// =============================================================================
+// AUDIT LOG ENDPOINT - Riwayat perubahan posts & produk
+// =============================================================================
+
+// GET /api/audit - Cari audit trail, terbaru dulu
+// Query: resource (posts|produk), id, action, actor (username), date_from, date_to, page, limit
+// Contoh: /api/audit?resource=produk&id=<id produk> untuk semua perubahan satu produk
+app.get('/api/audit', authenticate, requireRole('admin'), validateQuery('auditListQuery'), async (req, res, next) => {
     try {
-        const { nama, kode, kategori, min_harga, max_harga, supplier, stok_kosong } = req.query;
+        const { resource, id, action, actor, date_from, date_to, page: pageNum, limit: limitNum } = req.validQuery;
         
-        // Minimal harus ada satu parameter search
-        if (!nama && !kode && !kategori && !min_harga && !max_harga && !supplier && !stok_kosong) {
+        if (id && !resource) {
             return res.status(400).json({
                 success: false,
-                message: 'Minimal satu parameter pencarian harus diisi'
+                message: 'Parameter id harus disertai parameter resource'
             });
         }
         
-        // Build advanced filter object
-        let filter = {};
-        
-        // Filter berdasarkan nama produk (partial match, case insensitive)
-        if (nama) {
-            filter.nama_produk = { $regex: nama, $options: 'i' };
-        }
-        
-        // Filter berdasarkan kode produk (partial match, case insensitive)
-        if (kode) {
-            filter.kode_produk = { $regex: kode, $options: 'i' };
-        }
-        
-        // Filter berdasarkan kategori (partial match, case insensitive)
-        if (kategori) {
-            filter.kategori = { $regex: kategori, $options: 'i' };
-        }
-        
-        // Filter berdasarkan supplier (partial match, case insensitive)
-        if (supplier) {
-            filter.supplier = { $regex: supplier, $options: 'i' };
-        }
-        
-        // Filter berdasarkan range harga
-        if (min_harga || max_harga) {
-            filter.harga = {};
-            if (min_harga) filter.harga.$gte = parseFloat(min_harga);
-            if (max_harga) filter.harga.$lte = parseFloat(max_harga);
-        }
-        
-        // Filter produk dengan stok kosong (jika parameter stok_kosong=true)
-        if (stok_kosong === 'true') {
-            filter.stok = { $lte: 0 }; // Stok <= 0
+        const filter = {};
+        if (resource) filter.resource = resource;
+        if (id) filter.resource_id = id;
+        if (action) filter.action = action;
+        if (actor) filter['actor.username'] = actor;
+        if (date_from || date_to) {
+            filter.timestamp = {};
+            if (date_from) filter.timestamp.$gte = date_from;
+            if (date_to) filter.timestamp.$lte = date_to;
         }
         
-        // Query database dengan filter yang kompleks
-        const produk = await db.collection('produk')
+        const data = await db.collection('audit_log')
             .find(filter)
-            .sort({ tanggal_dibuat: -1 }) // Sort terbaru dulu
-            .limit(100) // Batasi hasil maksimal 100 untuk performa
+            .sort({ timestamp: -1, _id: -1 })
+            .skip((pageNum - 1) * limitNum)
+            .limit(limitNum)
             .toArray();
+        const total = await db.collection('audit_log').countDocuments(filter);
         
         res.status(200).json({
             success: true,
-            message: `Ditemukan ${produk.length} produk`,
-            data: produk,
-            filters_applied: filter // Show filter yang digunakan
+            message: `Ditemukan ${data.length} catatan audit`,
+            data: data,
+            pagination: buildPagination(pageNum, limitNum, total)
         });
     } catch (err) {
-        console.error('Error GET /api/produk/search/advanced:', err);
-        res.status(500).json({ 
-            success: false,
-            message: 'Gagal mencari produk',
-            error: err.message 
-        });
+        next(withPublicMessage(err, 'Gagal mengambil audit log'));
     }
 });
 
+// =============================================================================
+// KONFIGURASI - Config efektif untuk debugging deployment (admin)
+// =============================================================================
+
+// Password, secret & token disensor; sources menunjukkan asal setiap nilai
+// (default / file / env) supaya mudah melacak kenapa sebuah nilai dipakai.
+app.get('/api/admin/config', authenticate, requireRole('admin'), (req, res) => {
+    res.status(200).json({
+        success: true,
+        message: `Konfigurasi environment ${appConfig.env}`,
+        data: {
+            env: appConfig.env,
+            file: appConfig.meta.file,
+            sources: appConfig.meta.sources,
+            config: redactConfig(appConfig)
+        }
+    });
+});
+
 // =============================================================================
 // HEALTH CHECK ENDPOINT - Monitoring kedua sistem (posts & produk)
 // =============================================================================
 
+const HEALTH_PING_TIMEOUT_MS = appConfig.health.pingTimeoutMs;
+
+// Ping MongoDB dengan timeout, lalu ambil status replica set dari `hello`
+async function checkDatabase() {
+    if (!dbReady) {
+        return { status: 'down', error: 'Setup database belum selesai' };
+    }
+    
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Ping melebihi ${HEALTH_PING_TIMEOUT_MS} ms`)), HEALTH_PING_TIMEOUT_MS);
+    });
+    const start = process.hrtime.bigint();
+    try {
+        await Promise.race([db.admin().command({ ping: 1 }), timeout]);
+        const latency = Number(process.hrtime.bigint() - start) / 1e6;
+        const hello = await Promise.race([db.admin().command({ hello: 1 }), timeout]);
+        
+        return {
+            status: 'up',
+            latency_ms: Math.round(latency * 100) / 100,
+            replica_set: hello.setName
+                ? {
+                    name: hello.setName,
+                    is_writable_primary: hello.isWritablePrimary,
+                    secondary: Boolean(hello.secondary),
+                    primary: hello.primary,
+                    members: (hello.hosts || []).length
+                }
+                : null,
+            transactions: supportsTransactions
+        };
+    } catch (err) {
+        return { status: 'down', error: err.message };
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+// Bandingkan index tiap collection dengan index yang dibuat migration 001.
+// Index yang hilang (misalnya di-drop manual) membuat query lambat / unique tidak berlaku.
+async function checkIndexes() {
+    try {
+        const missing = [];
+        await Promise.all(Object.entries(EXPECTED_INDEXES).map(async ([collectionName, indexes]) => {
+            let existing = [];
+            try {
+                existing = await db.collection(collectionName).listIndexes().toArray();
+            } catch (err) {
+                if (err.codeName !== 'NamespaceNotFound') throw err; // Collection belum ada: semua index hilang
+            }
+            const names = new Set(existing.map(index => index.name));
+            for (const index of indexes) {
+                if (!names.has(index.name)) missing.push(`${collectionName}.${index.name}`);
+            }
+        }));
+        return { status: missing.length > 0 ? 'degraded' : 'ok', missing: missing.sort() };
+    } catch (err) {
+        return { status: 'unknown', error: err.message };
+    }
+}
+
+// GET /health/live - Liveness: proses masih berjalan (tidak bergantung MongoDB)
+app.get('/health/live', (req, res) => {
+    res.status(200).json({
+        status: 'OK',
+        timestamp: new Date().toISOString(),
+        uptime_seconds: Math.round(process.uptime())
+    });
+});
+
+// GET /health/ready - Readiness: MongoDB bisa di-ping dan setup selesai, plus status index.
+// 503 + Retry-After selama database belum siap atau server sedang shutdown.
+app.get('/health/ready', async (req, res) => {
+    const database = shuttingDown ? { status: 'down', error: 'Server sedang shutdown' } : await checkDatabase();
+    const ready = database.status === 'up';
+    const indexes = ready ? await checkIndexes() : { status: 'unknown', missing: [] };
+    
+    if (!ready) res.set('Retry-After', '5');
+    res.status(ready ? 200 : 503).json({
+        status: ready ? 'READY' : 'NOT_READY',
+        timestamp: new Date().toISOString(),
+        checks: {
+            database,
+            // Migration / validator / index yang bermasalah tidak membuat server tidak siap, tapi perlu dicek
+            migrations: {
+                status: !migrationState ? 'unknown' : (migrationState.pending.length > 0 ? 'pending' : 'ok'),
+                pending: migrationState ? migrationState.pending : []
+            },
+            validators: {
+                status: !dbReady ? 'pending' : (validatorErrors.length > 0 ? 'degraded' : 'ok'),
+                errors: validatorErrors
+            },
+            indexes
+        }
+    });
+});
+
 // Health check endpoint yang sudah di-update untuk mencakup kedua sistem
 app.get('/health', async (req, res) => {
     try {
+        const database = await checkDatabase();
+        if (database.status !== 'up') {
+            res.set('Retry-After', '5');
+            return res.status(503).json({
+                status: 'ERROR',
+                timestamp: new Date().toISOString(),
+                database: 'Disconnected'
+            });
+        }
+        
         // Hitung statistik untuk kedua collection
-        const postsCount = await db.collection('posts').countDocuments({});
-        const produkCount = await db.collection('produk').countDocuments({});
+        const postsCount = await db.collection('posts').countDocuments(NOT_DELETED);
+        const produkCount = await db.collection('produk').countDocuments(NOT_DELETED);
         
         res.status(200).json({ 
             status: 'OK', 
             timestamp: new Date().toISOString(),
-            database: db ? 'Connected' : 'Disconnected',
+            database: 'Connected',
+            database_latency_ms: database.latency_ms,
             statistics: {
                 total_posts: postsCount,
                 total_produk: produkCount
             },
             endpoints: {
                 posts_crud: [
-                    'GET /posts - Ambil semua posts (dengan search & pagination)',
+                    'GET /posts - Ambil posts published (?status=, ?tag=, search & pagination)',
                     'GET /posts/:id - Ambil post berdasarkan ID',
+                    'GET /posts/slug/:slug - Ambil post berdasarkan slug',
                     'GET /posts/search/advanced - Pencarian lanjutan posts',
+                    'GET /posts/stats - Statistik posts per author, status, tag & bulan',
+                    'GET /tags - Daftar tag beserta jumlah post',
+                    'GET /posts/:id/comments - Komentar post beserta balasannya',
+                    'POST /posts/:id/comments - Tulis komentar / balasan (parent_id)',
                     'POST /posts - Buat post baru',
                     'PUT /posts/:id - Update post',
-                    'DELETE /posts/:id - Hapus post'
+                    'PATCH /posts/:id - Update sebagian field post',
+                    'DELETE /posts/:id - Hapus post (pindah ke trash)',
+                    'GET /posts/trash - Daftar post di trash',
+                    'POST /posts/:id/restore - Kembalikan post dari trash',
+                    'DELETE /posts/:id/permanent - Hapus permanen post di trash'
+                ],
+                comments: [
+                    'GET /comments/moderation - Antrian moderasi komentar (editor)',
+                    'PATCH /comments/:id - Edit komentar sendiri',
+                    'DELETE /comments/:id - Hapus komentar sendiri (admin: semua)',
+                    'POST /comments/:id/approve - Approve komentar (editor)',
+                    'POST /comments/:id/reject - Reject komentar (editor)'
                 ],
                 produk_crud: [
                     'GET /api/produk - Ambil semua produk (dengan search & filter)',
                     'GET /api/produk/:id - Ambil produk berdasarkan ID',
                     'GET /api/produk/search/advanced - Pencarian lanjutan produk',
+                    'GET /api/produk/stats - Statistik nilai inventori, distribusi harga, stok & produk baru',
                     'POST /api/produk - Tambah produk baru',
-                    'PUT /api/produk/:id - Update produk',
-                    'DELETE /api/produk/:id - Hapus produk'
+                    'PUT /api/produk/:id - Update produk (stok lewat endpoint stok)',
+                    'PATCH /api/produk/:id - Update sebagian field produk (kecuali stok)',
+                    'DELETE /api/produk/:id - Hapus produk (pindah ke trash)',
+                    'POST /api/produk/import - Import produk dari CSV/JSON (dry_run=true untuk simulasi)',
+                    'GET /api/produk/export - Export produk (format=csv|json)',
+                    'GET /api/produk/trash - Daftar produk di trash',
+                    'POST /api/produk/:id/restore - Kembalikan produk dari trash',
+                    'DELETE /api/produk/:id/permanent - Hapus permanen produk di trash'
+                ],
+                harga: [
+                    'GET /api/produk/:id/harga/riwayat - Riwayat harga (?pada= untuk harga pada tanggal tertentu)',
+                    'GET /api/produk/:id/harga/jadwal - Daftar jadwal harga & diskon',
+                    'POST /api/produk/:id/harga/jadwal - Jadwalkan harga baru / diskon (admin)',
+                    'DELETE /api/produk/:id/harga/jadwal/:jadwalId - Batalkan jadwal / akhiri diskon (admin)'
+                ],
+                orders: [
+                    'GET /api/orders - Daftar order (?status=, ?kode_produk=, date_from, date_to)',
+                    'GET /api/orders/:id - Detail order',
+                    'POST /api/orders - Buat order & reservasi stok (editor, butuh replica set)',
+                    'POST /api/orders/:id/confirm - Konfirmasi order',
+                    'POST /api/orders/:id/cancel - Batalkan order & lepas reservasi',
+                    'POST /api/orders/:id/fulfil - Kirim order, stok berkurang'
+                ],
+                lampiran: [
+                    'POST /api/produk/:id/gambar - Upload gambar produk (multipart, admin)',
+                    'GET /api/produk/:id/gambar - Daftar metadata gambar produk',
+                    'GET /api/produk/:id/gambar/:fileId - Ambil file gambar (mendukung Range)',
+                    'PUT /api/produk/:id/gambar/:fileId/utama - Jadikan gambar utama (admin)',
+                    'DELETE /api/produk/:id/gambar/:fileId - Hapus gambar produk (admin)',
+                    'POST /posts/:id/cover - Upload / ganti cover post (editor)',
+                    'GET /posts/:id/cover - Ambil file cover post',
+                    'DELETE /posts/:id/cover - Hapus cover post (editor)'
+                ],
+                kategori_supplier: [
+                    'GET /api/kategori - Daftar kategori (tree=true untuk struktur parent/child)',
+                    'GET /api/kategori/:id - Detail kategori beserta path & sub-kategori',
+                    'POST /api/kategori - Tambah kategori',
+                    'PUT /api/kategori/:id - Update kategori',
+                    'DELETE /api/kategori/:id - Hapus kategori (reassign_to=<id> jika masih dipakai)',
+                    'GET /api/supplier - Daftar supplier',
+                    'GET /api/supplier/:id - Detail supplier',
+                    'POST /api/supplier - Tambah supplier',
+                    'PUT /api/supplier/:id - Update supplier',
+                    'DELETE /api/supplier/:id - Hapus supplier (reassign_to=<id> jika masih dipakai)'
+                ],
+                stok_mutasi: [
+                    'POST /api/produk/:id/stok/masuk - Catat stok masuk',
+                    'POST /api/produk/:id/stok/keluar - Catat stok keluar',
+                    'POST /api/produk/stok/bulk - Mutasi stok banyak produk',
+                    'GET /api/produk/:id/stok/riwayat - Riwayat mutasi stok'
+                ],
+                alerts_webhooks: [
+                    'GET /api/alerts - Daftar alert stok rendah',
+                    'POST /api/alerts/:id/acknowledge - Acknowledge alert',
+                    'POST /api/alerts/:id/resolve - Resolve alert secara manual',
+                    'POST /api/webhooks - Daftarkan webhook (secret ditampilkan sekali)',
+                    'GET /api/webhooks - Daftar webhook',
+                    'PUT /api/webhooks/:id - Update webhook',
+                    'DELETE /api/webhooks/:id - Hapus webhook',
+                    'POST /api/webhooks/:id/test - Kirim event ping',
+                    'GET /api/webhooks/:id/deliveries - Riwayat pengiriman webhook'
+                ],
+                audit: [
+                    'GET /api/audit - Audit trail perubahan posts & produk (resource=&id=)'
+                ],
+                auth: [
+                    'POST /auth/register - Daftar user baru',
+                    'POST /auth/login - Login dan dapatkan token',
+                    'GET /auth/me - Info user yang sedang login',
+                    'PUT /auth/users/:id/role - Ubah role user (admin)'
                 ],
                 system: [
-                    'GET /health - Health check & statistics'
+                    'GET /health - Health check & statistics',
+                    'GET /health/live - Liveness probe (proses berjalan)',
+                    'GET /health/ready - Readiness probe (ping MongoDB, replica set, status index)',
+                    'GET /metrics - Metric Prometheus (request, latency, error, pool & command MongoDB)',
+                    'GET /api/admin/config - Config efektif, secret disensor (admin)'
                 ]
             }
         });
     } catch (err) {
+        logger.error('Error GET /health:', err);
         res.status(500).json({
             status: 'ERROR',
             timestamp: new Date().toISOString(),
-            database: 'Error',
-            error: err.message
+            database: 'Error'
         });
     }
 });
 
 // 404 handler untuk endpoint yang tidak ada
-app.use((req, res) => {
-    res.status(404).json({
-        success: false,
-        message: `Endpoint ${req.method} ${req.path} tidak ditemukan`
-    });
-});
\ No newline at end of file
+app.use((req, res, next) => {
+    next(new NotFoundError(`Endpoint ${req.method} ${req.path} tidak ditemukan`));
+});
+
+// Semua error (next(err), body JSON rusak / terlalu besar, error MongoDB) dibalas di sini
+app.use(errorHandler);
\ No newline at end of file